@@ -0,0 +1,81 @@
+import { getRepositories } from './repositories.js';
+
+// Operator actions and their audit trail. Every admin route records what it did, who
+// did it and why in admin_audit_log, which the database keeps append-only: an entry is
+// written before the action runs and can only be closed once, as completed or failed.
+const ADMIN_ACTION = {
+  VOID_RACE: 'void_race',
+  OVERRIDE_RESULTS: 'override_results',
+  CANCEL_BET: 'cancel_bet',
+  SUSPEND_MARKET: 'suspend_market',
+  RESUME_MARKET: 'resume_market',
+  SET_RACE_SETTINGS: 'set_race_settings',
+  RESOLVE_DRIVER_DISPUTE: 'resolve_driver_dispute'
+};
+
+const ADMIN_ACTION_STATUS = {
+  STARTED: 'started',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Runs an operator action inside its audit entry. The entry is written first, so an
+// action that fails partway, or whose process dies, is still on record as started.
+// It is then marked completed with the details describe() gives for the result, or
+// failed with the error's code, and the action's error is passed on. An entry that
+// cannot be closed stays started; the action's outcome is reported either way.
+async function runAdminAction(supabase, { adminId, action, leagueId = null, raceId = null, betId = null, reason, details = {} }, perform, describe = () => ({})) {
+  const auditLog = getRepositories(supabase).auditLog;
+  const entry = await auditLog.record({
+    admin_id: adminId,
+    action,
+    league_id: leagueId,
+    race_id: raceId,
+    bet_id: betId,
+    reason,
+    details,
+    status: ADMIN_ACTION_STATUS.STARTED
+  });
+
+  const close = (status, outcome) => auditLog.complete(entry.id, { status, details: { ...details, ...outcome } })
+    .catch(error => console.error(`Could not mark audit entry ${entry.id} as ${status}:`, error.message));
+
+  let result;
+  try {
+    result = await perform();
+  } catch (error) {
+    await close(ADMIN_ACTION_STATUS.FAILED, { error: error.code || 'INTERNAL_ERROR' });
+    throw error;
+  }
+
+  await close(ADMIN_ACTION_STATUS.COMPLETED, describe(result));
+  return result;
+}
+
+async function getAuditLog(supabase, { page = 1, pageSize = DEFAULT_PAGE_SIZE, leagueId, raceId } = {}) {
+  const currentPage = Math.max(1, parseInt(page, 10) || 1);
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE));
+  const { entries, total } = await getRepositories(supabase).auditLog.list({
+    leagueId,
+    raceId,
+    offset: (currentPage - 1) * size,
+    limit: size
+  });
+
+  return {
+    entries,
+    page: currentPage,
+    pageSize: size,
+    total
+  };
+}
+
+export {
+  ADMIN_ACTION,
+  ADMIN_ACTION_STATUS,
+  runAdminAction,
+  getAuditLog
+};
@@ -0,0 +1,708 @@
+import express from 'express';
+import cors from 'cors';
+import cookieParser from 'cookie-parser';
+import { cancelBet, getRaceSettlement, resettleRace, settleRace, voidRace } from './betSettlement.js';
+import { getBalance, getTransactions, placeBet } from './wallet.js';
+import { getRaceOdds, lockSelectionOdds, quoteSelection } from './oddsEngine.js';
+import { BET_TYPE, buildSelection, validateSelection } from './betTypes.js';
+import { getDefaultLeague, getEnabledLeagues, getEnabledLeague } from './leagues.js';
+import { assertMarketOpen, getRaceMarketState, getSeasonMarkets, holdMarket, releaseMarket } from './markets.js';
+import { optionalUser, requireRole, requireUser } from './auth.js';
+import { getUserTickets, placeParlay } from './parlays.js';
+import { BETTING_MODE, getPoolSummary, getRaceSettings, setRaceSettings, validatePoolBet } from './pools.js';
+import { getRaceAmendments } from './resultAmendments.js';
+import { parseResultOverride, saveResultOverride } from './raceResults.js';
+import { ADMIN_ACTION, getAuditLog, runAdminAction } from './admin.js';
+import { acceptCashOut, getCashOutQuote } from './cashout.js';
+import { getFuturesMarket, getUserFuturesBets, placeChampionshipBet } from './futures.js';
+import { getLeaderboard, getUserStats, setLeaderboardPreferences } from './leaderboards.js';
+import { getGamblingControls, setLimit, startExclusion } from './responsibleGambling.js';
+import { assertSelfBettingAllowed, claimDriver, getDriverDisputes, getLinkedDriver, resolveDriverDispute, searchDriverCandidates } from './driverLinks.js';
+import { openEventStream } from './liveUpdates.js';
+import { getRepositories } from './repositories.js';
+import { idempotent } from './idempotency.js';
+import { RATE_LIMIT, rateLimit } from './rateLimits.js';
+import { validate, validationError } from './validation.js';
+import { schemas } from './schemas.js';
+import { apiError, errorHandler, notFound } from './errors.js';
+
+const DEFAULT_FRONTEND_URL = 'https://www.speedtrapbets.com';
+
+// Express 4 does not pass rejected promises to the error middleware by itself
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Express already sets an ETag on JSON responses and answers If-None-Match /
+// If-Modified-Since with a 304; this adds Last-Modified from when the data left iRacing.
+function setCacheHeaders(res, ...fetchedAts) {
+  const timestamps = fetchedAts.filter(Boolean);
+  if (timestamps.length > 0) {
+    res.set('Last-Modified', new Date(Math.max(...timestamps)).toUTCString());
+  }
+  res.set('Cache-Control', 'no-cache');
+}
+
+// Bets are always placed as the token's user; a different userId in the body is refused
+function refuseOtherUser(req, res, next) {
+  if (req.body.userId && req.body.userId !== req.user.id) {
+    return next(apiError('FORBIDDEN', 'Cannot place bets for another user'));
+  }
+  next();
+}
+
+// TRUST_PROXY takes Express's 'trust proxy' values: true, a hop count, or addresses
+function parseTrustProxy(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// Builds the Express app around a storage client and an iRacing client. server.js
+// passes the configured ones; tests pass a mock iRacing server's client and a
+// MemoryStore. Every route validates its input against schemas.js and leaves failures
+// to errorHandler, so all errors reach clients in the same shape.
+function createApp({ supabase, iracing, frontendUrl = process.env.FRONTEND_URL || DEFAULT_FRONTEND_URL }) {
+  const app = express();
+
+  // Rate limits count by req.ip, which is the proxy's address unless Express trusts it
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+  }
+
+  app.use(cors({
+    origin: frontendUrl,
+    methods: ['GET', 'POST'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'Idempotency-Key'],
+    exposedHeaders: ['Retry-After', 'ETag', 'Last-Modified', 'Idempotent-Replayed'],
+    credentials: true
+  }));
+
+  app.use(express.json());
+  app.use(cookieParser());
+
+  const repositories = getRepositories(supabase);
+  const authenticate = requireUser(supabase);
+  const identify = optionalUser(supabase);
+  const limitBets = rateLimit(RATE_LIMIT.BETS);
+  const limitSearch = rateLimit(RATE_LIMIT.SEARCH);
+  const limitOdds = rateLimit(RATE_LIMIT.ODDS);
+  const idempotentRequest = idempotent(supabase);
+
+  // Stake-taking routes. The rate limit comes first so replays count against it too, and
+  // requests are validated before they claim their Idempotency-Key.
+  function placement(schema) {
+    return [authenticate, limitBets, refuseOtherUser, validate(schema), idempotentRequest];
+  }
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'OK' });
+  });
+
+  // Every :leagueId route only serves leagues enabled in the registry
+  app.param('leagueId', (req, res, next, leagueId) => {
+    const league = getEnabledLeague(leagueId);
+    if (!league) {
+      return next(apiError('NOT_FOUND', `League ${leagueId} is not enabled`));
+    }
+    req.league = league;
+    next();
+  });
+
+  app.get('/api/leagues', (req, res) => {
+    res.json({ leagues: getEnabledLeagues() });
+  });
+
+  // The paths from before routes were scoped by league, kept for clients still using
+  // them. Each is answered by its /api/leagues/:leagueId route for the default league,
+  // with a Link header pointing at that route.
+  function defaultLeagueAlias(toPath) {
+    return (req, res, next) => {
+      const league = getDefaultLeague();
+      if (!league) {
+        return next(apiError('NOT_FOUND', 'No league is enabled'));
+      }
+
+      const path = `/api/leagues/${league.id}${toPath(req.params)}`;
+      res.set('Link', `<${path}>; rel="successor-version"`);
+      req.url = path + req.url.slice(req.path.length);
+      next();
+    };
+  }
+
+  app.get('/api/league-seasons', defaultLeagueAlias(() => '/seasons'));
+  app.get('/api/league-subsessions', defaultLeagueAlias(() => '/subsessions'));
+  app.get('/api/league-roster', defaultLeagueAlias(() => '/roster'));
+  app.get('/api/race/:raceId', defaultLeagueAlias(({ raceId }) => `/race/${encodeURIComponent(raceId)}`));
+  app.get('/api/race/:raceId/odds', defaultLeagueAlias(({ raceId }) => `/race/${encodeURIComponent(raceId)}/odds`));
+  app.get('/api/race-results/:raceId', defaultLeagueAlias(({ raceId }) => `/race-results/${encodeURIComponent(raceId)}`));
+
+  // Endpoint to search for an iRacing name
+  app.get('/api/search-iracing-name', identify, limitSearch, validate(schemas.searchIracingName), asyncRoute(async (req, res) => {
+    const { name } = req.query;
+
+    console.log('Searching for:', name);
+
+    const result = await iracing.searchIRacingName(name);
+    console.log('Search result:', result);
+
+    if (result.exists) {
+      res.json({ exists: true, name: result.name, id: result.id });
+    } else {
+      res.json({ exists: false, message: `${name} has not been found in iRacing.` });
+    }
+  }));
+
+  // Live updates over Server-Sent Events. leagueId and raceId narrow the stream to one
+  // league or race; signed-in users also get their own settlements. Reconnecting with
+  // Last-Event-ID (sent by EventSource itself) or ?lastEventId= replays missed events.
+  app.get('/api/stream', identify, validate(schemas.stream), (req, res, next) => {
+    const { leagueId, raceId } = req.query;
+
+    if (leagueId && !getEnabledLeague(leagueId)) {
+      return next(apiError('NOT_FOUND', `League ${leagueId} is not enabled`));
+    }
+    if (raceId && !leagueId) {
+      return next(validationError({ raceId: 'needs a leagueId' }));
+    }
+
+    openEventStream(req, res, {
+      leagueId: leagueId || null,
+      raceId: raceId || null,
+      userId: req.user ? req.user.id : null
+    });
+  });
+
+  // Ranked driver matches with club and licences, for picking the driver to link
+  app.get('/api/drivers/search', identify, limitSearch, validate(schemas.searchDrivers), asyncRoute(async (req, res) => {
+    const candidates = await searchDriverCandidates(iracing, req.query.name);
+    res.json({ candidates });
+  }));
+
+  app.get('/api/leagues/:leagueId/seasons', asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    console.log(`Fetching seasons for league: ${leagueId}`);
+
+    const seasons = await iracing.getLeagueSeasons(leagueId);
+    console.log('Successfully fetched league seasons');
+
+    setCacheHeaders(res, iracing.getFetchedAt(seasons));
+    res.json(seasons);
+  }));
+
+  // Championship futures for every active season of the league
+  app.get('/api/leagues/:leagueId/futures', asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    const seasonsData = await iracing.getLeagueSeasons(leagueId);
+    const seasons = Array.isArray(seasonsData.seasons) ? seasonsData.seasons.filter(season => season.active) : [];
+
+    const markets = [];
+    for (const season of seasons) {
+      const market = await getFuturesMarket(supabase, iracing, leagueId, season.season_id);
+      markets.push({ seasonName: season.season_name, ...market });
+    }
+    res.json({ markets });
+  }));
+
+  app.get('/api/leagues/:leagueId/seasons/:seasonId/futures', validate(schemas.seasonFutures), asyncRoute(async (req, res) => {
+    const market = await getFuturesMarket(supabase, iracing, req.league.id, req.params.seasonId);
+    res.json(market);
+  }));
+
+  // Updated endpoint to get league subsessions
+  app.get('/api/leagues/:leagueId/subsessions', validate(schemas.subsessions), asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    const { seasonId } = req.query;
+
+    console.log(`Fetching subsessions for league: ${leagueId}, season: ${seasonId}`);
+
+    const subsessionsData = await iracing.getLeagueSubsessions(leagueId, seasonId);
+    console.log('Successfully fetched league subsessions');
+
+    // Fetch roster information
+    const rosterData = await iracing.getLeagueRoster(leagueId);
+    console.log('Successfully fetched league roster');
+
+    // Combine subsessions with roster information
+    const sessionsWithRoster = subsessionsData.sessions.map(session => ({
+      ...session,
+      rosterCount: rosterData.rosterCount,
+      roster: rosterData.roster
+    }));
+
+    setCacheHeaders(res, iracing.getFetchedAt(subsessionsData), iracing.getFetchedAt(rosterData));
+    res.json({ sessions: sessionsWithRoster });
+  }));
+
+  app.get('/api/leagues/:leagueId/roster', asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    console.log(`Fetching roster for league: ${leagueId}`);
+
+    const rosterData = await iracing.getLeagueRoster(leagueId);
+
+    if (!rosterData || !Array.isArray(rosterData.roster)) {
+      console.error('Unexpected roster data format:', rosterData);
+      throw apiError('IRACING_ERROR', 'Received unexpected data format for roster');
+    }
+
+    console.log('Successfully fetched league roster');
+    setCacheHeaders(res, iracing.getFetchedAt(rosterData));
+    res.json({
+      rosterCount: rosterData.rosterCount,
+      roster: rosterData.roster,
+      privateRoster: rosterData.privateRoster
+    });
+  }));
+
+  // New endpoint to get race details
+  app.get('/api/leagues/:leagueId/race/:raceId', validate(schemas.race), asyncRoute(async (req, res) => {
+    const { raceId } = req.params;
+    const leagueId = req.league.id;
+
+    console.log(`Fetching race details for race ID: ${raceId}`);
+
+    const raceDetails = await iracing.getRaceDetails(leagueId, null, raceId);
+    console.log('Successfully fetched race details');
+
+    setCacheHeaders(res, iracing.getFetchedAt(raceDetails));
+    res.json(raceDetails);
+  }));
+
+  app.get('/api/leagues/:leagueId/race/:raceId/odds', identify, limitOdds, validate(schemas.raceOdds), asyncRoute(async (req, res) => {
+    const { raceId } = req.params;
+    const { seasonId } = req.query;
+    const leagueId = req.league.id;
+
+    const price = await getRaceOdds(iracing, leagueId, seasonId, raceId);
+
+    setCacheHeaders(res, Date.parse(price.pricedAt));
+    res.json({
+      raceId: price.raceId,
+      margin: price.margin,
+      pricedAt: price.pricedAt,
+      expiresAt: new Date(price.expiresAt).toISOString(),
+      drivers: price.drivers
+    });
+  }));
+
+  // Price for a single selection, including head-to-head and incident lines
+  app.get('/api/leagues/:leagueId/race/:raceId/odds/quote', identify, limitOdds, validate(schemas.oddsQuote), asyncRoute(async (req, res) => {
+    const { raceId } = req.params;
+    const { seasonId, betType, driverId, opponentId, line } = req.query;
+    const leagueId = req.league.id;
+
+    const selection = buildSelection({ driverId, opponentId, line });
+    const quote = await quoteSelection(iracing, leagueId, seasonId, raceId, betType, selection);
+
+    setCacheHeaders(res, Date.parse(quote.pricedAt));
+    res.json(quote);
+  }));
+
+  // Live pool totals and implied odds for a pool-mode race
+  app.get('/api/leagues/:leagueId/race/:raceId/pool', validate(schemas.race), asyncRoute(async (req, res) => {
+    const { raceId } = req.params;
+    const leagueId = req.league.id;
+
+    const { bettingMode } = await getRaceSettings(supabase, leagueId, raceId);
+    if (bettingMode !== BETTING_MODE.POOL) {
+      throw apiError('NOT_FOUND', `Race ${raceId} is not a pool race`);
+    }
+
+    const pool = await getPoolSummary(supabase, leagueId, raceId);
+    res.json(pool);
+  }));
+
+  app.get('/api/leagues/:leagueId/markets', validate(schemas.markets), asyncRoute(async (req, res) => {
+    const markets = await getSeasonMarkets(supabase, iracing, req.league.id, req.query.seasonId);
+    res.json({ markets });
+  }));
+
+  app.get('/api/leagues/:leagueId/race/:raceId/market', validate(schemas.raceMarket), asyncRoute(async (req, res) => {
+    const { raceId } = req.params;
+    const state = await getRaceMarketState(supabase, iracing, req.league.id, req.query.seasonId, raceId);
+    res.json({ raceId, state });
+  }));
+
+  app.post('/api/place-bet', placement(schemas.placeBet), asyncRoute(async (req, res) => {
+    const { leagueId, seasonId, raceId, betType, selectedDriverId, opponentId, line, betAmount, odds } = req.body;
+    const userId = req.user.id;
+
+    if (!getEnabledLeague(leagueId)) {
+      throw validationError({ leagueId: 'is not enabled for betting' });
+    }
+
+    const selection = buildSelection({ driverId: selectedDriverId, opponentId, line });
+    const selectionError = validateSelection(betType, selection);
+    if (selectionError) {
+      throw apiError('INVALID_SELECTION', selectionError);
+    }
+
+    await assertSelfBettingAllowed(supabase, iracing, userId, leagueId, betType, selection);
+
+    // Fixed-odds bets need the odds the user was shown; pool bets have no price yet
+    const { bettingMode } = await getRaceSettings(supabase, leagueId, raceId);
+    if (bettingMode === BETTING_MODE.POOL) {
+      const poolError = validatePoolBet(betType);
+      if (poolError) {
+        throw apiError('INVALID_SELECTION', poolError);
+      }
+    } else if (!odds) {
+      throw validationError({ odds: 'is required' });
+    }
+
+    await assertMarketOpen(supabase, iracing, leagueId, seasonId, raceId);
+
+    // Fixed-odds bets are struck at the server price; the client's odds only confirm what
+    // the user saw. Pool bets have no price until the pool is split after the race.
+    const lockedOdds = bettingMode === BETTING_MODE.POOL
+      ? null
+      : await lockSelectionOdds(iracing, leagueId, seasonId, raceId, betType, selection, odds);
+
+    // Debits the stake and records the bet in a single transaction
+    const bet = await placeBet(supabase, {
+      user_id: userId,
+      league_id: leagueId,
+      season_id: seasonId,
+      race_id: raceId,
+      selected_driver_id: selection.driverId,
+      bet_type: betType,
+      selection,
+      betting_mode: bettingMode,
+      bet_amount: betAmount,
+      odds: lockedOdds
+    });
+
+    res.json({ success: true, bet });
+  }));
+
+  // Parlay ticket: one stake across legs on distinct races, odds multiplied
+  app.post('/api/place-parlay', placement(schemas.placeParlay), asyncRoute(async (req, res) => {
+    const { stake, legs } = req.body;
+
+    const ticket = await placeParlay(supabase, iracing, req.user.id, { stake, legs });
+    res.json({ success: true, ticket });
+  }));
+
+  // Championship futures bet on one driver for a league season
+  app.post('/api/place-futures-bet', placement(schemas.placeFuturesBet), asyncRoute(async (req, res) => {
+    const { leagueId, seasonId, driverId, stake, odds } = req.body;
+
+    const league = getEnabledLeague(leagueId);
+    if (!league) {
+      throw validationError({ leagueId: 'is not enabled for betting' });
+    }
+
+    // A championship bet backs the driver, so only the 'entered' rule can refuse it
+    await assertSelfBettingAllowed(supabase, iracing, req.user.id, league.id, BET_TYPE.WIN, { driverId });
+
+    const bet = await placeChampionshipBet(supabase, iracing, req.user.id, { leagueId: league.id, seasonId, driverId, stake, odds });
+    res.json({ success: true, bet });
+  }));
+
+  app.get('/api/me/futures', authenticate, asyncRoute(async (req, res) => {
+    const bets = await getUserFuturesBets(supabase, req.user.id);
+    res.json(bets);
+  }));
+
+  app.get('/api/me/parlays', authenticate, asyncRoute(async (req, res) => {
+    const tickets = await getUserTickets(supabase, req.user.id);
+    res.json(tickets);
+  }));
+
+  // Public leaderboard for one metric, filterable by league, season and time window
+  app.get('/api/leaderboards/:metric', validate(schemas.leaderboard), asyncRoute(async (req, res) => {
+    const { leagueId, seasonId, window, page, pageSize } = req.query;
+
+    const leaderboard = await getLeaderboard(supabase, { metric: req.params.metric, leagueId, seasonId, window, page, pageSize });
+    res.json(leaderboard);
+  }));
+
+  app.get('/api/me/stats', authenticate, validate(schemas.userStats), asyncRoute(async (req, res) => {
+    const { leagueId, seasonId, window } = req.query;
+
+    const stats = await getUserStats(supabase, req.user.id, { leagueId, seasonId, window });
+    res.json({ userId: req.user.id, stats });
+  }));
+
+  // Leaderboard display name and opt-out
+  app.post('/api/me/leaderboard-preferences', authenticate, validate(schemas.leaderboardPreferences), asyncRoute(async (req, res) => {
+    const { optOut, displayName } = req.body;
+
+    const profile = await setLeaderboardPreferences(supabase, req.user.id, { optOut, displayName });
+    res.json({ success: true, profile });
+  }));
+
+  // Bets of the authenticated user
+  app.get('/api/me/bets', authenticate, validate(schemas.userBets), asyncRoute(async (req, res) => {
+    const bets = await repositories.bets.listByUser(req.user.id, { leagueId: req.query.leagueId });
+    res.json(bets);
+  }));
+
+  // Current cash-out offer for a pending bet, the same one until it expires; accept it
+  // with POST before expiresAt
+  app.get('/api/me/bets/:betId/cash-out', authenticate, validate(schemas.cashOutQuote), asyncRoute(async (req, res) => {
+    const quote = await getCashOutQuote(supabase, iracing, req.user.id, req.params.betId);
+    res.json(quote);
+  }));
+
+  app.post('/api/me/bets/:betId/cash-out', placement(schemas.cashOut), asyncRoute(async (req, res) => {
+    const bet = await acceptCashOut(supabase, iracing, req.user.id, req.params.betId, req.body.quoteId);
+    res.json({ success: true, bet });
+  }));
+
+  app.get('/api/me/driver', authenticate, asyncRoute(async (req, res) => {
+    const driver = await getLinkedDriver(supabase, req.user.id);
+    res.json({ driver });
+  }));
+
+  // Body: { custId, leagueId? }; the driver must be on that league's roster, or on the
+  // roster of any enabled league when no league is given. A driver already linked to
+  // another account answers 409 with the disputeId an operator will review.
+  app.post('/api/me/driver', authenticate, validate(schemas.claimDriver), asyncRoute(async (req, res) => {
+    const { custId, leagueId } = req.body;
+
+    const driver = await claimDriver(supabase, iracing, req.user.id, { custId, leagueId });
+    res.json({ success: true, driver });
+  }));
+
+  // Responsible gambling: current limits, pending increases, active break or
+  // self-exclusion, and what has been staked and lost in each period
+  app.get('/api/me/limits', authenticate, asyncRoute(async (req, res) => {
+    const controls = await getGamblingControls(supabase, req.user.id);
+    res.json(controls);
+  }));
+
+  // Body: { type: 'stake' | 'loss', period: 'day' | 'week' | 'month', amount }; amount null removes the limit
+  app.post('/api/me/limits', authenticate, validate(schemas.setLimit), asyncRoute(async (req, res) => {
+    const { type, period, amount } = req.body;
+
+    const limit = await setLimit(supabase, req.user.id, { type, period, amount });
+    res.json({ success: true, limit });
+  }));
+
+  // Body: { kind: 'break', days } or { kind: 'self_exclusion', months }
+  app.post('/api/me/exclusion', authenticate, validate(schemas.startExclusion), asyncRoute(async (req, res) => {
+    const { kind, days, months } = req.body;
+
+    const exclusion = await startExclusion(supabase, req.user.id, { kind, days, months });
+    res.json({ success: true, exclusion });
+  }));
+
+  app.get('/api/me/wallet/balance', authenticate, asyncRoute(async (req, res) => {
+    const userId = req.user.id;
+
+    const balance = await getBalance(supabase, userId);
+    res.json({ userId, balance });
+  }));
+
+  app.get('/api/me/wallet/transactions', authenticate, validate(schemas.walletTransactions), asyncRoute(async (req, res) => {
+    const { page, pageSize } = req.query;
+
+    const history = await getTransactions(supabase, req.user.id, { page, pageSize });
+    res.json(history);
+  }));
+
+  // Changes to a race's official results after it was settled, oldest first
+  app.get('/api/leagues/:leagueId/race/:raceId/amendments', validate(schemas.raceAmendments), asyncRoute(async (req, res) => {
+    const amendments = await getRaceAmendments(supabase, req.league.id, req.params.raceId);
+    res.json({ raceId: req.params.raceId, amendments });
+  }));
+
+  // Official results for a race, and whether and at which revision it was settled.
+  // Read-only: settlement runs from the ingestion worker and admin overrides.
+  app.get('/api/leagues/:leagueId/race-results/:raceId', validate(schemas.raceResults), asyncRoute(async (req, res) => {
+    const { raceId } = req.params;
+    const leagueId = req.league.id;
+
+    console.log(`Fetching race results for race ID: ${raceId}`);
+
+    const [raceResults, settlement] = await Promise.all([
+      iracing.getRaceDetails(leagueId, null, raceId),
+      getRaceSettlement(supabase, leagueId, raceId)
+    ]);
+    console.log('Successfully fetched race results');
+
+    res.json({
+      ...raceResults,
+      settlement: {
+        settled: Boolean(settlement),
+        revision: settlement ? settlement.revision : null,
+        settledAt: settlement ? settlement.settled_at : null
+      }
+    });
+  }));
+
+  // Operator tooling. Every admin route needs the admin role, and every action needs a
+  // reason (checked by its schema), which goes into the audit log with the admin's user id.
+  // Actions run inside their audit entry (runAdminAction), which is written first.
+  app.use('/api/admin', authenticate, requireRole('admin'));
+
+  // Voids the race's market and returns every stake on it
+  app.post('/api/admin/leagues/:leagueId/race/:raceId/void', validate(schemas.voidRace), asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    const { raceId } = req.params;
+
+    const result = await runAdminAction(supabase, {
+      adminId: req.user.id,
+      action: ADMIN_ACTION.VOID_RACE,
+      leagueId,
+      raceId,
+      reason: req.body.reason
+    }, () => voidRace(supabase, leagueId, raceId), voided => ({
+      voidedBets: voided.bets.length,
+      revisedTickets: voided.tickets.length
+    }));
+
+    res.json({ success: true, voidedBetCount: result.bets.length, revisedTicketCount: result.tickets.length });
+  }));
+
+  // Replaces the race's official finishing order with the operator's. The race is settled
+  // against it, or re-settled when it was already settled against the iRacing results.
+  app.post('/api/admin/leagues/:leagueId/race/:raceId/results', validate(schemas.overrideResults), asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    const { raceId } = req.params;
+
+    const results = parseResultOverride(req.body.results);
+
+    const { settlement, amendment } = await runAdminAction(supabase, {
+      adminId: req.user.id,
+      action: ADMIN_ACTION.OVERRIDE_RESULTS,
+      leagueId,
+      raceId,
+      reason: req.body.reason,
+      details: { results }
+    }, async () => {
+      await saveResultOverride(supabase, leagueId, raceId, results, req.user.id);
+      return {
+        settlement: await settleRace(supabase, leagueId, raceId, null),
+        amendment: await resettleRace(supabase, leagueId, raceId, null)
+      };
+    }, outcome => ({
+      settledBets: outcome.settlement.settled.length,
+      revision: outcome.amendment ? outcome.amendment.revision : null,
+      amendedBets: outcome.amendment ? outcome.amendment.bets.length : 0
+    }));
+
+    res.json({
+      success: true,
+      settlement: {
+        skipped: settlement.skipped,
+        settledCount: settlement.settled.length,
+        settledTicketCount: settlement.tickets.length
+      },
+      amendment: amendment && {
+        revision: amendment.revision,
+        changes: amendment.changes,
+        amendedCount: amendment.bets.length,
+        amendedTicketCount: amendment.tickets.length
+      }
+    });
+  }));
+
+  app.post('/api/admin/leagues/:leagueId/race/:raceId/market/suspend', validate(schemas.suspendMarket), asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    const { raceId } = req.params;
+
+    const market = await runAdminAction(supabase, {
+      adminId: req.user.id,
+      action: ADMIN_ACTION.SUSPEND_MARKET,
+      leagueId,
+      raceId,
+      reason: req.body.reason
+    }, () => holdMarket(supabase, leagueId, raceId), held => ({ state: held.state }));
+
+    res.json({ success: true, market });
+  }));
+
+  app.post('/api/admin/leagues/:leagueId/race/:raceId/market/resume', validate(schemas.resumeMarket), asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    const { raceId } = req.params;
+
+    const market = await runAdminAction(supabase, {
+      adminId: req.user.id,
+      action: ADMIN_ACTION.RESUME_MARKET,
+      leagueId,
+      raceId,
+      reason: req.body.reason
+    }, () => releaseMarket(supabase, leagueId, raceId), released => ({ state: released.state }));
+
+    res.json({ success: true, market });
+  }));
+
+  // Betting mode (fixed odds or pool) and pool rake for one race
+  app.post('/api/admin/leagues/:leagueId/race/:raceId/settings', validate(schemas.raceSettings), asyncRoute(async (req, res) => {
+    const leagueId = req.league.id;
+    const { raceId } = req.params;
+    const { bettingMode } = req.body;
+    const rake = req.body.rake === undefined ? null : req.body.rake;
+
+    const settings = await runAdminAction(supabase, {
+      adminId: req.user.id,
+      action: ADMIN_ACTION.SET_RACE_SETTINGS,
+      leagueId,
+      raceId,
+      reason: req.body.reason,
+      details: { bettingMode, rake }
+    }, () => setRaceSettings(supabase, leagueId, raceId, { bettingMode, rake }));
+
+    res.json({ success: true, settings });
+  }));
+
+  // Cancels one pending bet and refunds its stake. The bet is read first so its entry
+  // carries the race; cancelBet refuses unknown bets.
+  app.post('/api/admin/bets/:betId/cancel', validate(schemas.cancelBet), asyncRoute(async (req, res) => {
+    const target = await repositories.bets.getById(req.params.betId);
+    const bet = await runAdminAction(supabase, {
+      adminId: req.user.id,
+      action: ADMIN_ACTION.CANCEL_BET,
+      leagueId: target ? target.league_id : null,
+      raceId: target ? target.race_id : null,
+      betId: target ? target.id : null,
+      reason: req.body.reason,
+      details: target ? { userId: target.user_id, refund: Number(target.bet_amount) } : { betId: req.params.betId }
+    }, () => cancelBet(supabase, req.params.betId));
+
+    res.json({ success: true, bet });
+  }));
+
+  // Claims on drivers already linked to another account; open ones by default
+  app.get('/api/admin/driver-disputes', validate(schemas.driverDisputes), asyncRoute(async (req, res) => {
+    const disputes = await getDriverDisputes(supabase, req.query.status);
+    res.json({ disputes });
+  }));
+
+  // Body: { outcome: 'upheld' | 'rejected', reason }; upholding moves the driver to the claimant
+  app.post('/api/admin/driver-disputes/:disputeId/resolve', validate(schemas.resolveDriverDispute), asyncRoute(async (req, res) => {
+    const { outcome, reason } = req.body;
+
+    const target = await repositories.driverLinks.getDispute(req.params.disputeId);
+    const { dispute, link } = await runAdminAction(supabase, {
+      adminId: req.user.id,
+      action: ADMIN_ACTION.RESOLVE_DRIVER_DISPUTE,
+      leagueId: target ? target.league_id : null,
+      reason,
+      details: target
+        ? { disputeId: target.id, custId: target.cust_id, claimantId: target.claimant_id, holderId: target.holder_id, outcome }
+        : { disputeId: req.params.disputeId, outcome }
+    }, () => resolveDriverDispute(supabase, req.params.disputeId, { outcome, adminId: req.user.id }));
+
+    res.json({ success: true, dispute, driver: link });
+  }));
+
+  app.get('/api/admin/audit-log', validate(schemas.auditLog), asyncRoute(async (req, res) => {
+    const { page, pageSize, leagueId, raceId } = req.query;
+    const auditLog = await getAuditLog(supabase, { page, pageSize, leagueId, raceId });
+    res.json(auditLog);
+  }));
+
+  app.use('/api', notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+export {
+  createApp
+};
@@ -0,0 +1,78 @@
+import { apiError } from './errors.js';
+import { getRepositories } from './repositories.js';
+
+function getUserForToken(supabase, token) {
+  return getRepositories(supabase).users.getUserForToken(token);
+}
+
+// Verifies the Supabase access token from the Authorization header and puts the
+// authenticated user on req.user. Bettor-facing routes take the user id from there.
+function requireUser(supabase) {
+  return async (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return next(apiError('UNAUTHORIZED', 'Missing bearer token in Authorization header'));
+    }
+
+    try {
+      const user = await getUserForToken(supabase, token);
+
+      if (!user) {
+        return next(apiError('UNAUTHORIZED', 'Invalid or expired access token'));
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// For routes that anonymous visitors can use too: a valid token puts the user on
+// req.user, no token leaves it unset, and an invalid one is still refused. EventSource
+// cannot send headers, so event streams also take the token as ?access_token=.
+function optionalUser(supabase) {
+  return async (req, res, next) => {
+    const [scheme, headerToken] = (req.get('Authorization') || '').split(' ');
+    const token = scheme === 'Bearer' && headerToken ? headerToken : req.query.access_token;
+
+    if (!token) {
+      return next();
+    }
+
+    try {
+      const user = await getUserForToken(supabase, token);
+
+      if (!user) {
+        return next(apiError('UNAUTHORIZED', 'Invalid or expired access token'));
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Restricts a route to users with the given role. Roles live in app_metadata, which only
+// the service role can write, so users cannot grant themselves one. Runs after requireUser.
+function requireRole(role) {
+  return (req, res, next) => {
+    const appMetadata = (req.user && req.user.app_metadata) || {};
+
+    if (appMetadata.role !== role) {
+      return next(apiError('FORBIDDEN', `This action requires the ${role} role`));
+    }
+
+    next();
+  };
+}
+
+export {
+  requireUser,
+  optionalUser,
+  requireRole
+};
@@ -0,0 +1,295 @@
+import { TRANSACTION_TYPE } from './wallet.js';
+import { MARKET_STATE, getMarket, settleMarket, transitionMarket } from './markets.js';
+import { settleBet, summariseRace } from './betTypes.js';
+import { diffFinishingOrder, getRaceFinishers, serialiseFinishingOrder } from './raceResults.js';
+import { resettleRaceLegs, settleRaceLegs, voidRaceLegs } from './parlays.js';
+import { calculatePoolPayouts, getRaceSettings, isPoolBet } from './pools.js';
+import { publishSettlements } from './liveUpdates.js';
+import { getRepositories } from './repositories.js';
+
+// Bet statuses used across the bets table. Cancelled bets were refunded by an operator
+// and cashed-out bets were closed by the user before the race; neither takes any
+// further part in settlement.
+const BET_STATUS = {
+  PENDING: 'pending',
+  WON: 'won',
+  LOST: 'lost',
+  VOID: 'void',
+  CANCELLED: 'cancelled',
+  CASHED_OUT: 'cashed_out'
+};
+
+const SETTLED_STATUSES = [BET_STATUS.WON, BET_STATUS.LOST, BET_STATUS.VOID];
+const CLOSED_STATUSES = [BET_STATUS.CANCELLED, BET_STATUS.CASHED_OUT];
+
+// Odds are stored as decimal odds, so a winning bet returns stake * odds.
+// Void bets return the stake, lost bets return nothing.
+function calculatePayout(bet, status) {
+  const stake = Number(bet.bet_amount);
+
+  if (status === BET_STATUS.WON) {
+    return Math.round(stake * Number(bet.odds) * 100) / 100;
+  }
+  if (status === BET_STATUS.VOID) {
+    return stake;
+  }
+  return 0;
+}
+
+// Bet type outcomes use the same values as BET_STATUS (won, lost, void)
+function settleFixedOddsBet(bet, race) {
+  const status = settleBet(bet, race);
+  return { status, payout: calculatePayout(bet, status) };
+}
+
+// Outcome and payout of each bet on a race. Pool payouts depend on every stake in the
+// pool, so this needs all of the race's bets, settled or not. Closed bets are left out.
+async function getRaceOutcomes(supabase, leagueId, raceId, bets, race) {
+  const activeBets = bets.filter(bet => !CLOSED_STATUSES.includes(bet.status));
+  const poolBets = activeBets.filter(isPoolBet);
+  const poolPayouts = poolBets.length > 0
+    ? calculatePoolPayouts(poolBets, race, (await getRaceSettings(supabase, leagueId, raceId)).rake)
+    : new Map();
+
+  return new Map(activeBets.map(bet => [
+    bet.id,
+    isPoolBet(bet) ? poolPayouts.get(bet.id) : settleFixedOddsBet(bet, race)
+  ]));
+}
+
+// The finishing order a race was settled against, or null if it has not been settled
+async function getRaceSettlement(supabase, leagueId, raceId) {
+  return getRepositories(supabase).settlements.get(leagueId, raceId);
+}
+
+// Only the first settlement is stored; later changes go through resettleRace
+async function recordRaceSettlement(supabase, leagueId, raceId, raceDetails, finishers) {
+  const now = new Date();
+  await getRepositories(supabase).settlements.record({
+    league_id: leagueId,
+    race_id: raceId,
+    season_id: (raceDetails && raceDetails.league_season_id) || null,
+    results: serialiseFinishingOrder(finishers),
+    revision: 1,
+    settled_at: now,
+    checked_at: now
+  });
+}
+
+// The ledger entry paying out a won bet or refunding a void one; null when nothing is
+// owed. The reference is unique per bet, so the bet is never credited twice.
+function settlementCredit(bet, status, payout) {
+  if (payout <= 0) {
+    return null;
+  }
+
+  const type = status === BET_STATUS.WON ? TRANSACTION_TYPE.PAYOUT : TRANSACTION_TYPE.REFUND;
+  return { type, amount: payout, reference: `${type}:bet:${bet.id}` };
+}
+
+function adjustmentCredit(bet, amount, key) {
+  return amount === 0 ? null : { type: TRANSACTION_TYPE.ADJUSTMENT, amount, reference: `${TRANSACTION_TYPE.ADJUSTMENT}:bet:${bet.id}:${key}` };
+}
+
+async function isRaceVoided(supabase, leagueId, raceId) {
+  const market = await getMarket(supabase, leagueId, raceId);
+  return Boolean(market && market.state === MARKET_STATE.VOIDED);
+}
+
+// Settles every pending bet on a subsession. The update is conditional on the bet
+// still being pending, so running this twice for the same subsession is a no-op.
+async function settleRace(supabase, leagueId, raceId, raceDetails) {
+  if (await isRaceVoided(supabase, leagueId, raceId)) {
+    console.log(`Market for league ${leagueId} race ${raceId} was voided, skipping settlement`);
+    return { leagueId, raceId, settled: [], tickets: [], skipped: true };
+  }
+
+  const finishers = await getRaceFinishers(supabase, leagueId, raceId, raceDetails);
+  const race = summariseRace(finishers);
+
+  if (finishers.size === 0) {
+    console.log(`No race session results for league ${leagueId} race ${raceId}, skipping settlement`);
+    return { leagueId, raceId, settled: [], tickets: [], skipped: true };
+  }
+
+  const bets = await getRepositories(supabase).bets.listByRace(leagueId, raceId);
+  const pendingBets = bets.filter(bet => bet.status === BET_STATUS.PENDING);
+  const outcomes = await getRaceOutcomes(supabase, leagueId, raceId, bets, race);
+
+  console.log(`Settling ${pendingBets.length} pending bets for league ${leagueId} race ${raceId}`);
+
+  const settled = [];
+  for (const bet of pendingBets) {
+    const { status, payout } = outcomes.get(bet.id);
+
+    // The bet and its credit move together, and only while the bet is pending: a bet
+    // cancelled or voided since it was read is left alone and is not paid as well
+    const updated = await getRepositories(supabase).bets.closeIfStatus(bet.id, BET_STATUS.PENDING, { status, payout },
+      settlementCredit(bet, status, payout));
+
+    if (updated) {
+      settled.push(updated);
+    }
+  }
+
+  const parlays = await settleRaceLegs(supabase, leagueId, raceId, race);
+  await settleMarket(supabase, leagueId, raceId);
+  await recordRaceSettlement(supabase, leagueId, raceId, raceDetails, finishers);
+
+  publishSettlements('bet', settled);
+  publishSettlements('ticket', parlays.tickets);
+
+  console.log(`Settled ${settled.length} bets for league ${leagueId} race ${raceId}`);
+  return { leagueId, raceId, settled, tickets: parlays.tickets, skipped: false };
+}
+
+// Re-settles a race whose official results changed after it was settled (post-race
+// penalties, disqualifications). Every settled bet is re-evaluated against the new
+// finishing order and the difference in payout is posted as an adjustment entry, so
+// the ledger keeps both the original settlement and its correction. Returns the
+// amendment, or null when the results are unchanged or the race was never settled.
+//
+// Adjustment references include the revision, and the stored settlement only moves to
+// the new revision once every bet and ticket is updated, so an interrupted run is
+// completed by the next one without posting an adjustment twice.
+async function resettleRace(supabase, leagueId, raceId, raceDetails) {
+  const settlement = await getRaceSettlement(supabase, leagueId, raceId);
+  if (!settlement || await isRaceVoided(supabase, leagueId, raceId)) {
+    return null;
+  }
+
+  const finishers = await getRaceFinishers(supabase, leagueId, raceId, raceDetails);
+  if (finishers.size === 0) {
+    return null;
+  }
+
+  const results = serialiseFinishingOrder(finishers);
+  const changes = diffFinishingOrder(settlement.results, results);
+
+  if (changes.length === 0) {
+    await getRepositories(supabase).settlements.update(leagueId, raceId, { checked_at: new Date() });
+    return null;
+  }
+
+  const revision = settlement.revision + 1;
+  const race = summariseRace(finishers);
+  console.log(`Results for league ${leagueId} race ${raceId} changed for ${changes.length} drivers, re-settling as revision ${revision}`);
+
+  const bets = await getRepositories(supabase).bets.listByRace(leagueId, raceId);
+  const outcomes = await getRaceOutcomes(supabase, leagueId, raceId, bets, race);
+
+  const amended = [];
+  for (const bet of bets.filter(item => SETTLED_STATUSES.includes(item.status))) {
+    const { status, payout } = outcomes.get(bet.id);
+    const adjustment = Math.round((payout - Number(bet.payout || 0)) * 100) / 100;
+
+    if (status === bet.status && adjustment === 0) {
+      continue;
+    }
+
+    const updated = await getRepositories(supabase).bets.closeIfStatus(bet.id, bet.status, { status, payout },
+      adjustmentCredit(bet, adjustment, `r${revision}`));
+
+    if (updated) {
+      amended.push(updated);
+    }
+  }
+
+  const parlays = await resettleRaceLegs(supabase, leagueId, raceId, race, revision);
+
+  const settlements = getRepositories(supabase).settlements;
+  await settlements.recordAmendment({
+    league_id: leagueId,
+    race_id: raceId,
+    revision,
+    previous_results: settlement.results,
+    results,
+    changes,
+    bets_amended: amended.length,
+    tickets_amended: parlays.tickets.length
+  });
+
+  const now = new Date();
+  await settlements.updateIfRevision(leagueId, raceId, settlement.revision, { results, revision, checked_at: now, amended_at: now });
+
+  publishSettlements('bet', amended);
+  publishSettlements('ticket', parlays.tickets);
+
+  console.log(`Amended ${amended.length} bets and ${parlays.tickets.length} tickets for league ${leagueId} race ${raceId}`);
+  return { leagueId, raceId, revision, changes, bets: amended, tickets: parlays.tickets };
+}
+
+// Voids a race: the market is voided and every bet on it returns its stake, apart from
+// cancelled and cashed-out bets, which are already closed. Pending bets are refunded;
+// bets that were already settled get an adjustment that brings their payout to the
+// stake. Each bet moves together with its entry and only from the status it was read
+// in, so a bet settled or cancelled meanwhile is not refunded as well. Safe to re-run.
+async function voidRace(supabase, leagueId, raceId) {
+  await transitionMarket(supabase, leagueId, raceId, MARKET_STATE.VOIDED);
+
+  const bets = await getRepositories(supabase).bets.listByRace(leagueId, raceId);
+  const voided = [];
+  for (const bet of bets.filter(item => item.status !== BET_STATUS.VOID && !CLOSED_STATUSES.includes(item.status))) {
+    const stake = Number(bet.bet_amount);
+    const credit = bet.status === BET_STATUS.PENDING
+      ? settlementCredit(bet, BET_STATUS.VOID, stake)
+      : adjustmentCredit(bet, Math.round((stake - Number(bet.payout || 0)) * 100) / 100, 'void');
+
+    const updated = await getRepositories(supabase).bets.closeIfStatus(bet.id, bet.status, { status: BET_STATUS.VOID, payout: stake }, credit);
+
+    if (updated) {
+      voided.push(updated);
+    }
+  }
+
+  const parlays = await voidRaceLegs(supabase, leagueId, raceId);
+
+  publishSettlements('bet', voided);
+  publishSettlements('ticket', parlays.tickets);
+
+  console.log(`Voided ${voided.length} bets and ${parlays.tickets.length} tickets for league ${leagueId} race ${raceId}`);
+  return { leagueId, raceId, bets: voided, tickets: parlays.tickets };
+}
+
+// Cancels a pending bet and refunds its stake, both in one step and only while the bet
+// is pending, so settlement cannot pay the bet as well. Cancelling a cancelled bet
+// returns it unchanged.
+async function cancelBet(supabase, betId) {
+  const bets = getRepositories(supabase).bets;
+  const bet = await bets.getById(betId);
+
+  if (!bet || (bet.status !== BET_STATUS.PENDING && bet.status !== BET_STATUS.CANCELLED)) {
+    const notCancellable = new Error(bet ? `Bet ${betId} is already ${bet.status}` : `Bet ${betId} does not exist`);
+    notCancellable.code = 'BET_NOT_CANCELLABLE';
+    throw notCancellable;
+  }
+
+  if (bet.status === BET_STATUS.CANCELLED) {
+    return bet;
+  }
+
+  const stake = Number(bet.bet_amount);
+  const cancelled = await bets.closeIfStatus(bet.id, BET_STATUS.PENDING, { status: BET_STATUS.CANCELLED, payout: stake }, {
+    type: TRANSACTION_TYPE.REFUND,
+    amount: stake,
+    reference: `${TRANSACTION_TYPE.REFUND}:bet:${bet.id}`
+  });
+
+  if (!cancelled) {
+    // Settled, voided or cancelled between the read and the update
+    return cancelBet(supabase, betId);
+  }
+
+  publishSettlements('bet', [cancelled]);
+  return cancelled;
+}
+
+export {
+  BET_STATUS,
+  calculatePayout,
+  getRaceSettlement,
+  settleRace,
+  resettleRace,
+  voidRace,
+  cancelBet
+};
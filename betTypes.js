@@ -0,0 +1,245 @@
+// Bet types and their rules. Each type validates its selection, gives its probability
+// from the race model built by oddsEngine.js, and settles against a race summary
+// built from getRaceDetails (see summariseRace).
+//
+// A selection is { driverId, opponentId, line }; only head_to_head uses opponentId and
+// only the incident markets use line.
+
+const BET_TYPE = {
+  WIN: 'win',
+  TOP_3: 'top_3',
+  TOP_5: 'top_5',
+  TOP_10: 'top_10',
+  HEAD_TO_HEAD: 'head_to_head',
+  FASTEST_LAP: 'fastest_lap',
+  MOST_LAPS_LED: 'most_laps_led',
+  INCIDENTS_OVER: 'incidents_over',
+  INCIDENTS_UNDER: 'incidents_under'
+};
+
+const OUTCOME = {
+  WON: 'won',
+  LOST: 'lost',
+  VOID: 'void'
+};
+
+const TOP_N_POSITIONS = [3, 5, 10];
+
+function didNotStart(finisher) {
+  return !finisher || finisher.lapsComplete === 0;
+}
+
+// Race-wide facts some markets need, computed once per settlement run
+function summariseRace(finishers) {
+  const starters = [...finishers.entries()].filter(([, finisher]) => !didNotStart(finisher));
+
+  const lapTimes = starters.filter(([, finisher]) => finisher.bestLapTime > 0);
+  const fastestLapTime = Math.min(...lapTimes.map(([, finisher]) => finisher.bestLapTime));
+  const mostLapsLed = Math.max(0, ...starters.map(([, finisher]) => finisher.lapsLed || 0));
+
+  return {
+    finishers,
+    fastestLapDrivers: lapTimes.filter(([, finisher]) => finisher.bestLapTime === fastestLapTime).map(([custId]) => custId),
+    mostLapsLedDrivers: mostLapsLed > 0
+      ? starters.filter(([, finisher]) => finisher.lapsLed === mostLapsLed).map(([custId]) => custId)
+      : []
+  };
+}
+
+// Markets with a single winner are void on a tie for the top spot
+function settleUniqueWinner(driverId, winners) {
+  if (!winners.includes(driverId)) {
+    return OUTCOME.LOST;
+  }
+  return winners.length === 1 ? OUTCOME.WON : OUTCOME.VOID;
+}
+
+function requireDriver(selection) {
+  return Number.isInteger(selection.driverId) && selection.driverId > 0
+    ? null
+    : 'selectedDriverId must be an iRacing customer id';
+}
+
+function requireIncidentLine(selection) {
+  const driverError = requireDriver(selection);
+  if (driverError) {
+    return driverError;
+  }
+  // Half-point lines mean an over/under can never push
+  if (!Number.isFinite(selection.line) || selection.line < 0 || selection.line % 1 !== 0.5) {
+    return 'line must be a non-negative half-point number such as 4.5';
+  }
+  return null;
+}
+
+// Probability that a Poisson(lambda) count is at most k
+function poissonCdf(k, lambda) {
+  let term = Math.exp(-lambda);
+  let sum = term;
+  for (let i = 1; i <= k; i++) {
+    term *= lambda / i;
+    sum += term;
+  }
+  return Math.min(1, sum);
+}
+
+function topNType(positions) {
+  return {
+    validate: requireDriver,
+    // Finishing in the top N of a field of N or fewer only takes starting
+    offered: model => model.drivers.length > positions,
+    probability: (model, selection) => model.top[positions].get(selection.driverId),
+    settle: (selection, race) => {
+      const finisher = race.finishers.get(selection.driverId);
+      if (didNotStart(finisher)) {
+        return OUTCOME.VOID;
+      }
+      return finisher.position <= positions ? OUTCOME.WON : OUTCOME.LOST;
+    }
+  };
+}
+
+const BET_TYPES = {
+  [BET_TYPE.WIN]: {
+    validate: requireDriver,
+    probability: (model, selection) => model.win.get(selection.driverId),
+    settle: (selection, race) => {
+      const finisher = race.finishers.get(selection.driverId);
+      if (didNotStart(finisher)) {
+        return OUTCOME.VOID;
+      }
+      return finisher.position === 1 ? OUTCOME.WON : OUTCOME.LOST;
+    }
+  },
+  [BET_TYPE.TOP_3]: topNType(3),
+  [BET_TYPE.TOP_5]: topNType(5),
+  [BET_TYPE.TOP_10]: topNType(10),
+  [BET_TYPE.HEAD_TO_HEAD]: {
+    validate: selection => {
+      const driverError = requireDriver(selection);
+      if (driverError) {
+        return driverError;
+      }
+      if (!Number.isInteger(selection.opponentId) || selection.opponentId <= 0) {
+        return 'opponentId must be an iRacing customer id';
+      }
+      return selection.opponentId === selection.driverId ? 'opponentId must differ from selectedDriverId' : null;
+    },
+    // Under the Plackett-Luce model A finishes ahead of B with probability sA / (sA + sB)
+    probability: (model, selection) => {
+      const driver = model.strengths.get(selection.driverId);
+      const opponent = model.strengths.get(selection.opponentId);
+      return driver / (driver + opponent);
+    },
+    settle: (selection, race) => {
+      const driver = race.finishers.get(selection.driverId);
+      const opponent = race.finishers.get(selection.opponentId);
+      if (didNotStart(driver) || didNotStart(opponent)) {
+        return OUTCOME.VOID;
+      }
+      return driver.position < opponent.position ? OUTCOME.WON : OUTCOME.LOST;
+    }
+  },
+  [BET_TYPE.FASTEST_LAP]: {
+    validate: requireDriver,
+    probability: (model, selection) => model.fastestLap.get(selection.driverId),
+    settle: (selection, race) => {
+      if (didNotStart(race.finishers.get(selection.driverId))) {
+        return OUTCOME.VOID;
+      }
+      return settleUniqueWinner(selection.driverId, race.fastestLapDrivers);
+    }
+  },
+  [BET_TYPE.MOST_LAPS_LED]: {
+    validate: requireDriver,
+    // Whoever leads the most laps usually wins, so this follows the win price
+    probability: (model, selection) => model.win.get(selection.driverId),
+    settle: (selection, race) => {
+      if (didNotStart(race.finishers.get(selection.driverId))) {
+        return OUTCOME.VOID;
+      }
+      return settleUniqueWinner(selection.driverId, race.mostLapsLedDrivers);
+    }
+  },
+  [BET_TYPE.INCIDENTS_OVER]: {
+    validate: requireIncidentLine,
+    probability: (model, selection) => 1 - poissonCdf(Math.floor(selection.line), model.incidents.get(selection.driverId)),
+    settle: (selection, race) => {
+      const finisher = race.finishers.get(selection.driverId);
+      if (didNotStart(finisher)) {
+        return OUTCOME.VOID;
+      }
+      return finisher.incidents > selection.line ? OUTCOME.WON : OUTCOME.LOST;
+    }
+  },
+  [BET_TYPE.INCIDENTS_UNDER]: {
+    validate: requireIncidentLine,
+    probability: (model, selection) => poissonCdf(Math.floor(selection.line), model.incidents.get(selection.driverId)),
+    settle: (selection, race) => {
+      const finisher = race.finishers.get(selection.driverId);
+      if (didNotStart(finisher)) {
+        return OUTCOME.VOID;
+      }
+      return finisher.incidents < selection.line ? OUTCOME.WON : OUTCOME.LOST;
+    }
+  }
+};
+
+function isBetType(betType) {
+  return Object.prototype.hasOwnProperty.call(BET_TYPES, betType);
+}
+
+// Normalises a selection from request input or a stored bet row
+function buildSelection({ driverId, opponentId, line }) {
+  return {
+    driverId: Number(driverId),
+    opponentId: opponentId === undefined || opponentId === null ? null : Number(opponentId),
+    line: line === undefined || line === null ? null : Number(line)
+  };
+}
+
+// Returns an error message, or null when the selection is valid for the bet type
+function validateSelection(betType, selection) {
+  if (!isBetType(betType)) {
+    return `Unknown bet type: ${betType}`;
+  }
+  return BET_TYPES[betType].validate(selection);
+}
+
+// Bets placed before bet types existed have no bet_type and are win bets
+function getBetSelection(bet) {
+  return buildSelection({
+    driverId: bet.selected_driver_id,
+    ...(bet.selection || {})
+  });
+}
+
+function settleBet(bet, race) {
+  const betType = bet.bet_type || BET_TYPE.WIN;
+  return BET_TYPES[betType].settle(getBetSelection(bet), race);
+}
+
+function getSelectionProbability(model, betType, selection) {
+  return BET_TYPES[betType].probability(model, selection);
+}
+
+// Whether the race is one the bet type can be offered on at all, whatever the price
+function isBetTypeOffered(model, betType) {
+  const { offered } = BET_TYPES[betType];
+  return !offered || offered(model);
+}
+
+export {
+  BET_TYPE,
+  OUTCOME,
+  TOP_N_POSITIONS,
+  didNotStart,
+  summariseRace,
+  isBetType,
+  buildSelection,
+  validateSelection,
+  getBetSelection,
+  settleBet,
+  getSelectionProbability,
+  isBetTypeOffered
+};
@@ -0,0 +1,72 @@
+const DEFAULT_MAX_ENTRIES = 500;
+
+// In-memory cache with a TTL per entry. Concurrent loads of the same key share one
+// in-flight promise, and failed loads are never cached. When the cache is full the
+// oldest entry is evicted (Map keeps insertion order).
+class TtlCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.inFlight = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    const fetchedAt = Date.now();
+    const entry = { value, fetchedAt, expiresAt: fetchedAt + ttl };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  // ttl may be a function of the loaded value, e.g. to keep finished results for longer
+  async getOrLoad(key, ttl, loader) {
+    const cached = this.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const load = (async () => {
+      try {
+        const value = await loader();
+        return this.set(key, value, typeof ttl === 'function' ? ttl(value) : ttl);
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, load);
+    return load;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export {
+  TtlCache
+};
@@ -0,0 +1,126 @@
+import { assertMarketOpen, getMarket } from './markets.js';
+import { quoteSelection } from './oddsEngine.js';
+import { BET_TYPE, getBetSelection } from './betTypes.js';
+import { BET_STATUS } from './betSettlement.js';
+import { isPoolBet } from './pools.js';
+import { getRepositories } from './repositories.js';
+
+const DEFAULT_CASHOUT_MARGIN = 0.05; // Kept from the fair value of the bet
+const DEFAULT_QUOTE_TTL = 15 * 1000; // Quotes can be accepted for 15 seconds
+
+function getCashOutMargin() {
+  const margin = parseFloat(process.env.CASHOUT_MARGIN);
+  return Number.isFinite(margin) && margin >= 0 && margin < 1 ? margin : DEFAULT_CASHOUT_MARGIN;
+}
+
+function getQuoteTtl() {
+  const ttl = parseInt(process.env.CASHOUT_QUOTE_TTL_MS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_QUOTE_TTL;
+}
+
+function cashOutError(message, code = 'CASHOUT_UNAVAILABLE') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// A bet struck at odds O is worth stake * O / C at the current odds C; the cash-out
+// margin comes off that, and the amount is rounded down to the cent
+function calculateCashOut(bet, currentOdds, margin = getCashOutMargin()) {
+  const fairValue = Number(bet.bet_amount) * Number(bet.odds) / currentOdds;
+  return Math.floor(fairValue * (1 - margin) * 100) / 100;
+}
+
+async function getCashOutBet(supabase, userId, betId) {
+  const bet = await getRepositories(supabase).bets.getById(betId);
+
+  // Other users' bets are reported as missing rather than forbidden
+  if (!bet || bet.user_id !== userId) {
+    throw cashOutError(`Bet ${betId} does not exist`, 'BET_NOT_FOUND');
+  }
+  if (bet.status !== BET_STATUS.PENDING) {
+    throw cashOutError(`Bet ${betId} is already ${bet.status}`);
+  }
+  if (isPoolBet(bet)) {
+    throw cashOutError('Pool bets cannot be cashed out');
+  }
+
+  return bet;
+}
+
+function toQuote(bet, stored, pricedAt) {
+  return {
+    quoteId: stored.id,
+    betId: bet.id,
+    stake: Number(bet.bet_amount),
+    odds: Number(bet.odds),
+    currentOdds: Number(stored.current_odds),
+    amount: Number(stored.amount),
+    pricedAt,
+    expiresAt: new Date(stored.expires_at).toISOString()
+  };
+}
+
+// Prices a pending bet against the current server odds and stores the offer. The offer
+// expires after CASHOUT_QUOTE_TTL_MS, and never later than the session's launch_at.
+// While an offer is live it is handed back again, so polling the offer stores at most
+// one quote per bet per CASHOUT_QUOTE_TTL_MS.
+async function getCashOutQuote(supabase, iracing, userId, betId) {
+  const bet = await getCashOutBet(supabase, userId, betId);
+  await assertMarketOpen(supabase, iracing, bet.league_id, bet.season_id, bet.race_id);
+
+  const cashOuts = getRepositories(supabase).cashOuts;
+  const live = await cashOuts.findLiveQuote(bet.id, userId);
+  if (live) {
+    return toQuote(bet, live, new Date(live.created_at).toISOString());
+  }
+
+  let quote;
+  try {
+    quote = await quoteSelection(iracing, bet.league_id, bet.season_id, bet.race_id, bet.bet_type || BET_TYPE.WIN, getBetSelection(bet));
+  } catch (error) {
+    if (error.code === 'DRIVER_NOT_PRICED' || error.code === 'SELECTION_NOT_OFFERED') {
+      throw cashOutError('This bet cannot be priced for cash-out right now');
+    }
+    throw error;
+  }
+
+  const market = await getMarket(supabase, bet.league_id, bet.race_id);
+  const launchAt = market && market.launch_at ? new Date(market.launch_at).getTime() : Infinity;
+  const expiresAt = new Date(Math.min(Date.now() + getQuoteTtl(), launchAt));
+  const amount = calculateCashOut(bet, quote.odds);
+
+  const stored = await cashOuts.createQuote({
+    bet_id: bet.id,
+    user_id: userId,
+    amount,
+    current_odds: quote.odds,
+    expires_at: expiresAt
+  });
+
+  return toQuote(bet, stored, quote.pricedAt);
+}
+
+// A quote that does not belong to the bet is reported like a bet that does not exist
+function toCashOutError(error) {
+  return error.code === 'CASHOUT_QUOTE_NOT_FOUND' ? cashOutError(error.message, 'BET_NOT_FOUND') : error;
+}
+
+// Accepts a stored quote: the bet becomes cashed_out and the amount is credited in one
+// transaction (accept_cashout), which also refuses expired or already used quotes.
+async function acceptCashOut(supabase, iracing, userId, betId, quoteId) {
+  const bet = await getCashOutBet(supabase, userId, betId);
+  await assertMarketOpen(supabase, iracing, bet.league_id, bet.season_id, bet.race_id);
+
+  try {
+    return await getRepositories(supabase).cashOuts.accept({ quoteId, betId: bet.id, userId });
+  } catch (error) {
+    throw toCashOutError(error);
+  }
+}
+
+export {
+  calculateCashOut,
+  getCashOutQuote,
+  acceptCashOut
+};
@@ -0,0 +1,266 @@
+import { BET_TYPE } from './betTypes.js';
+import { getEnabledLeague, getEnabledLeagues } from './leagues.js';
+import { getRepositories } from './repositories.js';
+
+// Links between Supabase users and the iRacing drivers they race as. A link is only
+// made for a driver on the roster of an enabled league, and each driver can be linked
+// to one user. The link drives the self-betting rule each league sets in the registry.
+//
+// The roster is public, so a claim cannot prove the user is the driver. When a second
+// user claims a driver who is already linked, their claim becomes a dispute that an
+// operator resolves: upholding it moves the link to the claimant.
+const SELF_BETTING_RULE = {
+  // No bets that pay out when the linked driver does badly, which includes backing
+  // another driver in a race the linked driver is entered in
+  AGAINST: 'against',
+  // No bets at all on races the linked driver is entered in
+  ENTERED: 'entered'
+};
+
+const DISPUTE_STATUS = {
+  OPEN: 'open',
+  UPHELD: 'upheld',
+  REJECTED: 'rejected'
+};
+
+const MAX_CANDIDATES = 10;
+
+function linkError(message, code, fields = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, fields);
+  return error;
+}
+
+// Exact name, then names starting with the search, then a word starting with it,
+// then anything containing it
+function matchScore(displayName, search) {
+  const name = displayName.toLowerCase();
+  if (name === search) {
+    return 3;
+  }
+  if (name.startsWith(search)) {
+    return 2;
+  }
+  if (name.split(/\s+/).some(word => word.startsWith(search))) {
+    return 1;
+  }
+  return 0;
+}
+
+function toLicense(license) {
+  return {
+    category: license.category,
+    className: license.group_name,
+    safetyRating: license.safety_rating,
+    iRating: license.irating
+  };
+}
+
+// Ranked drivers matching a name, with club and licence details to tell them apart
+async function searchDriverCandidates(iracing, name) {
+  const search = name.trim().toLowerCase();
+  const drivers = await iracing.searchDrivers(name.trim());
+
+  const ranked = drivers
+    .map((driver, index) => ({ driver, index, score: matchScore(driver.display_name || '', search) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, MAX_CANDIDATES);
+
+  const members = await iracing.getMemberProfiles(ranked.map(({ driver }) => driver.cust_id));
+  const membersById = new Map(members.map(member => [Number(member.cust_id), member]));
+
+  return ranked.map(({ driver, score }) => {
+    const member = membersById.get(Number(driver.cust_id)) || {};
+    return {
+      custId: Number(driver.cust_id),
+      displayName: driver.display_name,
+      exactMatch: score === 3,
+      clubName: member.club_name || null,
+      licenses: Array.isArray(member.licenses) ? member.licenses.map(toLicense) : []
+    };
+  });
+}
+
+async function isOnRoster(iracing, leagueId, custId) {
+  const { roster } = await iracing.getLeagueRoster(leagueId);
+  return (Array.isArray(roster) ? roster : []).find(driver => Number(driver.cust_id) === custId) || null;
+}
+
+async function getLinkedDriver(supabase, userId) {
+  return getRepositories(supabase).driverLinks.getByUser(userId);
+}
+
+// Links the user to a driver once the driver is confirmed on a league roster: the one
+// given, or any enabled league. Re-claiming the user's own driver refreshes the check.
+// Claiming a driver linked to someone else is refused with the dispute it opened.
+async function claimDriver(supabase, iracing, userId, { custId, leagueId }) {
+  const driverId = Number(custId);
+  if (!Number.isInteger(driverId) || driverId <= 0) {
+    throw linkError('custId must be an iRacing customer id', 'INVALID_DRIVER_CLAIM');
+  }
+
+  const leagues = leagueId ? [getEnabledLeague(leagueId)].filter(Boolean) : getEnabledLeagues();
+  if (leagues.length === 0) {
+    throw linkError(`League ${leagueId} is not enabled`, 'INVALID_DRIVER_CLAIM');
+  }
+
+  let rosterEntry = null;
+  let verifiedLeague = null;
+  for (const league of leagues) {
+    rosterEntry = await isOnRoster(iracing, league.id, driverId);
+    if (rosterEntry) {
+      verifiedLeague = league;
+      break;
+    }
+  }
+
+  if (!rosterEntry) {
+    throw linkError(`Driver ${driverId} is not on the roster of ${leagueId ? `league ${leagueId}` : 'any enabled league'}`, 'DRIVER_NOT_ON_ROSTER');
+  }
+
+  const links = getRepositories(supabase).driverLinks;
+  const existing = await links.getByDriver(driverId);
+
+  if (existing && existing.user_id !== userId) {
+    const dispute = await openDispute(supabase, {
+      cust_id: driverId,
+      display_name: rosterEntry.display_name || null,
+      league_id: verifiedLeague.id,
+      claimant_id: userId,
+      holder_id: existing.user_id
+    });
+    throw alreadyClaimed(driverId, dispute);
+  }
+
+  const link = await links.save({
+    user_id: userId,
+    cust_id: driverId,
+    display_name: rosterEntry.display_name || null,
+    league_id: verifiedLeague.id,
+    verified_at: new Date()
+  });
+
+  // Two users claiming the same driver at once: the unique cust_id wins, and claiming
+  // again opens a dispute
+  if (!link) {
+    throw alreadyClaimed(driverId, null);
+  }
+
+  return link;
+}
+
+function alreadyClaimed(driverId, dispute) {
+  const message = dispute
+    ? `Driver ${driverId} is already linked to another account. An operator will review your claim.`
+    : `Driver ${driverId} is already linked to another account`;
+  return linkError(message, 'DRIVER_ALREADY_CLAIMED', { disputeId: dispute ? dispute.id : null });
+}
+
+// A user has at most one open dispute per driver; claiming again returns it
+async function openDispute(supabase, claim) {
+  const links = getRepositories(supabase).driverLinks;
+  const open = await links.findDispute({ custId: claim.cust_id, claimantId: claim.claimant_id, status: DISPUTE_STATUS.OPEN });
+
+  if (open) {
+    return open;
+  }
+
+  const dispute = await links.createDispute({ ...claim, status: DISPUTE_STATUS.OPEN });
+
+  console.log(`User ${claim.claimant_id} disputes the link to driver ${claim.cust_id}`);
+  return dispute;
+}
+
+// Disputes in the given status, oldest first
+async function getDriverDisputes(supabase, status = DISPUTE_STATUS.OPEN) {
+  return getRepositories(supabase).driverLinks.listDisputes(status);
+}
+
+// Settles an open dispute. Upholding it unlinks the driver from the current holder and
+// links them to the claimant, replacing any driver the claimant had linked; rejecting
+// it leaves the link as it is.
+async function resolveDriverDispute(supabase, disputeId, { outcome, adminId }) {
+  const links = getRepositories(supabase).driverLinks;
+  const dispute = await links.getDispute(disputeId);
+
+  if (!dispute) {
+    throw linkError(`Dispute ${disputeId} not found`, 'DISPUTE_NOT_FOUND');
+  }
+  if (dispute.status !== DISPUTE_STATUS.OPEN) {
+    throw linkError(`Dispute ${disputeId} is already ${dispute.status}`, 'DISPUTE_NOT_OPEN');
+  }
+
+  let link = null;
+  if (outcome === DISPUTE_STATUS.UPHELD) {
+    await links.removeByDriver(dispute.cust_id);
+
+    link = await links.save({
+      user_id: dispute.claimant_id,
+      cust_id: dispute.cust_id,
+      display_name: dispute.display_name,
+      league_id: dispute.league_id,
+      verified_at: new Date()
+    });
+  }
+
+  // Conditional on the dispute still being open, so it is only resolved once
+  const resolved = await links.updateDisputeIfStatus(dispute.id, DISPUTE_STATUS.OPEN, {
+    status: outcome,
+    resolved_by: adminId,
+    resolved_at: new Date()
+  });
+
+  if (!resolved) {
+    throw linkError(`Dispute ${disputeId} was resolved by someone else`, 'DISPUTE_NOT_OPEN');
+  }
+
+  console.log(`Dispute ${disputeId} over driver ${dispute.cust_id} ${outcome}`);
+  return { dispute: resolved, link };
+}
+
+// Whether a selection pays out when the given driver does badly
+function isBetAgainst(custId, betType, selection) {
+  if (betType === BET_TYPE.HEAD_TO_HEAD && selection.opponentId === custId) {
+    return true;
+  }
+  return betType === BET_TYPE.INCIDENTS_OVER && selection.driverId === custId;
+}
+
+// Applies the league's self-betting rule to a bet by a user with a linked driver.
+// Betting against the driver is never allowed, and neither is backing anyone else in a
+// race the driver is entered in, as that also pays when the driver does badly. Under
+// 'entered' no bet at all is allowed on such a race. A linked driver on the league
+// roster counts as entered, as the roster is the field the odds engine prices.
+async function assertSelfBettingAllowed(supabase, iracing, userId, leagueId, betType, selection) {
+  const link = await getLinkedDriver(supabase, userId);
+  if (!link) {
+    return;
+  }
+
+  const custId = Number(link.cust_id);
+  const league = getEnabledLeague(leagueId);
+  const rule = (league && league.selfBettingRule) || SELF_BETTING_RULE.AGAINST;
+
+  if (isBetAgainst(custId, betType, selection)) {
+    throw linkError('You cannot bet against your own driver', 'SELF_BETTING_NOT_ALLOWED');
+  }
+
+  const onOtherDriver = Number(selection.driverId) !== custId;
+  if ((rule === SELF_BETTING_RULE.ENTERED || onOtherDriver) && await isOnRoster(iracing, leagueId, custId)) {
+    throw linkError(rule === SELF_BETTING_RULE.ENTERED
+      ? 'You cannot bet on races you are entered in'
+      : 'You cannot back another driver in a race you are entered in', 'SELF_BETTING_NOT_ALLOWED');
+  }
+}
+
+export {
+  SELF_BETTING_RULE,
+  DISPUTE_STATUS,
+  searchDriverCandidates,
+  getLinkedDriver,
+  claimDriver,
+  getDriverDisputes,
+  resolveDriverDispute,
+  assertSelfBettingAllowed
+};
@@ -0,0 +1,113 @@
+// The one place errors become HTTP responses. Route handlers and middleware pass errors
+// to next() and this answers with { code, message, fields }: `code` is stable for
+// clients to branch on, `message` is for people and `fields` maps request fields to
+// what is wrong with them (null unless the request failed validation). Some codes add
+// the details a client needs to recover, such as the current odds or when to retry.
+//
+// 4xx codes are the client's to fix. IRACING_* codes mean iRacing failed us (502, or
+// 503 while it is throttling us); anything else is our own failure and answers 500
+// without the underlying message, which goes to the log instead.
+const ERROR_RESPONSES = {
+  VALIDATION_FAILED: { status: 400 },
+  INVALID_JSON: { status: 400 },
+  INSUFFICIENT_FUNDS: { status: 400 },
+  INVALID_SELECTION: { status: 400 },
+  INVALID_PARLAY: { status: 400 },
+  INVALID_RESULTS: { status: 400 },
+  INVALID_LEADERBOARD: { status: 400 },
+  INVALID_LIMIT: { status: 400 },
+  INVALID_EXCLUSION: { status: 400 },
+  INVALID_DRIVER_CLAIM: { status: 400 },
+  DRIVER_NOT_ON_ROSTER: { status: 400 },
+  DRIVER_NOT_PRICED: { status: 400 },
+  SELECTION_NOT_OFFERED: { status: 400 },
+  UNAUTHORIZED: { status: 401 },
+  FORBIDDEN: { status: 403 },
+  SELF_EXCLUDED: { status: 403, expose: ['until'] },
+  ON_BREAK: { status: 403, expose: ['until'] },
+  STAKE_LIMIT_EXCEEDED: { status: 403, expose: ['period', 'limit', 'remaining'] },
+  LOSS_LIMIT_EXCEEDED: { status: 403, expose: ['period', 'limit', 'remaining'] },
+  SELF_BETTING_NOT_ALLOWED: { status: 403 },
+  NOT_FOUND: { status: 404 },
+  RACE_NOT_FOUND: { status: 404 },
+  SEASON_NOT_FOUND: { status: 404 },
+  BET_NOT_FOUND: { status: 404 },
+  DISPUTE_NOT_FOUND: { status: 404 },
+  MARKET_NOT_OPEN: { status: 409, expose: ['marketState'] },
+  BET_NOT_CANCELLABLE: { status: 409 },
+  INVALID_MARKET_TRANSITION: { status: 409 },
+  CASHOUT_UNAVAILABLE: { status: 409 },
+  CASHOUT_QUOTE_EXPIRED: { status: 409 },
+  DRIVER_ALREADY_CLAIMED: { status: 409, expose: ['disputeId'] },
+  DISPUTE_NOT_OPEN: { status: 409 },
+  ODDS_CHANGED: { status: 409, expose: ['currentOdds', 'pricedAt'] },
+  IDEMPOTENCY_KEY_IN_PROGRESS: { status: 409, expose: ['retryAfter'] },
+  IDEMPOTENCY_KEY_REUSED: { status: 422 },
+  RATE_LIMITED: { status: 429, expose: ['retryAfter'] },
+  IRACING_ERROR: { status: 502, message: 'iRacing could not be reached or sent an invalid response' },
+  IRACING_AUTH_FAILED: { status: 502, message: 'The iRacing login failed' },
+  IRACING_RATE_LIMITED: { status: 503, expose: ['retryAfter'], message: 'iRacing is rate limiting requests, please try again shortly' },
+  STORAGE_ERROR: { status: 500, message: 'The request could not be completed, please try again' }
+};
+
+const INTERNAL_ERROR = { status: 500, message: 'Something went wrong on our side' };
+
+// For errors raised by the HTTP layer itself; domain modules build their own
+function apiError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+// express.json() reports unreadable bodies with a `type` and a 4xx `status`, which is
+// kept (413 for oversized bodies, for one)
+function isBodyParserError(error) {
+  return Boolean(error.type) && error.status >= 400 && error.status < 500;
+}
+
+function fromBodyParser(error) {
+  return error.type === 'entity.parse.failed'
+    ? apiError('INVALID_JSON', 'The request body is not valid JSON')
+    : apiError('VALIDATION_FAILED', error.message);
+}
+
+function notFound(req, res, next) {
+  next(apiError('NOT_FOUND', `No route for ${req.method} ${req.path}`));
+}
+
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const fromBody = isBodyParserError(error);
+  const known = fromBody ? fromBodyParser(error) : error;
+  const response = ERROR_RESPONSES[known.code] || INTERNAL_ERROR;
+  const status = fromBody ? error.status : response.status;
+  const code = ERROR_RESPONSES[known.code] ? known.code : 'INTERNAL_ERROR';
+
+  if (status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  }
+
+  const body = {
+    code,
+    message: response.message || known.message,
+    fields: known.fields || null
+  };
+  (response.expose || []).forEach(name => {
+    body[name] = known[name];
+  });
+
+  if (known.retryAfter) {
+    res.set('Retry-After', String(known.retryAfter));
+  }
+  res.status(status).json(body);
+}
+
+export {
+  apiError,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,328 @@
+import { TRANSACTION_TYPE, placeFuturesBet, recordTransaction } from './wallet.js';
+import { applyMargin, createRandom, getHouseMargin } from './oddsEngine.js';
+import { publishSettlements } from './liveUpdates.js';
+import { getRepositories } from './repositories.js';
+
+// Season championship futures: one market per league season on who finishes top of
+// the points standings. Prices are stored on the market row so bets lock against the
+// same numbers the listing showed, and are recomputed after every race.
+const FUTURES_STATE = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+  SETTLED: 'settled'
+};
+
+// Futures bets use the single-bet statuses
+const FUTURES_BET_STATUS = {
+  PENDING: 'pending',
+  WON: 'won',
+  LOST: 'lost',
+  VOID: 'void'
+};
+
+const DEFAULT_CLOSE_RACES_REMAINING = 1; // Close when the final race launches
+const SIMULATION_RUNS = 5000;
+const MIN_PROBABILITY = 0.001; // Keeps long shots priced instead of unbackable
+const ODDS_TOLERANCE = 0.005;
+
+function getCloseRacesRemaining() {
+  const races = parseInt(process.env.FUTURES_CLOSE_RACES_REMAINING, 10);
+  return Number.isFinite(races) && races >= 1 ? races : DEFAULT_CLOSE_RACES_REMAINING;
+}
+
+function futuresError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Driver rows from /data/league/season_standings as { custId, displayName, points }
+function getDriverStandings(standingsData) {
+  const standings = (standingsData && standingsData.standings) || standingsData || {};
+  const rows = Array.isArray(standings.driver_standings) ? standings.driver_standings : [];
+
+  return rows
+    .map(row => {
+      const driver = row.driver || row;
+      return {
+        custId: Number(driver.cust_id),
+        displayName: driver.display_name || '',
+        points: Number(row.total_points !== undefined ? row.total_points : row.points) || 0
+      };
+    })
+    .filter(row => row.custId > 0);
+}
+
+// Completed and remaining races, and when the market closes: at the launch of the race
+// that leaves FUTURES_CLOSE_RACES_REMAINING races to run
+function getSeasonProgress(sessions) {
+  const races = sessions
+    .filter(session => session.subsession_id)
+    .sort((a, b) => new Date(a.launch_at) - new Date(b.launch_at));
+  const completed = races.filter(session => session.has_results).length;
+  const closingRace = races[races.length - getCloseRacesRemaining()];
+
+  return {
+    completed,
+    remaining: races.length - completed,
+    closesAt: closingRace ? new Date(closingRace.launch_at) : null
+  };
+}
+
+function seedFromStandings(standings) {
+  return standings.reduce((seed, driver) => (Math.imul(seed, 31) + driver.custId + driver.points) >>> 0, 17);
+}
+
+// Championship probabilities from the current points. Each driver is expected to keep
+// scoring at their season average, with the uncertainty of one race about the size of
+// the field's average haul and growing with the square root of the races left.
+// Once no races remain the leader has won (shared between drivers tied on points).
+function calculateChampionshipProbabilities(standings, completed, remaining) {
+  const probabilities = new Map();
+  if (standings.length === 0) {
+    return probabilities;
+  }
+
+  if (remaining === 0) {
+    const topPoints = Math.max(...standings.map(driver => driver.points));
+    const leaders = standings.filter(driver => driver.points === topPoints);
+    standings.forEach(driver => probabilities.set(driver.custId, leaders.includes(driver) ? 1 / leaders.length : 0));
+    return probabilities;
+  }
+
+  const perRace = standings.map(driver => (completed > 0 ? driver.points / completed : 0));
+  const averageHaul = perRace.reduce((sum, points) => sum + points, 0) / standings.length;
+  const spread = (averageHaul || 1) * Math.sqrt(remaining);
+  const random = createRandom(seedFromStandings(standings));
+  const normal = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+  const wins = new Array(standings.length).fill(0);
+  for (let run = 0; run < SIMULATION_RUNS; run++) {
+    let best = 0;
+    let bestPoints = -Infinity;
+    standings.forEach((driver, index) => {
+      const finalPoints = driver.points + perRace[index] * remaining + spread * normal();
+      if (finalPoints > bestPoints) {
+        best = index;
+        bestPoints = finalPoints;
+      }
+    });
+    wins[best]++;
+  }
+
+  standings.forEach((driver, index) => probabilities.set(driver.custId, wins[index] / SIMULATION_RUNS));
+  return probabilities;
+}
+
+async function getFuturesRow(supabase, leagueId, seasonId) {
+  return getRepositories(supabase).futures.getMarket(leagueId, seasonId);
+}
+
+// Season ids come from the request, so a market is only created for the league's own seasons
+async function assertLeagueSeason(iracing, leagueId, seasonId) {
+  const seasonsData = await iracing.getLeagueSeasons(leagueId);
+  const seasons = Array.isArray(seasonsData.seasons) ? seasonsData.seasons : [];
+
+  if (!seasons.some(season => Number(season.season_id) === Number(seasonId))) {
+    throw futuresError(`Season ${seasonId} is not a season of league ${leagueId}`, 'SEASON_NOT_FOUND');
+  }
+}
+
+// Reprices an open market (or creates it) from fresh standings. Markets past their
+// closing point are closed instead, and closed or settled markets are left alone: the
+// write only goes through while the market is still open, so one closed or settled
+// while the standings were fetched is returned as it now is rather than reopened.
+async function priceFuturesMarket(supabase, iracing, leagueId, seasonId, { refresh = false } = {}) {
+  const futures = getRepositories(supabase).futures;
+  const market = await getFuturesRow(supabase, leagueId, seasonId);
+  if (market && market.state !== FUTURES_STATE.OPEN) {
+    return market;
+  }
+  if (!market) {
+    await assertLeagueSeason(iracing, leagueId, seasonId);
+  }
+
+  const [standingsData, { sessions }] = await Promise.all([
+    iracing.getLeagueSeasonStandings(leagueId, seasonId, { refresh }),
+    iracing.getLeagueSeasonSessions(leagueId, seasonId)
+  ]);
+  const standings = getDriverStandings(standingsData);
+  const progress = getSeasonProgress(sessions);
+  const probabilities = calculateChampionshipProbabilities(standings, progress.completed, progress.remaining);
+  const margin = getHouseMargin();
+
+  const closed = progress.closesAt !== null && progress.closesAt.getTime() <= Date.now();
+  const values = {
+    state: closed ? FUTURES_STATE.CLOSED : FUTURES_STATE.OPEN,
+    closes_at: progress.closesAt,
+    races_completed: progress.completed,
+    races_remaining: progress.remaining,
+    prices: standings.map(driver => {
+      const probability = probabilities.get(driver.custId);
+      return {
+        custId: driver.custId,
+        displayName: driver.displayName,
+        points: driver.points,
+        probability: Math.round(probability * 10000) / 10000,
+        odds: applyMargin(Math.max(MIN_PROBABILITY, probability), margin)
+      };
+    }),
+    priced_at: new Date()
+  };
+
+  const priced = market
+    ? await futures.updateMarketIfState(market.id, FUTURES_STATE.OPEN, values)
+    : await futures.createMarket({ league_id: leagueId, season_id: seasonId, ...values });
+  if (!priced) {
+    return getFuturesRow(supabase, leagueId, seasonId);
+  }
+
+  console.log(`Priced futures for league ${leagueId} season ${seasonId}: ${progress.completed} races run, ${progress.remaining} to go`);
+  return priced;
+}
+
+// The season's market, created on first request. An open market whose closing point
+// has passed is closed on the way.
+async function getFuturesMarket(supabase, iracing, leagueId, seasonId) {
+  const market = await getFuturesRow(supabase, leagueId, seasonId);
+  if (!market) {
+    return priceFuturesMarket(supabase, iracing, leagueId, seasonId);
+  }
+
+  if (market.state === FUTURES_STATE.OPEN && market.closes_at && new Date(market.closes_at).getTime() <= Date.now()) {
+    const closed = await getRepositories(supabase).futures.updateMarketIfState(market.id, FUTURES_STATE.OPEN, { state: FUTURES_STATE.CLOSED });
+    return closed || getFuturesRow(supabase, leagueId, seasonId);
+  }
+
+  return market;
+}
+
+// Backs a driver for the championship at the stored price. As with race bets the
+// client's odds only confirm what the user saw.
+async function placeChampionshipBet(supabase, iracing, userId, { leagueId, seasonId, driverId, stake, odds }) {
+  const market = await getFuturesMarket(supabase, iracing, leagueId, seasonId);
+
+  if (market.state !== FUTURES_STATE.OPEN) {
+    const error = futuresError(`Championship market for season ${seasonId} is ${market.state}`, 'MARKET_NOT_OPEN');
+    error.marketState = market.state;
+    throw error;
+  }
+
+  const price = market.prices.find(entry => entry.custId === Number(driverId));
+  if (!price) {
+    throw futuresError('Selected driver is not priced for this championship', 'DRIVER_NOT_PRICED');
+  }
+  if (price.odds === null) {
+    throw futuresError('This selection is not offered for this championship', 'SELECTION_NOT_OFFERED');
+  }
+
+  if (Math.abs(Number(odds) - price.odds) > ODDS_TOLERANCE) {
+    const error = futuresError('Odds have changed', 'ODDS_CHANGED');
+    error.currentOdds = price.odds;
+    error.pricedAt = market.priced_at;
+    throw error;
+  }
+
+  return placeFuturesBet(supabase, {
+    user_id: userId,
+    league_id: leagueId,
+    season_id: seasonId,
+    driver_id: price.custId,
+    stake,
+    odds: price.odds
+  });
+}
+
+// Settles the market against the final standings. Won bets pay stake * odds; a tie on
+// points at the top voids the market, as for other single-winner markets. Ledger first,
+// then a conditional update, so re-running never credits a bet twice.
+async function settleFuturesMarket(supabase, iracing, leagueId, seasonId) {
+  const market = await getFuturesMarket(supabase, iracing, leagueId, seasonId);
+  if (market.state === FUTURES_STATE.SETTLED) {
+    return { market, settled: [] };
+  }
+
+  const standings = getDriverStandings(await iracing.getLeagueSeasonStandings(leagueId, seasonId, { refresh: true }));
+  if (standings.length === 0) {
+    console.log(`No standings for league ${leagueId} season ${seasonId} yet, skipping futures settlement`);
+    return { market, settled: [] };
+  }
+
+  const topPoints = Math.max(...standings.map(driver => driver.points));
+  const champions = standings.filter(driver => driver.points === topPoints).map(driver => driver.custId);
+
+  const futures = getRepositories(supabase).futures;
+  const bets = await futures.listBetsBySeason(leagueId, seasonId, { status: FUTURES_BET_STATUS.PENDING });
+
+  const settled = [];
+  for (const bet of bets) {
+    const stake = Number(bet.stake);
+    let status = champions.includes(Number(bet.driver_id)) ? FUTURES_BET_STATUS.WON : FUTURES_BET_STATUS.LOST;
+    if (champions.length !== 1) {
+      status = FUTURES_BET_STATUS.VOID;
+    }
+
+    let payout = 0;
+    if (status === FUTURES_BET_STATUS.WON) {
+      payout = Math.round(stake * Number(bet.odds) * 100) / 100;
+    } else if (status === FUTURES_BET_STATUS.VOID) {
+      payout = stake;
+    }
+
+    if (payout > 0) {
+      const type = status === FUTURES_BET_STATUS.WON ? TRANSACTION_TYPE.PAYOUT : TRANSACTION_TYPE.REFUND;
+      await recordTransaction(supabase, {
+        userId: bet.user_id,
+        type,
+        amount: payout,
+        futuresBetId: bet.id,
+        reference: `${type}:futures:${bet.id}`
+      });
+    }
+
+    const updated = await futures.updateBetIfStatus(bet.id, FUTURES_BET_STATUS.PENDING, { status, payout, settled_at: new Date() });
+
+    if (updated) {
+      settled.push(updated);
+    }
+  }
+
+  const settledMarket = await futures.updateMarket(market.id, {
+    state: FUTURES_STATE.SETTLED,
+    champion_ids: champions,
+    final_standings: standings,
+    settled_at: new Date()
+  });
+
+  publishSettlements('futures', settled);
+  console.log(`Settled ${settled.length} futures bets for league ${leagueId} season ${seasonId}`);
+  return { market: settledMarket, settled };
+}
+
+// Called after each race in the season: settles the market once every race has
+// results, otherwise reprices it from the updated standings
+async function updateSeasonFutures(supabase, iracing, leagueId, seasonId) {
+  const { sessions } = await iracing.getLeagueSeasonSessions(leagueId, seasonId);
+  const progress = getSeasonProgress(sessions);
+
+  if (progress.remaining === 0 && progress.completed > 0) {
+    return settleFuturesMarket(supabase, iracing, leagueId, seasonId);
+  }
+
+  const market = await priceFuturesMarket(supabase, iracing, leagueId, seasonId, { refresh: true });
+  return { market, settled: [] };
+}
+
+async function getUserFuturesBets(supabase, userId) {
+  return getRepositories(supabase).futures.listBetsByUser(userId);
+}
+
+export {
+  FUTURES_STATE,
+  calculateChampionshipProbabilities,
+  getFuturesMarket,
+  placeChampionshipBet,
+  settleFuturesMarket,
+  updateSeasonFutures,
+  getUserFuturesBets
+};
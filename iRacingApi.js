@@ -2,22 +2,27 @@ import axios from 'axios';
 import crypto from 'crypto';
 import https from 'https';
 import tough from 'tough-cookie';
-import dotenv from 'dotenv';
-
-console.log('iRacingApi module loading...');
-
-dotenv.config();
-
-const { CookieJar } = tough;
-
-const BASE_URL = 'https://members-ng.iracing.com';
-const cookieJar = new CookieJar();
-
-const instance = axios.create({
-  httpsAgent: new https.Agent({  
-    rejectUnauthorized: false
-  })
-});
+import { TtlCache } from './cache.js';
+
+const { CookieJar, Cookie } = tough;
+
+const DEFAULT_BASE_URL = 'https://members-ng.iracing.com';
+const SESSION_EXPIRY_MARGIN = 60 * 1000; // Log in again a minute before the auth cookie expires
+const DEFAULT_MAX_RATE_LIMIT_WAIT = 5000; // Longer waits are reported to the caller instead
+const DEFAULT_RATE_LIMIT_RESERVE = 1; // Requests left in the window before we start holding calls back
+
+// How long each kind of iRacing data is served from the cache
+const CACHE_TTL = {
+  DRIVER_SEARCH: 60 * 60 * 1000,
+  SEASONS: 10 * 60 * 1000,
+  SEASON_SESSIONS: 60 * 1000,
+  SEASON_RESULTS: 5 * 60 * 1000,
+  SEASON_STANDINGS: 5 * 60 * 1000,
+  ROSTER: 10 * 60 * 1000,
+  MEMBERS: 60 * 60 * 1000,
+  FINISHED_RACE: 24 * 60 * 60 * 1000, // Official results of a finished subsession do not change
+  UNFINISHED_RACE: 60 * 1000
+};
 
 function hashPassword(password, email) {
   const hash = crypto.createHash('sha256');
@@ -25,335 +30,442 @@ function hashPassword(password, email) {
   return hash.digest('base64');
 }
 
-async function login(email, password) {
-  console.log('Attempting to login...');
-  const hashedPassword = hashPassword(password, email);
-
-  try {
-    const response = await instance.post(`${BASE_URL}/auth`, {
-      email,
-      password: hashedPassword
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function rateLimitedError(retryAfterMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const error = new Error(`iRacing rate limit reached, retry in ${retryAfter} seconds`);
+  error.code = 'IRACING_RATE_LIMITED';
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Failures talking to iRacing, other than the login and rate limit ones that already
+// say what happened, leave the client as IRACING_ERROR with the original as `cause`.
+// upstreamStatus is iRacing's HTTP status, when it answered at all.
+function iracingError(description, cause) {
+  if (cause.code && cause.code.startsWith('IRACING_')) {
+    return cause;
+  }
+  const error = new Error(`iRacing ${description} request failed: ${cause.message}`);
+  error.code = 'IRACING_ERROR';
+  error.cause = cause;
+  error.upstreamStatus = cause.response ? cause.response.status : null;
+  return error;
+}
+
+function logRequestError(message, error) {
+  console.error(`${message}:`, error.message);
+  if (error.response) {
+    console.error('Response status:', error.response.status);
+    console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+  }
+}
+
+// Client for the iRacing /data API. Each instance has its own credentials and
+// cookie jar, logs in on first use and logs in again when the session expires.
+// It also tracks iRacing's rate limit headers and holds requests back when the
+// budget for the current window is used up. Data methods are served from a TTL cache.
+class IracingClient {
+  constructor({
+    email,
+    password,
+    baseUrl = DEFAULT_BASE_URL,
+    httpClient,
+    cache,
+    maxRateLimitWait = DEFAULT_MAX_RATE_LIMIT_WAIT,
+    rateLimitReserve = DEFAULT_RATE_LIMIT_RESERVE
+  } = {}) {
+    this.email = email;
+    this.password = password;
+    this.baseUrl = baseUrl;
+    this.cookieJar = new CookieJar();
+    this.http = httpClient || axios.create({
+      httpsAgent: new https.Agent({
+        rejectUnauthorized: false
+      })
     });
+    this.authenticated = false;
+    this.sessionExpiresAt = 0;
+    this.loginPromise = null;
+    this.maxRateLimitWait = maxRateLimitWait;
+    this.rateLimitReserve = rateLimitReserve;
+    this.rateLimit = { remaining: null, resetAt: 0 };
+    this.cache = cache || new TtlCache();
+    this.fetchedAt = new WeakMap();
+  }
 
-    if (response.headers['set-cookie']) {
-      response.headers['set-cookie'].forEach(cookie => {
-        cookieJar.setCookieSync(cookie, BASE_URL);
+  // Concurrent callers share a single in-flight login
+  login() {
+    if (!this.loginPromise) {
+      this.loginPromise = this.performLogin().finally(() => {
+        this.loginPromise = null;
       });
-      console.log('Cookies set successfully');
-      return true;
-    } else {
-      console.error('No cookies in response');
-      console.log('Response headers:', response.headers);
-      console.log('Response data:', response.data);
-      throw new Error('No cookies in response');
     }
-  } catch (error) {
-    console.error('Login failed:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
-    }
-    return false;
+    return this.loginPromise;
   }
-}
 
-async function verifyAuth() {
-  try {
-    const cookies = await cookieJar.getCookies(BASE_URL);
-    const cookieString = cookies.map(cookie => `${cookie.key}=${cookie.value}`).join('; ');
+  async performLogin() {
+    if (!this.email || !this.password) {
+      const error = new Error('iRacing credentials are not configured');
+      error.code = 'IRACING_AUTH_FAILED';
+      throw error;
+    }
 
-    console.log('Verifying auth with cookies');
+    console.log('Attempting to login...');
+    this.authenticated = false;
 
-    const response = await instance.get(`${BASE_URL}/data/doc`, {
-      headers: {
-        'Cookie': cookieString
-      }
+    let response;
+    try {
+      response = await this.http.post(`${this.baseUrl}/auth`, {
+        email: this.email,
+        password: hashPassword(this.password, this.email)
+      }, {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      logRequestError('Login failed', error);
+      error.code = 'IRACING_AUTH_FAILED';
+      throw error;
+    }
+
+    const setCookies = response.headers['set-cookie'];
+    if (!setCookies || (response.data && response.data.authcode === 0)) {
+      console.error('Login rejected:', response.data);
+      const error = new Error('iRacing login was rejected');
+      error.code = 'IRACING_AUTH_FAILED';
+      throw error;
+    }
+
+    // Session cookies have no expiry (Infinity); then only a 401 tells us the session is gone
+    const expiryTimes = setCookies.map(cookie => {
+      this.cookieJar.setCookieSync(cookie, this.baseUrl);
+      const parsed = Cookie.parse(cookie);
+      return parsed ? parsed.expiryTime() : Infinity;
     });
+    this.sessionExpiresAt = Math.min(...expiryTimes);
+    this.authenticated = true;
+    console.log('Cookies set successfully');
+  }
+
+  hasValidSession() {
+    return this.authenticated && Date.now() < this.sessionExpiresAt - SESSION_EXPIRY_MARGIN;
+  }
+
+  updateRateLimit(headers) {
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
 
-    console.log('Verification response status:', response.status);
-    return response.status === 200;
-  } catch (error) {
-    console.error('Auth verification failed:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
+    if (Number.isFinite(remaining)) {
+      this.rateLimit.remaining = remaining;
+    }
+    if (Number.isFinite(reset)) {
+      // iRacing sends the reset as epoch seconds
+      this.rateLimit.resetAt = reset * 1000;
     }
-    return false;
   }
-}
 
-async function searchIRacingName(name) {
-  try {
-    const cookies = await cookieJar.getCookies(BASE_URL);
-    const cookieString = cookies.map(cookie => `${cookie.key}=${cookie.value}`).join('; ');
+  // Holds a request back while the window's budget is spent. Short waits are absorbed
+  // here; anything longer is surfaced as IRACING_RATE_LIMITED with a retry hint.
+  async waitForRateLimit() {
+    const { remaining, resetAt } = this.rateLimit;
+    const now = Date.now();
 
-    const response = await instance.get(`${BASE_URL}/data/lookup/drivers`, {
-      params: {
-        search_term: name,
-        lowerbound: 1,
-        upperbound: 25
-      },
-      headers: {
-        'Cookie': cookieString
+    if (remaining === null || remaining > this.rateLimitReserve || resetAt <= now) {
+      if (remaining !== null) {
+        this.rateLimit.remaining = remaining - 1;
       }
-    });
+      return;
+    }
+
+    const wait = resetAt - now;
+    if (wait > this.maxRateLimitWait) {
+      throw rateLimitedError(wait);
+    }
+
+    console.log(`iRacing rate limit budget low, delaying request ${wait}ms`);
+    await sleep(wait);
+    this.rateLimit.remaining = null;
+  }
+
+  async getCookieString() {
+    const cookies = await this.cookieJar.getCookies(this.baseUrl);
+    return cookies.map(cookie => `${cookie.key}=${cookie.value}`).join('; ');
+  }
+
+  async sendRequest(path, params) {
+    await this.waitForRateLimit();
 
-    if (response.data && response.data.link) {
-      const driverDataResponse = await instance.get(response.data.link);
-      const drivers = Array.isArray(driverDataResponse.data) ? driverDataResponse.data : [];
-
-      if (drivers.length > 0) {
-        const matchingDriver = drivers.find(driver => 
-          driver.display_name.toLowerCase() === name.toLowerCase() ||
-          driver.display_name.toLowerCase().includes(name.toLowerCase())
-        );
-
-        if (matchingDriver) {
-          return {
-            exists: true,
-            name: matchingDriver.display_name,
-            id: matchingDriver.cust_id
-          };
+    try {
+      const response = await this.http.get(`${this.baseUrl}${path}`, {
+        params,
+        headers: {
+          'Cookie': await this.getCookieString()
+        }
+      });
+      this.updateRateLimit(response.headers);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        this.updateRateLimit(error.response.headers);
+        if (error.response.status === 429) {
+          this.rateLimit.remaining = 0;
+          const resetIn = this.rateLimit.resetAt - Date.now();
+          throw rateLimitedError(resetIn > 0 ? resetIn : this.maxRateLimitWait);
         }
       }
+      throw error;
     }
+  }
 
-    return { exists: false };
-  } catch (error) {
-    console.error('Error searching for iRacing name:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+  // GETs an authenticated endpoint. A 401 means the session expired, so we log in
+  // again and retry the request once.
+  async request(path, params = {}) {
+    if (!this.hasValidSession()) {
+      await this.login();
     }
-    throw error;
-  }
-}
 
-async function getLeagueSeasons(leagueId) {
-  try {
-    const cookies = await cookieJar.getCookies(BASE_URL);
-    const cookieString = cookies.map(cookie => `${cookie.key}=${cookie.value}`).join('; ');
-
-    const response = await instance.get(`${BASE_URL}/data/league/seasons`, {
-      params: {
-        league_id: leagueId
-      },
-      headers: {
-        'Cookie': cookieString
+    try {
+      return await this.sendRequest(path, params);
+    } catch (error) {
+      if (!error.response || error.response.status !== 401) {
+        throw error;
       }
-    });
 
-    if (response.data && response.data.link) {
-      const seasonsDataResponse = await instance.get(response.data.link);
-      return seasonsDataResponse.data;
-    } else {
-      throw new Error('Invalid response from iRacing API for league seasons');
+      console.log(`Received 401 from ${path}, re-authenticating...`);
+      this.authenticated = false;
+      await this.login();
+      return this.sendRequest(path, params);
     }
-  } catch (error) {
-    console.error('Error fetching league seasons:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+  }
+
+  // Most /data endpoints answer with a pointer to the real payload (`link`, or
+  // `data_url` for some league endpoints). Responses without one are returned as-is.
+  async followLink(data) {
+    const url = data && (data.link || data.data_url);
+    if (!url) {
+      return data;
     }
-    throw error;
+
+    const response = await this.http.get(url);
+    return response.data;
   }
-}
 
-async function getLeagueSubsessions(leagueId, seasonId) {
-  if (!seasonId) {
-    throw new Error('season_id is required');
+  isLinkExpired(envelope) {
+    const expires = envelope && envelope.expires ? Date.parse(envelope.expires) : NaN;
+    return Number.isFinite(expires) && expires <= Date.now();
   }
 
-  try {
-    const cookies = await cookieJar.getCookies(BASE_URL);
-    const cookieString = cookies.map(cookie => `${cookie.key}=${cookie.value}`).join('; ');
+  // Requests an endpoint and follows its link. Signed links are short-lived, so a link
+  // that has expired (by its `expires` field, or S3 answering 403) is requested again once.
+  async requestLinked(path, params) {
+    let envelope = await this.request(path, params);
+    if (this.isLinkExpired(envelope)) {
+      envelope = await this.request(path, params);
+    }
 
-    const response = await instance.get(`${BASE_URL}/data/league/season_sessions`, {
-      params: {
-        league_id: leagueId,
-        season_id: seasonId,
-        results_only: false  // Include upcoming sessions as well
-      },
-      headers: {
-        'Cookie': cookieString
+    try {
+      return { envelope, data: await this.followLink(envelope) };
+    } catch (error) {
+      if (!error.response || error.response.status !== 403) {
+        throw error;
       }
-    });
 
-    if (response.data && response.data.link) {
-      const subsessionsResponse = await instance.get(response.data.link);
-      const sessions = subsessionsResponse.data.sessions;
-
-      // Filter sessions to include upcoming and practice sessions
-      const currentTime = new Date().getTime();
-      const filteredSessions = sessions.filter(session => {
-        const sessionTime = new Date(session.launch_at).getTime();
-        // Include if the session is in the future or if it's currently in practice
-        return sessionTime > currentTime || session.status === 2; // Assuming 2 is the status code for practice
-      }).map(session => ({
-        ...session,
-        start_time: new Date(session.launch_at).toISOString()
-      }));
-
-      console.log(`Filtered sessions: ${filteredSessions.length}`);
-      filteredSessions.forEach(session => {
-        console.log(`Session: ${session.session_name}, Start: ${session.start_time}, Status: ${session.status}`);
-      });
+      console.log(`Link for ${path} has expired, requesting a new one`);
+      envelope = await this.request(path, params);
+      return { envelope, data: await this.followLink(envelope) };
+    }
+  }
 
-      return { sessions: filteredSessions };
-    } else {
-      throw new Error('Invalid response from iRacing API for league subsessions');
+  async fetchData(path, params, description) {
+    try {
+      const { envelope, data } = await this.requestLinked(path, params);
+      if (!envelope || !(envelope.link || envelope.data_url)) {
+        throw new Error(`Invalid response from iRacing API for ${description}`);
+      }
+      return data;
+    } catch (error) {
+      logRequestError(`Error fetching ${description}`, error);
+      throw iracingError(description, error);
     }
-  } catch (error) {
-    console.error('Error fetching league subsessions:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+  }
+
+  async cached(key, ttl, loader) {
+    const entry = await this.cache.getOrLoad(key, ttl, loader);
+    if (entry.value && typeof entry.value === 'object') {
+      this.fetchedAt.set(entry.value, entry.fetchedAt);
     }
-    throw error;
+    return entry.value;
   }
-}
 
-async function getLeagueRoster(leagueId) {
-  try {
-    const cookies = await cookieJar.getCookies(BASE_URL);
-    const cookieString = cookies.map(cookie => `${cookie.key}=${cookie.value}`).join('; ');
-
-    console.log(`Fetching roster for league ID: ${leagueId}`);
-    const response = await instance.get(`${BASE_URL}/data/league/roster`, {
-      params: {
-        league_id: leagueId
-      },
-      headers: {
-        'Cookie': cookieString
-      }
-    });
+  // When a value returned by a data method was fetched from iRacing (epoch ms), or null
+  getFetchedAt(value) {
+    return (value && typeof value === 'object' && this.fetchedAt.get(value)) || null;
+  }
 
-    console.log('Initial roster response:', response.data);
+  // Up to 25 drivers matching a name, in iRacing's order: [{ cust_id, display_name }]
+  async searchDrivers(name) {
+    const data = await this.cached(`drivers:${name.toLowerCase()}`, CACHE_TTL.DRIVER_SEARCH, () =>
+      this.fetchData('/data/lookup/drivers', {
+        search_term: name,
+        lowerbound: 1,
+        upperbound: 25
+      }, 'driver lookup')
+    );
+    return Array.isArray(data) ? data : [];
+  }
+
+  async searchIRacingName(name) {
+    const drivers = await this.searchDrivers(name);
 
-    if (response.data && response.data.data_url) {
-      console.log('Fetching roster data from URL:', response.data.data_url);
-      const rosterDataResponse = await instance.get(response.data.data_url);
-      console.log('Roster data response:', rosterDataResponse.data);
+    const matchingDriver = drivers.find(driver =>
+      driver.display_name.toLowerCase() === name.toLowerCase() ||
+      driver.display_name.toLowerCase().includes(name.toLowerCase())
+    );
+
+    if (matchingDriver) {
       return {
-        rosterCount: response.data.data.roster_count,
-        roster: rosterDataResponse.data.roster,
-        privateRoster: rosterDataResponse.data.private_roster
+        exists: true,
+        name: matchingDriver.display_name,
+        id: matchingDriver.cust_id
       };
-    } else {
-      console.error('Invalid response structure:', response.data);
-      throw new Error('Invalid response from iRacing API for league roster');
     }
-  } catch (error) {
-    console.error('Error fetching league roster:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+
+    return { exists: false };
+  }
+
+  getLeagueSeasons(leagueId) {
+    return this.cached(`seasons:${leagueId}`, CACHE_TTL.SEASONS, () =>
+      this.fetchData('/data/league/seasons', { league_id: leagueId }, 'league seasons')
+    );
+  }
+
+  // Every session in a league season, including past ones
+  async getLeagueSeasonSessions(leagueId, seasonId) {
+    if (!seasonId) {
+      throw new Error('season_id is required');
     }
-    throw error;
+
+    return this.cached(`sessions:${leagueId}:${seasonId}`, CACHE_TTL.SEASON_SESSIONS, async () => {
+      const data = await this.fetchData('/data/league/season_sessions', {
+        league_id: leagueId,
+        season_id: seasonId,
+        results_only: false  // Include upcoming sessions as well
+      }, 'league subsessions');
+      const sessions = data.sessions || [];
+
+      return {
+        sessions: sessions.map(session => ({
+          ...session,
+          start_time: new Date(session.launch_at).toISOString()
+        }))
+      };
+    });
   }
-}
 
-async function getRaceDetails(leagueId, seasonId, subsessionId) {
-  try {
-    const cookies = await cookieJar.getCookies(BASE_URL);
-    const cookieString = cookies.map(cookie => `${cookie.key}=${cookie.value}`).join('; ');
-
-    const response = await instance.get(`${BASE_URL}/data/results/get`, {
-      params: {
-        subsession_id: subsessionId
-      },
-      headers: {
-        'Cookie': cookieString
-      }
+  async getLeagueSubsessions(leagueId, seasonId) {
+    const seasonSessions = await this.getLeagueSeasonSessions(leagueId, seasonId);
+    const { sessions } = seasonSessions;
+
+    // Filter sessions to include upcoming and practice sessions
+    const currentTime = new Date().getTime();
+    const filteredSessions = sessions.filter(session => {
+      const sessionTime = new Date(session.launch_at).getTime();
+      // Include if the session is in the future or if it's currently in practice
+      return sessionTime > currentTime || session.status === 2; // Assuming 2 is the status code for practice
     });
 
-    if (response.data && response.data.link) {
-      const raceDetailsResponse = await instance.get(response.data.link);
-      return raceDetailsResponse.data;
-    } else {
-      throw new Error('Invalid response from iRacing API for race details');
-    }
-  } catch (error) {
-    console.error('Error fetching race details:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    throw error;
+    console.log(`Filtered sessions: ${filteredSessions.length}`);
+    const result = { sessions: filteredSessions };
+    this.fetchedAt.set(result, this.getFetchedAt(seasonSessions));
+    return result;
   }
-}
 
-const RE_AUTH_INTERVAL = 5 * 60 * 1000; // 5 minutes
-const MAX_LOGIN_ATTEMPTS = 5;
-const LOGIN_RETRY_DELAY = 10000; // 10 seconds
+  getLeagueSeasonResults(leagueId, seasonId) {
+    return this.cached(`season-results:${leagueId}:${seasonId}`, CACHE_TTL.SEASON_RESULTS, async () => {
+      const data = await this.fetchData('/data/league/season_sessions', {
+        league_id: leagueId,
+        season_id: seasonId,
+        results_only: true
+      }, 'league season results');
 
-async function periodicReAuth() {
-  let attempts = 0;
-  while (attempts < MAX_LOGIN_ATTEMPTS) {
-    try {
-      const isAuthenticated = await verifyAuth();
-      if (isAuthenticated) {
-        console.log('Authentication verified successfully');
-        return;
-      }
-      console.log('Session expired. Attempting to re-authenticate...');
-      const loginSuccess = await login(process.env.IRACING_EMAIL, process.env.IRACING_PASSWORD);
-      if (loginSuccess) {
-        console.log('Re-authentication successful');
-        return;
-      }
-    } catch (error) {
-      console.error(`Re-authentication attempt ${attempts + 1} failed:`, error);
-    }
-    attempts++;
-    if (attempts < MAX_LOGIN_ATTEMPTS) {
-      console.log(`Retrying in ${LOGIN_RETRY_DELAY / 1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, LOGIN_RETRY_DELAY));
+      return { sessions: data.sessions || [] };
+    });
+  }
+
+  // Points standings for a league season. refresh skips the cache, for when a race
+  // has just finished and the standings are about to change.
+  getLeagueSeasonStandings(leagueId, seasonId, { refresh = false } = {}) {
+    const key = `standings:${leagueId}:${seasonId}`;
+    if (refresh) {
+      this.cache.delete(key);
     }
+
+    return this.cached(key, CACHE_TTL.SEASON_STANDINGS, () => this.fetchData('/data/league/season_standings', {
+      league_id: leagueId,
+      season_id: seasonId
+    }, 'league season standings'));
   }
-  console.error('Max re-authentication attempts reached. Please check your credentials and network connection.');
-}
 
-let reAuthInterval;
+  // The roster count lives on the first response, the members behind data_url
+  getLeagueRoster(leagueId) {
+    return this.cached(`roster:${leagueId}`, CACHE_TTL.ROSTER, async () => {
+      try {
+        console.log(`Fetching roster for league ID: ${leagueId}`);
+        const { envelope, data: rosterData } = await this.requestLinked('/data/league/roster', { league_id: leagueId });
+
+        if (!envelope || !envelope.data_url) {
+          console.error('Invalid response structure:', envelope);
+          throw new Error('Invalid response from iRacing API for league roster');
+        }
 
-function startPeriodicReAuth() {
-  if (reAuthInterval) {
-    clearInterval(reAuthInterval);
+        return {
+          rosterCount: envelope.data.roster_count,
+          roster: rosterData.roster,
+          privateRoster: rosterData.private_roster
+        };
+      } catch (error) {
+        logRequestError('Error fetching league roster', error);
+        throw iracingError('league roster', error);
+      }
+    });
   }
-  reAuthInterval = setInterval(periodicReAuth, RE_AUTH_INTERVAL);
-  console.log('Periodic re-authentication started');
-}
 
-(async () => {
-  try {
-    const loginSuccess = await login(process.env.IRACING_EMAIL, process.env.IRACING_PASSWORD);
-    if (loginSuccess) {
-      console.log('Initial authentication successful');
-      startPeriodicReAuth();
-    } else {
-      console.error('Initial authentication failed. Please check your credentials.');
+  async getMemberProfiles(custIds) {
+    if (!custIds || custIds.length === 0) {
+      return [];
     }
-  } catch (error) {
-    console.error('Initial authentication failed:', error);
+
+    const ids = [...custIds].map(Number).sort((a, b) => a - b);
+    const data = await this.cached(`members:${ids.join(',')}`, CACHE_TTL.MEMBERS, () =>
+      this.fetchData('/data/member/get', {
+        cust_ids: ids.join(','),
+        include_licenses: true
+      }, 'member profiles')
+    );
+
+    return data.members || [];
   }
-})();
 
-async function manualReAuth() {
-  await periodicReAuth();
-  startPeriodicReAuth();
+  // refresh skips the cache, for re-checking finished races whose results may be amended
+  getRaceDetails(leagueId, seasonId, subsessionId, { refresh = false } = {}) {
+    const isFinished = raceDetails => Array.isArray(raceDetails.session_results) && raceDetails.session_results.length > 0;
+
+    if (refresh) {
+      this.cache.delete(`results:${subsessionId}`);
+    }
+
+    return this.cached(`results:${subsessionId}`, raceDetails => (
+      isFinished(raceDetails) ? CACHE_TTL.FINISHED_RACE : CACHE_TTL.UNFINISHED_RACE
+    ), () => this.fetchData('/data/results/get', { subsession_id: subsessionId }, 'race details'));
+  }
 }
 
 export {
-  login,
-  verifyAuth,
-  searchIRacingName,
-  getLeagueSeasons,
-  getLeagueSubsessions,
-  getLeagueRoster,
-  getRaceDetails,
-  manualReAuth
-};
\ No newline at end of file
+  DEFAULT_BASE_URL,
+  IracingClient
+};
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import { apiError } from './errors.js';
+import { getRepositories } from './repositories.js';
+
+const DEFAULT_KEY_TTL = 24 * 60 * 60 * 1000; // A key can be replayed for a day
+const MAX_KEY_LENGTH = 255;
+
+function getKeyTtl() {
+  const ttl = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_KEY_TTL;
+}
+
+// Key order does not matter, so a client that rebuilds the same body still matches
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex');
+}
+
+// Responses that say nothing about the request itself: the key is released instead of
+// stored, so a retry with the same key runs again
+function isRetryable(status) {
+  return status >= 500 || status === 429;
+}
+
+async function claimKey(idempotencyKeys, claim) {
+  const result = await idempotencyKeys.claim(claim);
+  if (!result.claimed && new Date(result.record.created_at).getTime() + getKeyTtl() <= Date.now()) {
+    await idempotencyKeys.release(result.record.id);
+    return idempotencyKeys.claim(claim);
+  }
+  return result;
+}
+
+// Idempotency-Key support for routes that take money. The first request with a key runs
+// and its response is stored; repeating it with the same key and body returns that
+// response (with Idempotent-Replayed: true) instead of running again. Reusing a key for
+// a different body or route is refused with 422, and a repeat that arrives while the
+// first request is still running gets 409. Keys are per user, so this runs after
+// requireUser. Requests without the header are not affected.
+function idempotent(supabase) {
+  const { idempotencyKeys } = getRepositories(supabase);
+
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return next(apiError('VALIDATION_FAILED', 'Invalid Idempotency-Key header', {
+        fields: { 'Idempotency-Key': `must be 1 to ${MAX_KEY_LENGTH} characters` }
+      }));
+    }
+
+    const route = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req.body);
+
+    let claim;
+    try {
+      claim = await claimKey(idempotencyKeys, { userId: req.user.id, key, route, requestHash });
+    } catch (error) {
+      return next(error);
+    }
+
+    const { claimed, record } = claim;
+    if (!claimed) {
+      if (record.route !== route || record.request_hash !== requestHash) {
+        return next(apiError('IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request'));
+      }
+      if (record.response_status === null) {
+        return next(apiError('IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still in progress', {
+          retryAfter: 1
+        }));
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    // The response is stored before it is sent, so a client that got it and retries
+    // anyway always gets the replay
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+      const status = res.statusCode;
+      const saved = isRetryable(status)
+        ? idempotencyKeys.release(record.id)
+        : idempotencyKeys.complete(record.id, { status, body });
+
+      saved
+        .catch(error => console.error(`Error saving the response for idempotency key ${key}:`, error))
+        .then(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+// Keys past their TTL are reclaimed when reused, but most never are, so this deletes
+// them all; run periodically to keep the table to a TTL's worth of keys
+async function purgeExpiredKeys(supabase) {
+  const purged = await getRepositories(supabase).idempotencyKeys.deleteCreatedBefore(new Date(Date.now() - getKeyTtl()));
+
+  if (purged > 0) {
+    console.log(`Purged ${purged} expired idempotency keys`);
+  }
+  return purged;
+}
+
+export {
+  idempotent,
+  purgeExpiredKeys
+};
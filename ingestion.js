@@ -0,0 +1,176 @@
+import { EventEmitter } from 'events';
+import { getEnabledLeagues } from './leagues.js';
+import { getRepositories } from './repositories.js';
+
+const SESSION_PHASE = {
+  UPCOMING: 'upcoming',
+  PRACTICE: 'practice',
+  RACING: 'racing',
+  RESULTS: 'results'
+};
+
+const INGESTION_EVENT = {
+  SESSION_PHASE_CHANGED: 'session:phaseChanged',
+  SESSIONS_INGESTED: 'sessions:ingested',
+  CYCLE_COMPLETED: 'cycle:completed',
+  CYCLE_FAILED: 'cycle:failed'
+};
+
+const PRACTICE_STATUS = 2; // Same assumption getLeagueSubsessions makes for practice
+const DEFAULT_INGESTION_INTERVAL = 60 * 1000; // 1 minute
+
+const ingestionEvents = new EventEmitter();
+
+let ingestionInterval = null;
+let cycleRunning = false;
+
+function getSessionPhase(session, now = Date.now()) {
+  if (session.has_results) {
+    return SESSION_PHASE.RESULTS;
+  }
+  if (session.status === PRACTICE_STATUS) {
+    return SESSION_PHASE.PRACTICE;
+  }
+  if (now >= new Date(session.launch_at).getTime()) {
+    return SESSION_PHASE.RACING;
+  }
+  return SESSION_PHASE.UPCOMING;
+}
+
+async function storeSeasons(supabase, leagueId, seasons) {
+  if (seasons.length === 0) {
+    return;
+  }
+
+  await getRepositories(supabase).leagueData.saveSeasons(seasons.map(season => ({
+    league_id: leagueId,
+    season_id: season.season_id,
+    season_name: season.season_name,
+    active: season.active,
+    updated_at: new Date()
+  })));
+}
+
+async function storeRoster(supabase, leagueId, rosterData) {
+  await getRepositories(supabase).leagueData.saveRoster({
+    league_id: leagueId,
+    roster_count: rosterData.rosterCount,
+    roster: rosterData.roster,
+    updated_at: new Date()
+  });
+}
+
+// Runs the phase change listeners in turn, waiting for each. A listener that fails
+// rejects the whole change, so the phase it was handling is not stored.
+async function handlePhaseChange(change) {
+  for (const listener of ingestionEvents.listeners(INGESTION_EVENT.SESSION_PHASE_CHANGED)) {
+    await listener(change);
+  }
+}
+
+// Stores the season's sessions and emits an event for every session whose phase moved
+// since the last stored copy. Phases live in the table so restarts do not re-emit them.
+// A session's new phase is only stored once its listeners succeed: if settling a race
+// fails, the next cycle sees the phase change again and retries it.
+async function ingestSeasonSessions(supabase, iracing, leagueId, seasonId) {
+  const { sessions } = await iracing.getLeagueSeasonSessions(leagueId, seasonId);
+
+  const subsessions = getRepositories(supabase).subsessions;
+  const stored = await subsessions.listBySeason(leagueId, seasonId);
+
+  const storedPhases = new Map(stored.map(row => [Number(row.subsession_id), row.phase]));
+  const rows = sessions
+    .filter(session => session.subsession_id)
+    .map(session => ({
+      ...session,
+      league_id: leagueId,
+      season_id: seasonId,
+      phase: getSessionPhase(session),
+      updated_at: new Date()
+    }));
+
+  const previousPhase = row => storedPhases.get(Number(row.subsession_id)) || null;
+  await subsessions.save(rows.filter(row => previousPhase(row) === row.phase));
+
+  for (const row of rows.filter(item => previousPhase(item) !== item.phase)) {
+    console.log(`Session ${row.subsession_id} (league ${leagueId}): ${previousPhase(row) || 'new'} -> ${row.phase}`);
+    try {
+      await handlePhaseChange({
+        leagueId,
+        seasonId,
+        session: row,
+        previousPhase: previousPhase(row),
+        phase: row.phase
+      });
+      await subsessions.save([row]);
+    } catch (error) {
+      console.error(`Error handling phase change for session ${row.subsession_id}, retrying next cycle:`, error);
+    }
+  }
+
+  ingestionEvents.emit(INGESTION_EVENT.SESSIONS_INGESTED, { leagueId, seasonId, sessions: rows });
+}
+
+async function ingestLeague(supabase, iracing, league) {
+  const seasonsData = await iracing.getLeagueSeasons(league.id);
+  const seasons = Array.isArray(seasonsData.seasons) ? seasonsData.seasons : [];
+  await storeSeasons(supabase, league.id, seasons);
+
+  const rosterData = await iracing.getLeagueRoster(league.id);
+  await storeRoster(supabase, league.id, rosterData);
+
+  for (const season of seasons.filter(item => item.active)) {
+    await ingestSeasonSessions(supabase, iracing, league.id, season.season_id);
+  }
+}
+
+// One pass over every enabled league. A failing league is logged and does not stop the others.
+async function runIngestionCycle(supabase, iracing) {
+  if (cycleRunning) {
+    console.log('Previous ingestion cycle still running, skipping');
+    return;
+  }
+
+  cycleRunning = true;
+  try {
+    for (const league of getEnabledLeagues()) {
+      try {
+        await ingestLeague(supabase, iracing, league);
+      } catch (error) {
+        console.error(`Ingestion failed for league ${league.id}:`, error.message);
+        ingestionEvents.emit(INGESTION_EVENT.CYCLE_FAILED, { leagueId: league.id, error });
+      }
+    }
+    ingestionEvents.emit(INGESTION_EVENT.CYCLE_COMPLETED, { completedAt: new Date() });
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+function startIngestion(supabase, iracing, intervalMs) {
+  const configured = parseInt(process.env.INGESTION_INTERVAL_MS, 10);
+  const interval = intervalMs || (Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_INGESTION_INTERVAL);
+
+  stopIngestion();
+  ingestionInterval = setInterval(() => runIngestionCycle(supabase, iracing), interval);
+  console.log(`Ingestion worker started, polling every ${interval / 1000} seconds`);
+
+  return runIngestionCycle(supabase, iracing);
+}
+
+function stopIngestion() {
+  if (ingestionInterval) {
+    clearInterval(ingestionInterval);
+    ingestionInterval = null;
+  }
+}
+
+export {
+  SESSION_PHASE,
+  INGESTION_EVENT,
+  ingestionEvents,
+  getSessionPhase,
+  runIngestionCycle,
+  startIngestion,
+  stopIngestion
+};
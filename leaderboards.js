@@ -0,0 +1,138 @@
+import { getRepositories } from './repositories.js';
+
+// Bettor leaderboards over settled single bets. The aggregation runs in the database
+// (bettor_leaderboard), so filters and time windows need no stored summaries. Users who
+// opted out in bettor_profiles are left out of every public board.
+const LEADERBOARD_METRIC = {
+  PROFIT: 'profit',
+  ROI: 'roi',
+  WIN_RATE: 'win_rate',
+  LONGEST_STREAK: 'longest_streak',
+  BIGGEST_PAYOUT: 'biggest_payout'
+};
+
+const TIME_WINDOW = {
+  ALL: 'all',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year'
+};
+
+const WINDOW_MS = {
+  [TIME_WINDOW.DAY]: 24 * 60 * 60 * 1000,
+  [TIME_WINDOW.WEEK]: 7 * 24 * 60 * 60 * 1000,
+  [TIME_WINDOW.MONTH]: 30 * 24 * 60 * 60 * 1000,
+  [TIME_WINDOW.YEAR]: 365 * 24 * 60 * 60 * 1000
+};
+
+// Rates are meaningless after a couple of bets, so ROI and win rate boards need more
+const RATE_METRICS = [LEADERBOARD_METRIC.ROI, LEADERBOARD_METRIC.WIN_RATE];
+const DEFAULT_MIN_BETS_FOR_RATES = 10;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+
+function getMinBetsForRates() {
+  const minBets = parseInt(process.env.LEADERBOARD_MIN_BETS, 10);
+  return Number.isFinite(minBets) && minBets >= 1 ? minBets : DEFAULT_MIN_BETS_FOR_RATES;
+}
+
+function leaderboardError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_LEADERBOARD';
+  return error;
+}
+
+function getWindowStart(window = TIME_WINDOW.ALL) {
+  if (window === TIME_WINDOW.ALL) {
+    return null;
+  }
+  if (!WINDOW_MS[window]) {
+    throw leaderboardError(`window must be one of ${Object.values(TIME_WINDOW).join(', ')}`);
+  }
+  return new Date(Date.now() - WINDOW_MS[window]).toISOString();
+}
+
+function toStats(row) {
+  return {
+    userId: row.user_id,
+    displayName: row.display_name,
+    bets: Number(row.bets),
+    staked: Number(row.staked),
+    returned: Number(row.returned),
+    profit: Number(row.profit),
+    roi: row.roi === null ? null : Number(row.roi),
+    winRate: row.win_rate === null ? null : Number(row.win_rate),
+    longestStreak: row.longest_streak,
+    biggestPayout: Number(row.biggest_payout)
+  };
+}
+
+async function getLeaderboard(supabase, { metric = LEADERBOARD_METRIC.PROFIT, leagueId, seasonId, window, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  if (!Object.values(LEADERBOARD_METRIC).includes(metric)) {
+    throw leaderboardError(`metric must be one of ${Object.values(LEADERBOARD_METRIC).join(', ')}`);
+  }
+
+  const currentPage = Math.max(1, parseInt(page, 10) || 1);
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+  const rows = await getRepositories(supabase).leaderboards.list({
+    metric,
+    leagueId: leagueId || null,
+    seasonId: seasonId || null,
+    since: getWindowStart(window),
+    minBets: RATE_METRICS.includes(metric) ? getMinBetsForRates() : 1,
+    limit: size,
+    offset: (currentPage - 1) * size
+  });
+
+  return {
+    metric,
+    window: window || TIME_WINDOW.ALL,
+    entries: rows.map((row, index) => ({ rank: (currentPage - 1) * size + index + 1, ...toStats(row) })),
+    page: currentPage,
+    pageSize: size,
+    total: rows.length > 0 ? Number(rows[0].total_count) : 0
+  };
+}
+
+// A user's own statistics, shown whether or not they opted out of the boards
+async function getUserStats(supabase, userId, { leagueId, seasonId, window } = {}) {
+  const rows = await getRepositories(supabase).leaderboards.list({
+    userId,
+    leagueId: leagueId || null,
+    seasonId: seasonId || null,
+    since: getWindowStart(window)
+  });
+
+  return rows.length > 0 ? toStats(rows[0]) : null;
+}
+
+async function setLeaderboardPreferences(supabase, userId, { optOut, displayName }) {
+  const profile = { user_id: userId, updated_at: new Date() };
+
+  if (optOut !== undefined) {
+    if (typeof optOut !== 'boolean') {
+      throw leaderboardError('optOut must be true or false');
+    }
+    profile.leaderboard_opt_out = optOut;
+  }
+  if (displayName !== undefined) {
+    const name = String(displayName).trim();
+    if (!name || name.length > MAX_DISPLAY_NAME_LENGTH) {
+      throw leaderboardError(`displayName must be 1 to ${MAX_DISPLAY_NAME_LENGTH} characters`);
+    }
+    profile.display_name = name;
+  }
+
+  return getRepositories(supabase).leaderboards.saveProfile(profile);
+}
+
+export {
+  LEADERBOARD_METRIC,
+  TIME_WINDOW,
+  getLeaderboard,
+  getUserStats,
+  setLeaderboardPreferences
+};
@@ -0,0 +1,55 @@
+import fs from 'fs';
+
+const DEFAULT_LEAGUES_CONFIG = new URL('./leagues.json', import.meta.url);
+
+let leagues = null;
+
+// Reads the league registry once. LEAGUES_CONFIG can point at another JSON file
+// with the same shape: [{ id, name, shortName, description, enabled, defaultBettingMode,
+// selfBettingRule }].
+function loadLeagues() {
+  if (leagues) {
+    return leagues;
+  }
+
+  const configPath = process.env.LEAGUES_CONFIG || DEFAULT_LEAGUES_CONFIG;
+  const entries = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  if (!Array.isArray(entries)) {
+    throw new Error('League registry must be a JSON array');
+  }
+
+  leagues = entries.map(entry => ({
+    id: Number(entry.id),
+    name: entry.name,
+    shortName: entry.shortName || entry.name,
+    description: entry.description || '',
+    enabled: entry.enabled !== false,
+    defaultBettingMode: entry.defaultBettingMode || 'fixed',
+    selfBettingRule: entry.selfBettingRule || 'against'
+  }));
+
+  console.log(`Loaded ${leagues.length} leagues from registry`);
+  return leagues;
+}
+
+function getEnabledLeagues() {
+  return loadLeagues().filter(league => league.enabled);
+}
+
+function getEnabledLeague(leagueId) {
+  const id = Number(leagueId);
+  return getEnabledLeagues().find(league => league.id === id) || null;
+}
+
+// The league the routes served before they were scoped by league: the first enabled
+// league in the registry
+function getDefaultLeague() {
+  return getEnabledLeagues()[0] || null;
+}
+
+export {
+  getEnabledLeagues,
+  getEnabledLeague,
+  getDefaultLeague
+};
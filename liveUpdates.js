@@ -0,0 +1,197 @@
+import { getRaceOdds } from './oddsEngine.js';
+
+// Server-Sent Events for the frontend: session phase changes, market state changes,
+// odds updates and the subscriber's own settlements. Recent events are kept in memory
+// so a client that reconnects with Last-Event-ID gets what it missed. The buffer is
+// per process; a client that comes back after a restart, or too late for the buffer,
+// is sent a reset event and should reload its state over the REST endpoints.
+const LIVE_EVENT = {
+  SESSION_PHASE: 'session_phase',
+  MARKET: 'market',
+  ODDS: 'odds',
+  BET_SETTLED: 'bet_settled',
+  RESET: 'reset'
+};
+
+const DEFAULT_BUFFER_SIZE = 1000;
+const DEFAULT_HEARTBEAT = 25 * 1000; // Below the usual 30-60 second proxy idle timeouts
+const RECONNECT_DELAY = 5000;
+
+// Event ids are `${epoch}-${sequence}`, so ids from before a restart are recognisable
+const epoch = Date.now().toString(36);
+let sequence = 0;
+const buffer = [];
+const subscribers = new Set();
+const publishedOdds = new Map();
+
+function getBufferSize() {
+  const size = parseInt(process.env.LIVE_EVENT_BUFFER_SIZE, 10);
+  return Number.isFinite(size) && size > 0 ? size : DEFAULT_BUFFER_SIZE;
+}
+
+function getHeartbeat() {
+  const interval = parseInt(process.env.LIVE_HEARTBEAT_MS, 10);
+  return Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_HEARTBEAT;
+}
+
+function sameId(a, b) {
+  return a === null || a === undefined || b === null || b === undefined || Number(a) === Number(b);
+}
+
+// Public events go to streams on their league and race; events with a userId only go
+// to that user's streams, whatever league or race they follow
+function matches(subscriber, event) {
+  if (event.userId) {
+    return subscriber.userId === event.userId;
+  }
+  return sameId(subscriber.leagueId, event.leagueId) && sameId(subscriber.raceId, event.raceId);
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function publishLiveEvent(type, data, { leagueId = null, raceId = null, userId = null } = {}) {
+  sequence += 1;
+  const event = {
+    id: `${epoch}-${sequence}`,
+    sequence,
+    type,
+    data,
+    leagueId,
+    raceId,
+    userId
+  };
+
+  buffer.push(event);
+  if (buffer.length > getBufferSize()) {
+    buffer.splice(0, buffer.length - getBufferSize());
+  }
+
+  subscribers.forEach(subscriber => {
+    if (matches(subscriber, event)) {
+      writeEvent(subscriber.res, event);
+    }
+  });
+  return event;
+}
+
+// Publishes a bet_settled event to the owner of each settled row. kind is 'bet',
+// 'ticket' or 'futures'; re-settlements and voids are published the same way.
+function publishSettlements(kind, rows) {
+  rows.forEach(row => {
+    publishLiveEvent(LIVE_EVENT.BET_SETTLED, {
+      kind,
+      id: row.id,
+      leagueId: row.league_id ? Number(row.league_id) : null,
+      seasonId: row.season_id ? Number(row.season_id) : null,
+      raceId: row.race_id ? Number(row.race_id) : null,
+      status: row.status,
+      payout: row.payout === null || row.payout === undefined ? null : Number(row.payout)
+    }, { userId: row.user_id });
+  });
+}
+
+// Events after lastEventId, or null when they can no longer be replayed
+function getMissedEvents(lastEventId) {
+  const [eventEpoch, eventSequence] = String(lastEventId).split('-');
+  const after = Number(eventSequence);
+
+  if (eventEpoch !== epoch || !Number.isInteger(after) || after > sequence) {
+    return null;
+  }
+  if (buffer.length > 0 && after < buffer[0].sequence - 1) {
+    return null;
+  }
+  return buffer.filter(event => event.sequence > after);
+}
+
+// Opens an SSE stream on the response. Filters: leagueId and raceId narrow the public
+// events; userId adds the user's own settlements.
+function openEventStream(req, res, { leagueId = null, raceId = null, userId = null } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  const subscriber = { res, leagueId, raceId, userId };
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  if (lastEventId) {
+    const missed = getMissedEvents(lastEventId);
+    if (missed) {
+      missed.filter(event => matches(subscriber, event)).forEach(event => writeEvent(res, event));
+    } else {
+      const latest = buffer.length > 0 ? buffer[buffer.length - 1].id : `${epoch}-${sequence}`;
+      writeEvent(res, { id: latest, type: LIVE_EVENT.RESET, data: { reason: 'Missed events are no longer available' } });
+    }
+  }
+
+  subscribers.add(subscriber);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), getHeartbeat());
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+  });
+}
+
+// Leagues with at least one stream open, so odds are only priced for races someone is watching
+function getWatchedLeagues() {
+  const leagueIds = new Set();
+  for (const subscriber of subscribers) {
+    if (subscriber.leagueId === null) {
+      return null;
+    }
+    leagueIds.add(Number(subscriber.leagueId));
+  }
+  return [...leagueIds];
+}
+
+function hasSubscribers() {
+  return subscribers.size > 0;
+}
+
+// Publishes the price of each open market whose odds were re-priced since the last
+// update. Prices come from the odds cache, so this adds no pricing beyond its TTL.
+async function publishOddsUpdates(iracing, markets) {
+  for (const market of markets) {
+    const key = `${market.league_id}:${market.race_id}`;
+    try {
+      const price = await getRaceOdds(iracing, market.league_id, market.season_id, market.race_id);
+      if (publishedOdds.get(key) === price.pricedAt) {
+        continue;
+      }
+
+      publishedOdds.set(key, price.pricedAt);
+      publishLiveEvent(LIVE_EVENT.ODDS, {
+        leagueId: Number(market.league_id),
+        seasonId: Number(market.season_id),
+        raceId: price.raceId,
+        margin: price.margin,
+        pricedAt: price.pricedAt,
+        drivers: price.drivers
+      }, { leagueId: Number(market.league_id), raceId: Number(market.race_id) });
+    } catch (error) {
+      if (error.code === 'IRACING_RATE_LIMITED') {
+        console.log('Rate limited while publishing odds, continuing in the next cycle');
+        return;
+      }
+      console.error(`Failed to publish odds for league ${market.league_id} race ${market.race_id}:`, error.message);
+    }
+  }
+}
+
+export {
+  LIVE_EVENT,
+  publishLiveEvent,
+  publishSettlements,
+  openEventStream,
+  getWatchedLeagues,
+  hasSubscribers,
+  publishOddsUpdates
+};
@@ -0,0 +1,258 @@
+import { LIVE_EVENT, publishLiveEvent } from './liveUpdates.js';
+import { getRepositories } from './repositories.js';
+
+const MARKET_STATE = {
+  SCHEDULED: 'scheduled',
+  OPEN: 'open',
+  SUSPENDED: 'suspended',
+  CLOSED: 'closed',
+  SETTLED: 'settled',
+  VOIDED: 'voided'
+};
+
+// Allowed moves in the market state machine. voided is terminal; settled markets can
+// only be voided, which operators do when a race turns out not to count.
+const TRANSITIONS = {
+  [MARKET_STATE.SCHEDULED]: [MARKET_STATE.OPEN, MARKET_STATE.SUSPENDED, MARKET_STATE.CLOSED, MARKET_STATE.VOIDED],
+  [MARKET_STATE.OPEN]: [MARKET_STATE.SUSPENDED, MARKET_STATE.CLOSED, MARKET_STATE.VOIDED],
+  [MARKET_STATE.SUSPENDED]: [MARKET_STATE.OPEN, MARKET_STATE.CLOSED, MARKET_STATE.VOIDED],
+  [MARKET_STATE.CLOSED]: [MARKET_STATE.SETTLED, MARKET_STATE.VOIDED],
+  [MARKET_STATE.SETTLED]: [MARKET_STATE.VOIDED],
+  [MARKET_STATE.VOIDED]: []
+};
+
+const DEFAULT_OPEN_LEAD = 7 * 24 * 60 * 60 * 1000; // Markets open a week before launch
+const DEFAULT_SUSPEND_LEAD = 5 * 60 * 1000; // and suspend 5 minutes before launch
+
+function getLeadTime(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function canTransition(from, to) {
+  return from === to || TRANSITIONS[from].includes(to);
+}
+
+// The state a session's market should be in right now, based on launch_at and results
+function deriveMarketState(session, now = Date.now()) {
+  const launchAt = new Date(session.launch_at).getTime();
+
+  if (session.has_results || now >= launchAt) {
+    return MARKET_STATE.CLOSED;
+  }
+  if (now >= launchAt - getLeadTime('MARKET_SUSPEND_LEAD_MS', DEFAULT_SUSPEND_LEAD)) {
+    return MARKET_STATE.SUSPENDED;
+  }
+  if (now >= launchAt - getLeadTime('MARKET_OPEN_LEAD_MS', DEFAULT_OPEN_LEAD)) {
+    return MARKET_STATE.OPEN;
+  }
+  return MARKET_STATE.SCHEDULED;
+}
+
+function publishMarket(market, previousState) {
+  publishLiveEvent(LIVE_EVENT.MARKET, {
+    leagueId: Number(market.league_id),
+    seasonId: market.season_id ? Number(market.season_id) : null,
+    raceId: Number(market.race_id),
+    previousState,
+    state: market.state,
+    held: Boolean(market.held),
+    launchAt: market.launch_at || null
+  }, { leagueId: Number(market.league_id), raceId: Number(market.race_id) });
+}
+
+async function getMarket(supabase, leagueId, raceId) {
+  return getRepositories(supabase).markets.get(leagueId, raceId);
+}
+
+// Moves a market to a new state, refusing moves the state machine does not allow.
+// The update is conditional on the state we read, so concurrent moves cannot skip a step.
+async function transitionMarket(supabase, leagueId, raceId, toState, fields = {}) {
+  const markets = getRepositories(supabase).markets;
+  const market = await markets.get(leagueId, raceId);
+
+  if (!market) {
+    const created = await markets.create({
+      league_id: leagueId,
+      race_id: raceId,
+      state: toState,
+      updated_at: new Date(),
+      ...fields
+    });
+
+    publishMarket(created, null);
+    return created;
+  }
+
+  if (market.state === toState) {
+    return market;
+  }
+
+  if (!canTransition(market.state, toState)) {
+    const error = new Error(`Market for race ${raceId} cannot move from ${market.state} to ${toState}`);
+    error.code = 'INVALID_MARKET_TRANSITION';
+    throw error;
+  }
+
+  const updated = await markets.updateIfState(market.id, market.state, { state: toState, updated_at: new Date(), ...fields });
+
+  if (!updated) {
+    // Somebody else moved the market first; report what it is now
+    return markets.get(leagueId, raceId);
+  }
+
+  console.log(`Market for league ${leagueId} race ${raceId}: ${market.state} -> ${toState}`);
+  publishMarket(updated, market.state);
+  return updated;
+}
+
+// The state a session's market is in right now: the one its timestamps call for, unless
+// the stored market was settled or voided, cannot legally reach it, or is held by an
+// operator (held markets stay suspended until released or the race launches).
+function resolveMarketState(market, session) {
+  const target = deriveMarketState(session);
+
+  if (market && (!canTransition(market.state, target) || (market.held && target !== MARKET_STATE.CLOSED))) {
+    return market.state;
+  }
+  return target;
+}
+
+// Brings the stored market in line with the session's timestamps. Only the ingestion
+// worker writes markets this way; public reads use resolveMarketState and store nothing.
+async function syncMarket(supabase, leagueId, seasonId, session) {
+  const raceId = session.subsession_id;
+  const market = await getMarket(supabase, leagueId, raceId);
+  const state = resolveMarketState(market, session);
+
+  if (market && market.state === state) {
+    return market;
+  }
+
+  return transitionMarket(supabase, leagueId, raceId, state, { season_id: seasonId, launch_at: session.launch_at });
+}
+
+async function getSeasonMarkets(supabase, iracing, leagueId, seasonId) {
+  const { sessions } = await iracing.getLeagueSubsessions(leagueId, seasonId);
+
+  const markets = [];
+  for (const session of sessions) {
+    const market = await getMarket(supabase, leagueId, session.subsession_id);
+    markets.push({
+      raceId: session.subsession_id,
+      sessionName: session.session_name,
+      launchAt: session.launch_at,
+      state: resolveMarketState(market, session)
+    });
+  }
+  return markets;
+}
+
+function raceNotFound(raceId, seasonId) {
+  const error = new Error(`Race ${raceId} is not a session of season ${seasonId}`);
+  error.code = 'RACE_NOT_FOUND';
+  return error;
+}
+
+// Resolves the current market state for a race. Sessions that are no longer in the
+// upcoming list have already launched, so they count as closed unless stored otherwise.
+// A race that is not a session of the season at all is RACE_NOT_FOUND, including one
+// whose stored market belongs to another season.
+async function getRaceMarketState(supabase, iracing, leagueId, seasonId, raceId) {
+  const { sessions } = await iracing.getLeagueSubsessions(leagueId, seasonId);
+  const session = sessions.find(item => Number(item.subsession_id) === Number(raceId));
+
+  if (session) {
+    return resolveMarketState(await getMarket(supabase, leagueId, raceId), session);
+  }
+
+  // Markets an operator created before the race was synced have no season yet, so
+  // those are checked against iRacing like races without a market
+  const market = await getMarket(supabase, leagueId, raceId);
+  if (market && market.season_id) {
+    if (Number(market.season_id) !== Number(seasonId)) {
+      throw raceNotFound(raceId, seasonId);
+    }
+    return market.state;
+  }
+
+  const { sessions: seasonSessions } = await iracing.getLeagueSeasonSessions(leagueId, seasonId);
+  if (!seasonSessions.some(item => Number(item.subsession_id) === Number(raceId))) {
+    throw raceNotFound(raceId, seasonId);
+  }
+  return market ? market.state : MARKET_STATE.CLOSED;
+}
+
+async function assertMarketOpen(supabase, iracing, leagueId, seasonId, raceId) {
+  const state = await getRaceMarketState(supabase, iracing, leagueId, seasonId, raceId);
+
+  if (state !== MARKET_STATE.OPEN) {
+    const error = new Error(`Market for race ${raceId} is ${state}`);
+    error.code = 'MARKET_NOT_OPEN';
+    error.marketState = state;
+    throw error;
+  }
+}
+
+async function setMarketHeld(supabase, market, held) {
+  const updated = await getRepositories(supabase).markets.update(market.id, { held, updated_at: new Date() });
+
+  publishMarket(updated, market.state);
+  return updated;
+}
+
+// Operator suspension: the market stays suspended whatever the schedule says
+async function holdMarket(supabase, leagueId, raceId) {
+  const market = await transitionMarket(supabase, leagueId, raceId, MARKET_STATE.SUSPENDED, { held: true });
+  return market.held ? market : setMarketHeld(supabase, market, true);
+}
+
+// Lifts an operator suspension. The market goes back to the state its session's
+// timestamps call for the next time it is synced.
+async function releaseMarket(supabase, leagueId, raceId) {
+  const market = await getMarket(supabase, leagueId, raceId);
+
+  if (!market || !market.held) {
+    const error = new Error(`Market for race ${raceId} is not held`);
+    error.code = 'INVALID_MARKET_TRANSITION';
+    throw error;
+  }
+
+  return setMarketHeld(supabase, market, false);
+}
+
+// Settlement happens after the race, so the market is closed on the way if needed
+async function settleMarket(supabase, leagueId, raceId) {
+  const market = await getMarket(supabase, leagueId, raceId);
+
+  if (market && market.state === MARKET_STATE.VOIDED) {
+    return market;
+  }
+
+  if (market && market.state !== MARKET_STATE.CLOSED && canTransition(market.state, MARKET_STATE.CLOSED)) {
+    await transitionMarket(supabase, leagueId, raceId, MARKET_STATE.CLOSED);
+  }
+
+  return transitionMarket(supabase, leagueId, raceId, MARKET_STATE.SETTLED);
+}
+
+// Open markets in the given leagues, or in every league when leagueIds is null
+async function getOpenMarkets(supabase, leagueIds = null) {
+  return getRepositories(supabase).markets.listByState(MARKET_STATE.OPEN, { leagueIds });
+}
+
+export {
+  MARKET_STATE,
+  canTransition,
+  deriveMarketState,
+  getMarket,
+  transitionMarket,
+  syncMarket,
+  getSeasonMarkets,
+  getRaceMarketState,
+  assertMarketOpen,
+  holdMarket,
+  releaseMarket,
+  settleMarket,
+  getOpenMarkets
+};
@@ -0,0 +1,627 @@
+// In-memory storage backend (STORAGE_BACKEND=memory), also what the tests run against.
+// The memory repositories work on its tables and emulated functions directly. It also
+// implements the parts of supabase-js the Supabase repositories use (query chains on
+// tables, the RPCs from supabase/migrations and auth.getUser for bearer tokens), so both
+// implementations are tested against the same data. Rows go through JSON on the way in
+// and out, as they would over PostgREST, so Dates come back as ISO strings and callers
+// never share objects with the store.
+
+// Columns that are unique in the migrations; inserts that clash fail with 23505
+const UNIQUE_KEYS = {
+  wallet_transactions: [['reference']],
+  driver_links: [['user_id'], ['cust_id']],
+  race_markets: [['league_id', 'race_id']],
+  race_settings: [['league_id', 'race_id']],
+  race_settlements: [['league_id', 'race_id']],
+  race_result_amendments: [['league_id', 'race_id', 'revision']],
+  race_result_overrides: [['league_id', 'race_id']],
+  futures_markets: [['league_id', 'season_id']],
+  bettor_profiles: [['user_id']],
+  gambling_limits: [['user_id', 'limit_type', 'period']],
+  league_rosters: [['league_id']],
+  league_seasons: [['league_id', 'season_id']],
+  league_subsessions: [['league_id', 'subsession_id']],
+  idempotency_keys: [['user_id', 'key']]
+};
+
+// Column defaults from the migrations that the code relies on reading back
+const DEFAULTS = {
+  bets: () => ({ status: 'pending', payout: null, settled_at: null, bet_type: 'win', betting_mode: 'fixed' }),
+  bet_tickets: () => ({ status: 'pending', payout: null, settled_at: null }),
+  ticket_legs: () => ({ status: 'pending', settled_at: null }),
+  futures_bets: () => ({ status: 'pending', payout: null, settled_at: null }),
+  race_markets: () => ({ held: false }),
+  race_settlements: () => ({ revision: 1, settled_at: new Date().toISOString(), checked_at: new Date().toISOString(), amended_at: null }),
+  cashout_quotes: () => ({ accepted_at: null }),
+  bettor_profiles: () => ({ display_name: null, leaderboard_opt_out: false }),
+  driver_links: () => ({ verified_at: new Date().toISOString() }),
+  driver_link_disputes: () => ({ resolved_by: null, resolved_at: null }),
+  admin_audit_log: () => ({ status: 'started', completed_at: null }),
+  idempotency_keys: () => ({ response_status: null, response_body: null, completed_at: null })
+};
+
+// Embedded selects such as '*, ticket_legs(*)': child table -> foreign key on the child
+const RELATIONS = {
+  bet_tickets: { ticket_legs: 'ticket_id' }
+};
+
+// Tables the migrations make append-only with a trigger, and the updates the trigger
+// still lets through. Admin actions are logged as started and then marked completed or
+// failed once (0020_admin_audit_status.sql).
+const AUDIT_COMPLETION_COLUMNS = ['status', 'details', 'completed_at'];
+
+const APPEND_ONLY = {
+  wallet_transactions: () => false,
+  admin_audit_log: (row, values) => row.status === 'started' && ['completed', 'failed'].includes(values.status)
+    && Object.keys(values).every(column => AUDIT_COMPLETION_COLUMNS.includes(column)),
+  gambling_exclusions: () => false
+};
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function postgresError(message, code = 'P0001', details = null) {
+  return { message, code, details, hint: null };
+}
+
+// An error raised from one of the emulated functions, as `raise exception using message,
+// detail` would; details are sent as JSON text
+function raised(message, details = null) {
+  const error = new Error(message);
+  error.details = details === null ? null : JSON.stringify(details);
+  return error;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const numbers = [Number(a), Number(b)];
+  if (typeof a !== 'boolean' && numbers.every(Number.isFinite)) {
+    return numbers[0] - numbers[1];
+  }
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function sameValue(a, b) {
+  return a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+}
+
+class QueryBuilder {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.operation = 'select';
+    this.payload = null;
+    this.options = {};
+    this.filters = [];
+    this.orders = [];
+    this.bounds = null;
+    this.embeds = [];
+    this.returning = false;
+    this.count = false;
+    this.cardinality = null;
+  }
+
+  select(columns = '*', { count } = {}) {
+    if (this.operation === 'select') {
+      this.count = count === 'exact';
+    } else {
+      this.returning = true;
+    }
+    this.embeds = [...String(columns).matchAll(/(\w+)\(\*\)/g)].map(match => match[1]);
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.operation = 'upsert';
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => sameValue(row[column], value));
+    return this;
+  }
+
+  neq(column, value) {
+    this.filters.push(row => !sameValue(row[column], value));
+    return this;
+  }
+
+  gt(column, value) {
+    this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) > 0);
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) >= 0);
+    return this;
+  }
+
+  lt(column, value) {
+    this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) < 0);
+    return this;
+  }
+
+  lte(column, value) {
+    this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) <= 0);
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push(row => values.some(value => sameValue(row[column], value)));
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push(row => (row[column] === undefined ? null : row[column]) === value);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.bounds = { from, to };
+    return this;
+  }
+
+  limit(count) {
+    this.bounds = { from: 0, to: count - 1 };
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matching(rows) {
+    return rows.filter(row => this.filters.every(filter => filter(row)));
+  }
+
+  execute() {
+    const rows = this.store.table(this.table);
+    let result;
+
+    try {
+      if (this.operation === 'select') {
+        result = this.matching(rows);
+      } else if (this.operation === 'insert') {
+        result = this.store.insertRows(this.table, [].concat(this.payload));
+      } else if (this.operation === 'upsert') {
+        result = this.store.upsertRows(this.table, [].concat(this.payload), this.options);
+      } else if (this.operation === 'update') {
+        result = this.matching(rows);
+        const values = clone(this.payload);
+        this.store.assertWritable(this.table, result, values);
+        result.forEach(row => Object.assign(row, values));
+      } else {
+        result = this.matching(rows);
+        this.store.assertWritable(this.table, result);
+        this.store.tables[this.table] = rows.filter(row => !result.includes(row));
+      }
+    } catch (error) {
+      return { data: null, error, count: null };
+    }
+
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null, count: null };
+    }
+
+    let data = [...result];
+    this.orders.slice().reverse().forEach(({ column, ascending }) => {
+      data.sort((a, b) => (ascending ? 1 : -1) * compare(a[column], b[column]));
+    });
+    const count = data.length;
+    if (this.bounds) {
+      data = data.slice(this.bounds.from, this.bounds.to + 1);
+    }
+
+    data = data.map(row => {
+      const copy = clone(row);
+      this.embeds.forEach(child => {
+        const foreignKey = (RELATIONS[this.table] || {})[child];
+        copy[child] = clone(this.store.table(child).filter(childRow => sameValue(childRow[foreignKey], row.id)));
+      });
+      return copy;
+    });
+
+    if (this.cardinality === 'single') {
+      return data.length === 1
+        ? { data: data[0], error: null, count: null }
+        : { data: null, error: postgresError('JSON object requested, multiple (or no) rows returned', 'PGRST116'), count: null };
+    }
+    if (this.cardinality === 'maybeSingle') {
+      return data.length > 1
+        ? { data: null, error: postgresError('JSON object requested, multiple rows returned', 'PGRST116'), count: null }
+        : { data: data[0] || null, error: null, count: null };
+    }
+    return { data, error: null, count: this.count ? count : null };
+  }
+}
+
+class MemoryStore {
+  constructor({ tables = {}, users = {}, rpc = {} } = {}) {
+    this.tables = {};
+    this.nextId = 1;
+    this.users = new Map(Object.entries(users));
+    this.rpcHandlers = { ...DEFAULT_RPC, ...rpc };
+    this.auth = {
+      getUser: async token => {
+        const user = this.users.get(token);
+        return user
+          ? { data: { user: clone(user) }, error: null }
+          : { data: { user: null }, error: { message: 'invalid JWT', status: 401 } };
+      }
+    };
+
+    Object.entries(tables).forEach(([table, rows]) => this.insertRows(table, rows));
+  }
+
+  table(name) {
+    if (!this.tables[name]) {
+      this.tables[name] = [];
+    }
+    return this.tables[name];
+  }
+
+  from(table) {
+    return new QueryBuilder(this, table);
+  }
+
+  async rpc(name, params = {}) {
+    const handler = this.rpcHandlers[name];
+    if (!handler) {
+      return { data: null, error: postgresError(`Could not find the function public.${name}`, 'PGRST202') };
+    }
+
+    try {
+      return { data: clone(handler(this, params)), error: null };
+    } catch (error) {
+      return { data: null, error: postgresError(error.message, 'P0001', error.details || null) };
+    }
+  }
+
+  // Deletes from an append-only table, and updates its trigger does not allow, fail
+  assertWritable(table, rows, values = null) {
+    const allows = APPEND_ONLY[table];
+    if (allows && !(values && rows.every(row => allows(row, values)))) {
+      throw postgresError(`${table} is append-only`);
+    }
+  }
+
+  assertUnique(table, row, ignore = null) {
+    (UNIQUE_KEYS[table] || []).forEach(columns => {
+      const clash = this.table(table).find(existing => existing !== ignore
+        && columns.every(column => sameValue(existing[column], row[column])));
+      if (clash) {
+        throw postgresError(`duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`, '23505');
+      }
+    });
+  }
+
+  insertRows(table, rows) {
+    return rows.map(input => {
+      const row = {
+        id: this.nextId++,
+        created_at: new Date().toISOString(),
+        ...(DEFAULTS[table] ? DEFAULTS[table]() : {}),
+        ...clone(input)
+      };
+      this.assertUnique(table, row);
+      this.table(table).push(row);
+      return row;
+    });
+  }
+
+  upsertRows(table, rows, { onConflict, ignoreDuplicates = false } = {}) {
+    const columns = onConflict ? onConflict.split(',').map(column => column.trim()) : ['id'];
+    const written = [];
+
+    rows.forEach(input => {
+      const values = clone(input);
+      const existing = this.table(table).find(row => columns.every(column => sameValue(row[column], values[column])));
+      if (!existing) {
+        written.push(...this.insertRows(table, [values]));
+      } else if (!ignoreDuplicates) {
+        this.assertWritable(table, [existing], values);
+        this.assertUnique(table, { ...existing, ...values }, existing);
+        Object.assign(existing, values);
+        written.push(existing);
+      }
+    });
+    return written;
+  }
+
+  // Ledger balance, as wallet_balance() computes it
+  balance(userId) {
+    return this.table('wallet_transactions')
+      .filter(entry => entry.user_id === userId)
+      .reduce((sum, entry) => sum + Number(entry.amount), 0);
+  }
+
+  deposit(userId, amount) {
+    this.insertRows('wallet_transactions', [{ user_id: userId, type: 'deposit', amount, reference: null }]);
+  }
+
+  // place_bet(), place_ticket() and place_futures_bet(): the stake is debited with the
+  // insert, or neither happens. They return the stored row, not a copy.
+  placeBet(bet) {
+    return placeStake(this, bet.user_id, bet.bet_amount, () => this.insertRows('bets', [{
+      user_id: bet.user_id,
+      league_id: bet.league_id,
+      season_id: bet.season_id,
+      race_id: bet.race_id,
+      selected_driver_id: bet.selected_driver_id,
+      bet_type: bet.bet_type || 'win',
+      selection: bet.selection,
+      betting_mode: bet.betting_mode || 'fixed',
+      bet_amount: Number(bet.bet_amount),
+      odds: bet.odds === null || bet.odds === undefined ? null : Number(bet.odds)
+    }]), 'stake:bet', 'bet_id');
+  }
+
+  placeTicket(ticket, legs) {
+    return placeStake(this, ticket.user_id, ticket.stake, () => {
+      const rows = this.insertRows('bet_tickets', [{
+        user_id: ticket.user_id,
+        stake: Number(ticket.stake),
+        combined_odds: Number(ticket.combined_odds)
+      }]);
+      this.insertRows('ticket_legs', legs.map(leg => ({
+        ticket_id: rows[0].id,
+        league_id: leg.league_id,
+        season_id: leg.season_id,
+        race_id: leg.race_id,
+        bet_type: leg.bet_type || 'win',
+        selected_driver_id: leg.selected_driver_id,
+        selection: leg.selection,
+        odds: Number(leg.odds)
+      })));
+      return rows;
+    }, 'stake:ticket', 'ticket_id');
+  }
+
+  placeFuturesBet(bet) {
+    return placeStake(this, bet.user_id, bet.stake, () => this.insertRows('futures_bets', [{
+      user_id: bet.user_id,
+      league_id: bet.league_id,
+      season_id: bet.season_id,
+      driver_id: bet.driver_id,
+      stake: Number(bet.stake),
+      odds: Number(bet.odds)
+    }]), 'stake:futures', 'futures_bet_id');
+  }
+
+  // accept_cashout(): the bet is cashed out and the amount credited, or neither happens
+  acceptCashOut(quoteId, betId, userId) {
+    const quote = this.table('cashout_quotes').find(row => sameValue(row.id, quoteId)
+      && sameValue(row.bet_id, betId) && row.user_id === userId);
+    if (!quote) {
+      throw new Error('CASHOUT_QUOTE_NOT_FOUND');
+    }
+    if (quote.accepted_at || Date.parse(quote.expires_at) <= Date.now()) {
+      throw new Error('CASHOUT_QUOTE_EXPIRED');
+    }
+
+    const bet = this.table('bets').find(row => sameValue(row.id, betId) && row.user_id === userId && row.status === 'pending');
+    if (!bet) {
+      throw new Error('CASHOUT_UNAVAILABLE');
+    }
+
+    Object.assign(bet, { status: 'cashed_out', payout: Number(quote.amount), settled_at: new Date().toISOString() });
+    quote.accepted_at = new Date().toISOString();
+    this.insertRows('wallet_transactions', [{
+      user_id: userId,
+      type: 'cashout',
+      amount: Number(quote.amount),
+      bet_id: bet.id,
+      reference: `cashout:bet:${bet.id}`
+    }]);
+    return bet;
+  }
+
+  // close_bet(): the bet moves from fromStatus and its credit is posted, or neither happens
+  closeBet(betId, fromStatus, { status, payout }, credit) {
+    const bet = this.table('bets').find(row => sameValue(row.id, betId) && row.status === fromStatus);
+    if (!bet) {
+      return [];
+    }
+
+    Object.assign(bet, { status, payout: Number(payout), settled_at: bet.settled_at || new Date().toISOString() });
+    if (credit) {
+      this.upsertRows('wallet_transactions', [{
+        user_id: bet.user_id,
+        type: credit.type,
+        amount: Number(credit.amount),
+        bet_id: bet.id,
+        reference: credit.reference
+      }], { onConflict: 'reference', ignoreDuplicates: true });
+    }
+    return [bet];
+  }
+
+  bettorLeaderboard(params) {
+    return bettorLeaderboard(this, params);
+  }
+}
+
+const PERIOD_MS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+const BETTING_TRANSACTION_TYPES = ['stake', 'payout', 'refund', 'adjustment', 'cashout'];
+
+// Exclusions and limits, following assert_can_stake() in 0018_stake_controls.sql
+function assertCanStake(store, userId, amount, now = Date.now()) {
+  const exclusion = store.table('gambling_exclusions')
+    .filter(row => row.user_id === userId && new Date(row.ends_at).getTime() > now)
+    .sort((a, b) => new Date(b.ends_at) - new Date(a.ends_at))[0];
+  if (exclusion) {
+    throw raised(exclusion.kind === 'self_exclusion' ? 'SELF_EXCLUDED' : 'ON_BREAK', { until: exclusion.ends_at });
+  }
+
+  store.table('gambling_limits').filter(row => row.user_id === userId).forEach(row => {
+    const pendingApplies = row.pending_effective_at && new Date(row.pending_effective_at).getTime() <= now;
+    const limit = pendingApplies ? row.pending_amount : row.amount;
+    if (limit === null || limit === undefined) {
+      return;
+    }
+
+    const entries = store.table('wallet_transactions').filter(entry => entry.user_id === userId
+      && BETTING_TRANSACTION_TYPES.includes(entry.type)
+      && new Date(entry.created_at).getTime() >= now - PERIOD_MS[row.period]);
+    const used = row.limit_type === 'stake'
+      ? entries.filter(entry => entry.type === 'stake').reduce((sum, entry) => sum - Number(entry.amount), 0)
+      : Math.max(0, -entries.reduce((sum, entry) => sum + Number(entry.amount), 0));
+
+    if (used + Number(amount) > Number(limit)) {
+      throw raised(row.limit_type === 'stake' ? 'STAKE_LIMIT_EXCEEDED' : 'LOSS_LIMIT_EXCEEDED', {
+        period: row.period,
+        limit: Number(limit),
+        remaining: Math.max(0, Math.round((Number(limit) - used) * 100) / 100)
+      });
+    }
+  });
+}
+
+// Nothing runs concurrently inside the MemoryStore, so it needs no stand-in for the lock
+function placeStake(store, userId, amount, insert, referencePrefix, link) {
+  assertCanStake(store, userId, amount);
+  if (store.balance(userId) < Number(amount)) {
+    throw raised('INSUFFICIENT_FUNDS');
+  }
+  const [row] = insert();
+  store.insertRows('wallet_transactions', [{
+    user_id: userId,
+    type: 'stake',
+    amount: -Number(amount),
+    bet_id: null,
+    ticket_id: null,
+    futures_bet_id: null,
+    [link]: row.id,
+    reference: `${referencePrefix}:${row.id}`
+  }]);
+  return row;
+}
+
+// Settled-bet statistics per user, following bettor_leaderboard() in 0013_leaderboards.sql
+function bettorLeaderboard(store, params) {
+  const {
+    p_metric: metric = 'profit',
+    p_league_id: leagueId = null,
+    p_season_id: seasonId = null,
+    p_since: since = null,
+    p_user_id: userId = null,
+    p_min_bets: minBets = 1,
+    p_limit: limit = 20,
+    p_offset: offset = 0
+  } = params;
+  const profiles = new Map(store.table('bettor_profiles').map(profile => [profile.user_id, profile]));
+
+  const settled = store.table('bets').filter(bet => ['won', 'lost', 'void', 'cashed_out'].includes(bet.status)
+    && (leagueId === null || sameValue(bet.league_id, leagueId))
+    && (seasonId === null || sameValue(bet.season_id, seasonId))
+    && (since === null || compare(bet.settled_at, since) >= 0)
+    && (userId !== null ? bet.user_id === userId : !(profiles.get(bet.user_id) || {}).leaderboard_opt_out));
+
+  const byUser = new Map();
+  settled
+    .sort((a, b) => compare(a.settled_at, b.settled_at) || a.id - b.id)
+    .forEach(bet => byUser.set(bet.user_id, [...(byUser.get(bet.user_id) || []), bet]));
+
+  const rows = [...byUser.entries()]
+    .filter(([, bets]) => bets.length >= minBets)
+    .map(([user, bets]) => {
+      const staked = bets.reduce((sum, bet) => sum + Number(bet.bet_amount), 0);
+      const returned = bets.reduce((sum, bet) => sum + Number(bet.payout || 0), 0);
+      const won = bets.filter(bet => bet.status === 'won');
+      const decided = bets.filter(bet => bet.status === 'won' || bet.status === 'lost');
+      let streak = 0;
+      let longest = 0;
+      decided.forEach(bet => {
+        streak = bet.status === 'won' ? streak + 1 : 0;
+        longest = Math.max(longest, streak);
+      });
+
+      return {
+        user_id: user,
+        display_name: (profiles.get(user) || {}).display_name || null,
+        bets: bets.length,
+        staked,
+        returned,
+        profit: returned - staked,
+        roi: staked > 0 ? Math.round((returned - staked) / staked * 10000) / 10000 : null,
+        win_rate: decided.length > 0 ? Math.round(won.length / decided.length * 10000) / 10000 : null,
+        longest_streak: longest,
+        biggest_payout: Math.max(0, ...won.map(bet => Number(bet.payout)))
+      };
+    });
+
+  const sortKey = { profit: 'profit', roi: 'roi', win_rate: 'win_rate', longest_streak: 'longest_streak', biggest_payout: 'biggest_payout' }[metric];
+  rows.sort((a, b) => compare(b[sortKey], a[sortKey]) || compare(b.profit, a.profit));
+  return rows.slice(offset, offset + limit).map(row => ({ ...row, total_count: rows.length }));
+}
+
+// The RPCs from supabase/migrations, with the same checks and ledger entries
+const DEFAULT_RPC = {
+  wallet_balance: (store, { p_user_id: userId }) => store.balance(userId),
+
+  place_bet: (store, { p_bet: bet }) => store.placeBet(bet),
+
+  place_ticket: (store, { p_ticket: ticket, p_legs: legs }) => store.placeTicket(ticket, legs),
+
+  place_futures_bet: (store, { p_bet: bet }) => store.placeFuturesBet(bet),
+
+  accept_cashout: (store, { p_quote_id: quoteId, p_bet_id: betId, p_user_id: userId }) => store.acceptCashOut(quoteId, betId, userId),
+
+  close_bet: (store, { p_bet_id: betId, p_from_status: fromStatus, p_status: status, p_payout: payout, p_credit: credit }) =>
+    store.closeBet(betId, fromStatus, { status, payout }, credit),
+
+  bettor_leaderboard: (store, params) => store.bettorLeaderboard(params)
+};
+
+function createMemoryStore(options) {
+  return new MemoryStore(options);
+}
+
+export {
+  MemoryStore,
+  createMemoryStore,
+  clone,
+  compare,
+  sameValue
+};
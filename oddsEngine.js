@@ -0,0 +1,319 @@
+import { TtlCache } from './cache.js';
+import { getFinishingOrder } from './raceResults.js';
+import { BET_TYPE, TOP_N_POSITIONS, getSelectionProbability, isBetTypeOffered, validateSelection } from './betTypes.js';
+
+const DEFAULT_HOUSE_MARGIN = 0.1; // 10% overround
+const DEFAULT_ODDS_TTL = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_LICENSE_CATEGORY = 'road';
+const DEFAULT_IRATING = 1350; // iRacing's starting iRating
+const FORM_RACES = 5; // Recent league races used for form
+const FORM_RATING_SPREAD = 800; // Rating swing between always-first and always-last form
+const DEFAULT_INCIDENTS = 4; // Expected incidents for drivers without league history
+const SIMULATION_RUNS = 5000; // Monte Carlo runs for top-N finishing probabilities
+const MAX_PRICED_RACES = 200; // Prices kept at once; the oldest is dropped first
+const MIN_ODDS = 1.01;
+const ODDS_TOLERANCE = 0.005;
+
+// Markets priced for every driver in the odds listing. Head-to-head and incident
+// over/under depend on a second driver or a line, so they are quoted on request.
+const DRIVER_MARKETS = [
+  BET_TYPE.WIN,
+  BET_TYPE.TOP_3,
+  BET_TYPE.TOP_5,
+  BET_TYPE.TOP_10,
+  BET_TYPE.FASTEST_LAP,
+  BET_TYPE.MOST_LAPS_LED
+];
+
+// Cached prices per race, keyed `${leagueId}:${seasonId}:${raceId}`. Form is read from
+// the season asked for, so a price is only reused for that season. Expired prices are
+// dropped when read, and at most MAX_PRICED_RACES are held.
+const oddsCache = new TtlCache({ maxEntries: MAX_PRICED_RACES });
+
+function getHouseMargin() {
+  const margin = parseFloat(process.env.HOUSE_MARGIN);
+  return Number.isFinite(margin) && margin >= 0 ? margin : DEFAULT_HOUSE_MARGIN;
+}
+
+function getOddsTtl() {
+  const ttl = parseInt(process.env.ODDS_TTL_MS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_ODDS_TTL;
+}
+
+function getIRating(member) {
+  const licenses = Array.isArray(member && member.licenses) ? member.licenses : [];
+  const category = process.env.ODDS_LICENSE_CATEGORY || DEFAULT_LICENSE_CATEGORY;
+  const license = licenses.find(item => item.category === category);
+
+  if (license && license.irating > 0) {
+    return license.irating;
+  }
+
+  const best = Math.max(0, ...licenses.map(item => item.irating || 0));
+  return best > 0 ? best : DEFAULT_IRATING;
+}
+
+// Recent league form per driver: average finishing percentile (0 = always won,
+// 1 = always last) and average incidents per race
+async function getRecentForm(iracing, leagueId, seasonId) {
+  const { sessions } = await iracing.getLeagueSeasonResults(leagueId, seasonId);
+  const recent = sessions
+    .filter(session => session.subsession_id)
+    .sort((a, b) => new Date(b.launch_at) - new Date(a.launch_at))
+    .slice(0, FORM_RACES);
+
+  const history = new Map();
+  for (const session of recent) {
+    const raceDetails = await iracing.getRaceDetails(leagueId, seasonId, session.subsession_id);
+    const finishers = getFinishingOrder(raceDetails);
+    const fieldSize = finishers.size;
+
+    finishers.forEach((finisher, custId) => {
+      const entry = history.get(custId) || { percentiles: [], incidents: [] };
+      entry.percentiles.push(fieldSize > 1 ? (finisher.position - 1) / (fieldSize - 1) : 0);
+      entry.incidents.push(finisher.incidents || 0);
+      history.set(custId, entry);
+    });
+  }
+
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const form = new Map();
+  history.forEach((entry, custId) => {
+    form.set(custId, {
+      percentile: average(entry.percentiles),
+      incidents: average(entry.incidents)
+    });
+  });
+  return form;
+}
+
+function ratingToStrength(rating, scale = 1600) {
+  return Math.pow(2, rating / scale);
+}
+
+// Win probability is proportional to 2^(rating / 1600), the same curve iRacing uses for iRating.
+function calculateWinProbabilities(ratings, scale = 1600) {
+  const strengths = ratings.map(rating => ratingToStrength(rating, scale));
+  const total = strengths.reduce((sum, strength) => sum + strength, 0);
+  return strengths.map(strength => strength / total);
+}
+
+// Small seeded PRNG (mulberry32) so the same field always simulates to the same prices
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Probability of each driver finishing inside each TOP_N_POSITIONS cut-off, by drawing
+// finishing orders from the Plackett-Luce model the win probabilities come from
+function simulateTopFinishes(strengths) {
+  const deepest = Math.max(...TOP_N_POSITIONS);
+  const counts = strengths.map(() => TOP_N_POSITIONS.map(() => 0));
+  const random = createRandom(strengths.length * 7919 + Math.round(strengths.reduce((sum, s) => sum + s, 0)));
+
+  for (let run = 0; run < SIMULATION_RUNS; run++) {
+    const remaining = strengths.map((strength, index) => index);
+    let remainingStrength = strengths.reduce((sum, strength) => sum + strength, 0);
+
+    for (let position = 1; position <= Math.min(deepest, strengths.length); position++) {
+      let pick = random() * remainingStrength;
+      let slot = 0;
+      while (slot < remaining.length - 1 && pick >= strengths[remaining[slot]]) {
+        pick -= strengths[remaining[slot]];
+        slot++;
+      }
+
+      const driverIndex = remaining.splice(slot, 1)[0];
+      remainingStrength -= strengths[driverIndex];
+      TOP_N_POSITIONS.forEach((cutOff, cutOffIndex) => {
+        if (position <= cutOff) {
+          counts[driverIndex][cutOffIndex]++;
+        }
+      });
+    }
+  }
+
+  return counts.map(driverCounts => driverCounts.map(count => count / SIMULATION_RUNS));
+}
+
+// Decimal odds with the house margin, or null when the selection is too likely to offer:
+// a price at or below the floor would be a bet that can barely lose, so it is not quoted
+// at all rather than raised to the floor
+function applyMargin(probability, margin) {
+  const odds = Math.round(100 / (probability * (1 + margin))) / 100;
+  return odds > MIN_ODDS ? odds : null;
+}
+
+// Builds the race model every bet type prices from, keyed by cust_id
+async function buildRaceModel(iracing, leagueId, seasonId) {
+  const rosterData = await iracing.getLeagueRoster(leagueId);
+  const roster = Array.isArray(rosterData.roster) ? rosterData.roster : [];
+
+  const members = await iracing.getMemberProfiles(roster.map(driver => driver.cust_id));
+  const membersById = new Map(members.map(member => [Number(member.cust_id), member]));
+  const form = roster.length > 0 ? await getRecentForm(iracing, leagueId, seasonId) : new Map();
+
+  const drivers = roster.map(driver => {
+    const custId = Number(driver.cust_id);
+    const irating = getIRating(membersById.get(custId));
+    const driverForm = form.get(custId);
+    const percentile = driverForm ? driverForm.percentile : 0.5;
+
+    return {
+      driverId: custId,
+      name: driver.display_name,
+      irating,
+      rating: irating + FORM_RATING_SPREAD * (0.5 - percentile),
+      incidents: driverForm ? Math.max(0.5, driverForm.incidents) : DEFAULT_INCIDENTS
+    };
+  });
+
+  const ratings = drivers.map(driver => driver.rating);
+  const strengths = ratings.map(rating => ratingToStrength(rating));
+  const win = calculateWinProbabilities(ratings);
+  // Fastest lap is less predictable than the result, so the rating curve is flattened
+  const fastestLap = calculateWinProbabilities(ratings, 3200);
+  const topFinishes = drivers.length > 0 ? simulateTopFinishes(strengths) : [];
+
+  const byDriver = values => new Map(drivers.map((driver, index) => [driver.driverId, values[index]]));
+  const top = {};
+  TOP_N_POSITIONS.forEach((cutOff, cutOffIndex) => {
+    top[cutOff] = byDriver(topFinishes.map(driverTop => driverTop[cutOffIndex]));
+  });
+
+  return {
+    drivers,
+    strengths: byDriver(strengths),
+    win: byDriver(win),
+    fastestLap: byDriver(fastestLap),
+    top,
+    incidents: byDriver(drivers.map(driver => driver.incidents))
+  };
+}
+
+// Odds for a selection, or null when it is not offered
+function priceSelection(model, betType, selection, margin) {
+  if (!isBetTypeOffered(model, betType)) {
+    return null;
+  }
+  return applyMargin(getSelectionProbability(model, betType, selection), margin);
+}
+
+// Markets that are not offered for a driver are listed with null odds
+function priceDrivers(model, margin) {
+  return model.drivers.map(driver => {
+    const markets = {};
+    DRIVER_MARKETS.forEach(betType => {
+      markets[betType] = priceSelection(model, betType, { driverId: driver.driverId }, margin);
+    });
+
+    return {
+      driverId: driver.driverId,
+      name: driver.name,
+      irating: driver.irating,
+      probability: Math.round(model.win.get(driver.driverId) * 10000) / 10000,
+      odds: markets[BET_TYPE.WIN],
+      markets,
+      // Default incident line: the driver's expected incidents rounded to a half point
+      incidentLine: Math.floor(driver.incidents) + 0.5
+    };
+  });
+}
+
+// Only sessions of the season are priced, so made-up race ids cannot fill the cache
+async function assertRaceInSeason(iracing, leagueId, seasonId, raceId) {
+  const { sessions } = await iracing.getLeagueSeasonSessions(leagueId, seasonId);
+
+  if (!sessions.some(session => Number(session.subsession_id) === Number(raceId))) {
+    const error = new Error(`Race ${raceId} is not a session of season ${seasonId}`);
+    error.code = 'RACE_NOT_FOUND';
+    throw error;
+  }
+}
+
+// Returns the current server price for a race, recomputing it once the cached price expires
+async function getRaceOdds(iracing, leagueId, seasonId, raceId) {
+  const cacheKey = `${leagueId}:${seasonId}:${raceId}`;
+
+  const { value: price, fetchedAt, expiresAt } = await oddsCache.getOrLoad(cacheKey, getOddsTtl(), async () => {
+    await assertRaceInSeason(iracing, leagueId, seasonId, raceId);
+
+    console.log(`Pricing race ${raceId} for league ${leagueId}, season ${seasonId}`);
+    const model = await buildRaceModel(iracing, leagueId, seasonId);
+    const margin = getHouseMargin();
+    return {
+      raceId: Number(raceId),
+      margin,
+      drivers: priceDrivers(model, margin),
+      model
+    };
+  });
+
+  return { ...price, pricedAt: new Date(fetchedAt).toISOString(), expiresAt };
+}
+
+// Prices a single selection of any bet type against the race's current price
+async function quoteSelection(iracing, leagueId, seasonId, raceId, betType, selection) {
+  const validationError = validateSelection(betType, selection);
+  if (validationError) {
+    const error = new Error(validationError);
+    error.code = 'INVALID_SELECTION';
+    throw error;
+  }
+
+  const price = await getRaceOdds(iracing, leagueId, seasonId, raceId);
+  const driverIds = [selection.driverId, selection.opponentId].filter(driverId => driverId !== null);
+
+  if (driverIds.some(driverId => !price.model.strengths.has(driverId))) {
+    const error = new Error('Selected driver is not priced for this race');
+    error.code = 'DRIVER_NOT_PRICED';
+    throw error;
+  }
+
+  const probability = getSelectionProbability(price.model, betType, selection);
+  const odds = priceSelection(price.model, betType, selection, price.margin);
+  if (odds === null) {
+    const error = new Error('This selection is not offered for this race');
+    error.code = 'SELECTION_NOT_OFFERED';
+    throw error;
+  }
+
+  return {
+    betType,
+    selection,
+    probability: Math.round(probability * 10000) / 10000,
+    odds,
+    pricedAt: price.pricedAt
+  };
+}
+
+// Looks up the server price for a selection and checks it against what the client was shown
+async function lockSelectionOdds(iracing, leagueId, seasonId, raceId, betType, selection, clientOdds) {
+  const quote = await quoteSelection(iracing, leagueId, seasonId, raceId, betType, selection);
+
+  if (Math.abs(Number(clientOdds) - quote.odds) > ODDS_TOLERANCE) {
+    const error = new Error('Odds have changed');
+    error.code = 'ODDS_CHANGED';
+    error.currentOdds = quote.odds;
+    error.pricedAt = quote.pricedAt;
+    throw error;
+  }
+
+  return quote.odds;
+}
+
+export {
+  calculateWinProbabilities,
+  createRandom,
+  getHouseMargin,
+  applyMargin,
+  getRaceOdds,
+  quoteSelection,
+  lockSelectionOdds
+};
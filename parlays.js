@@ -0,0 +1,283 @@
+import { TRANSACTION_TYPE, placeTicket, recordTransaction } from './wallet.js';
+import { assertMarketOpen } from './markets.js';
+import { lockSelectionOdds } from './oddsEngine.js';
+import { BET_TYPE, OUTCOME, buildSelection, settleBet, validateSelection } from './betTypes.js';
+import { getEnabledLeague } from './leagues.js';
+import { BETTING_MODE, getRaceSettings } from './pools.js';
+import { assertSelfBettingAllowed } from './driverLinks.js';
+import { getRepositories } from './repositories.js';
+
+// Ticket and leg statuses share the values of single bets
+const TICKET_STATUS = {
+  PENDING: 'pending',
+  WON: 'won',
+  LOST: 'lost',
+  VOID: 'void'
+};
+
+const MIN_LEGS = 2;
+const DEFAULT_MAX_LEGS = 10;
+
+function getMaxLegs() {
+  const maxLegs = parseInt(process.env.PARLAY_MAX_LEGS, 10);
+  return Number.isFinite(maxLegs) && maxLegs >= MIN_LEGS ? maxLegs : DEFAULT_MAX_LEGS;
+}
+
+function roundOdds(odds) {
+  return Math.round(odds * 100) / 100;
+}
+
+function ticketError(message, code = 'INVALID_PARLAY') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Normalises the request legs and checks the ticket shape before anything is priced
+function parseLegs(legs) {
+  if (!Array.isArray(legs) || legs.length < MIN_LEGS || legs.length > getMaxLegs()) {
+    throw ticketError(`A parlay needs between ${MIN_LEGS} and ${getMaxLegs()} legs`);
+  }
+
+  const races = new Set();
+  return legs.map((leg, index) => {
+    if (!leg || !leg.leagueId || !leg.seasonId || !leg.raceId || !leg.selectedDriverId || !leg.odds) {
+      throw ticketError(`Leg ${index + 1} is missing required fields`);
+    }
+
+    const league = getEnabledLeague(leg.leagueId);
+    if (!league) {
+      throw ticketError(`Leg ${index + 1}: league ${leg.leagueId} is not enabled for betting`);
+    }
+
+    // One leg per race: selections on the same race are correlated and would be mispriced
+    const raceKey = `${league.id}:${leg.raceId}`;
+    if (races.has(raceKey)) {
+      throw ticketError('Parlay legs must be on distinct races');
+    }
+    races.add(raceKey);
+
+    const betType = leg.betType || BET_TYPE.WIN;
+    const selection = buildSelection({ driverId: leg.selectedDriverId, opponentId: leg.opponentId, line: leg.line });
+    const selectionError = validateSelection(betType, selection);
+    if (selectionError) {
+      throw ticketError(`Leg ${index + 1}: ${selectionError}`);
+    }
+
+    return {
+      leagueId: league.id,
+      seasonId: leg.seasonId,
+      raceId: leg.raceId,
+      betType,
+      selection,
+      odds: leg.odds
+    };
+  });
+}
+
+// Checks every leg's market is open, locks the server price of each leg and places the
+// ticket. Combined odds are the product of the leg odds.
+async function placeParlay(supabase, iracing, userId, { stake, legs }) {
+  const parsedLegs = parseLegs(legs);
+
+  const pricedLegs = [];
+  for (const leg of parsedLegs) {
+    const { bettingMode } = await getRaceSettings(supabase, leg.leagueId, leg.raceId);
+    if (bettingMode === BETTING_MODE.POOL) {
+      throw ticketError(`Race ${leg.raceId} is a pool race and cannot be part of a parlay`);
+    }
+
+    await assertSelfBettingAllowed(supabase, iracing, userId, leg.leagueId, leg.betType, leg.selection);
+
+    await assertMarketOpen(supabase, iracing, leg.leagueId, leg.seasonId, leg.raceId);
+    const odds = await lockSelectionOdds(iracing, leg.leagueId, leg.seasonId, leg.raceId, leg.betType, leg.selection, leg.odds);
+    pricedLegs.push({ ...leg, odds });
+  }
+
+  const combinedOdds = roundOdds(pricedLegs.reduce((product, leg) => product * leg.odds, 1));
+
+  return placeTicket(supabase, {
+    user_id: userId,
+    stake,
+    combined_odds: combinedOdds
+  }, pricedLegs.map(leg => ({
+    league_id: leg.leagueId,
+    season_id: leg.seasonId,
+    race_id: leg.raceId,
+    bet_type: leg.betType,
+    selected_driver_id: leg.selection.driverId,
+    selection: leg.selection,
+    odds: leg.odds
+  })));
+}
+
+// A ticket is lost as soon as one leg loses and won once every leg is settled with at
+// least one winner. Void legs drop out of the price; an all-void ticket is refunded.
+function evaluateTicket(ticket, legs) {
+  if (legs.some(leg => leg.status === OUTCOME.LOST)) {
+    return { status: TICKET_STATUS.LOST, payout: 0 };
+  }
+  if (legs.some(leg => leg.status === TICKET_STATUS.PENDING)) {
+    return { status: TICKET_STATUS.PENDING, payout: 0 };
+  }
+
+  const wonLegs = legs.filter(leg => leg.status === OUTCOME.WON);
+  if (wonLegs.length === 0) {
+    return { status: TICKET_STATUS.VOID, payout: Number(ticket.stake) };
+  }
+
+  const effectiveOdds = wonLegs.reduce((product, leg) => product * Number(leg.odds), 1);
+  return {
+    status: TICKET_STATUS.WON,
+    payout: Math.round(Number(ticket.stake) * effectiveOdds * 100) / 100
+  };
+}
+
+async function settleTicket(supabase, ticketId) {
+  const tickets = getRepositories(supabase).tickets;
+  const ticket = await tickets.getById(ticketId);
+
+  if (!ticket || ticket.status !== TICKET_STATUS.PENDING) {
+    return null;
+  }
+
+  const { status, payout } = evaluateTicket(ticket, ticket.ticket_legs);
+  if (status === TICKET_STATUS.PENDING) {
+    return null;
+  }
+
+  // Credit before the status update; the reference keeps it to one credit. Tickets cannot
+  // be cancelled or cashed out, and every run that settles a pending ticket comes through
+  // here, so racing runs credit the same reference rather than paying twice.
+  if (payout > 0) {
+    const type = status === TICKET_STATUS.WON ? TRANSACTION_TYPE.PAYOUT : TRANSACTION_TYPE.REFUND;
+    await recordTransaction(supabase, {
+      userId: ticket.user_id,
+      type,
+      amount: payout,
+      ticketId: ticket.id,
+      reference: `${type}:ticket:${ticket.id}`
+    });
+  }
+
+  return tickets.updateIfStatus(ticket.id, TICKET_STATUS.PENDING, { status, payout, settled_at: new Date() });
+}
+
+// Settles the parlay legs on one race, then every ticket those legs belong to.
+// Tickets with legs on races still to run stay pending. Tickets are re-checked even
+// when their leg was settled by an earlier run, so an interrupted run is completed.
+async function settleRaceLegs(supabase, leagueId, raceId, race) {
+  const tickets = getRepositories(supabase).tickets;
+  const legs = await tickets.listLegsByRace(leagueId, raceId);
+
+  const pendingLegs = legs.filter(leg => leg.status === TICKET_STATUS.PENDING);
+  for (const leg of pendingLegs) {
+    await tickets.updateLegIfStatus(leg.id, TICKET_STATUS.PENDING, { status: settleBet(leg, race), settled_at: new Date() });
+  }
+
+  const settledTickets = [];
+  for (const ticketId of new Set(legs.map(leg => leg.ticket_id))) {
+    const ticket = await settleTicket(supabase, ticketId);
+    if (ticket) {
+      settledTickets.push(ticket);
+    }
+  }
+
+  console.log(`Settled ${pendingLegs.length} parlay legs and ${settledTickets.length} tickets for league ${leagueId} race ${raceId}`);
+  return { legs: pendingLegs.length, tickets: settledTickets };
+}
+
+// Re-prices a ticket after one of its settled legs changed. Settled tickets whose outcome
+// changes get an adjustment entry for the payout difference, keyed by adjustmentKey so a
+// re-run never posts it twice; pending tickets settle as usual.
+async function reviseTicket(supabase, ticketId, adjustmentKey) {
+  const tickets = getRepositories(supabase).tickets;
+  const ticket = await tickets.getById(ticketId);
+
+  if (!ticket) {
+    return null;
+  }
+  if (ticket.status === TICKET_STATUS.PENDING) {
+    return settleTicket(supabase, ticketId);
+  }
+
+  // A lost ticket can go back to pending when its losing leg is overturned
+  // while other legs are still to run
+  const { status, payout } = evaluateTicket(ticket, ticket.ticket_legs);
+  const adjustment = Math.round((payout - Number(ticket.payout || 0)) * 100) / 100;
+  if (status === ticket.status && adjustment === 0) {
+    return null;
+  }
+
+  if (adjustment !== 0) {
+    await recordTransaction(supabase, {
+      userId: ticket.user_id,
+      type: TRANSACTION_TYPE.ADJUSTMENT,
+      amount: adjustment,
+      ticketId: ticket.id,
+      reference: `${TRANSACTION_TYPE.ADJUSTMENT}:ticket:${ticket.id}:${adjustmentKey}`
+    });
+  }
+
+  return tickets.updateIfStatus(ticket.id, ticket.status, {
+    status,
+    payout,
+    settled_at: status === TICKET_STATUS.PENDING ? null : ticket.settled_at
+  });
+}
+
+// Moves the legs on a race to the status getLegStatus gives (null leaves a leg alone),
+// then revises their tickets. As in settleRaceLegs, every ticket is re-checked so an
+// interrupted run is completed.
+async function reviseRaceLegs(supabase, leagueId, raceId, getLegStatus, adjustmentKey) {
+  const tickets = getRepositories(supabase).tickets;
+  const legs = await tickets.listLegsByRace(leagueId, raceId);
+
+  let revisedLegs = 0;
+  for (const leg of legs) {
+    const status = getLegStatus(leg);
+    if (!status || status === leg.status) {
+      continue;
+    }
+
+    await tickets.updateLegIfStatus(leg.id, leg.status, { status, settled_at: leg.settled_at || new Date() });
+    revisedLegs++;
+  }
+
+  const revisedTickets = [];
+  for (const ticketId of new Set(legs.map(leg => leg.ticket_id))) {
+    const ticket = await reviseTicket(supabase, ticketId, adjustmentKey);
+    if (ticket) {
+      revisedTickets.push(ticket);
+    }
+  }
+
+  return { legs: revisedLegs, tickets: revisedTickets };
+}
+
+// Re-evaluates the settled legs on a race after its results were amended (see resettleRace)
+function resettleRaceLegs(supabase, leagueId, raceId, race, revision) {
+  return reviseRaceLegs(supabase, leagueId, raceId, leg => (
+    leg.status === TICKET_STATUS.PENDING ? null : settleBet(leg, race)
+  ), `r${revision}`);
+}
+
+// Voids every leg on a voided race; the tickets are re-priced without them
+function voidRaceLegs(supabase, leagueId, raceId) {
+  return reviseRaceLegs(supabase, leagueId, raceId, () => TICKET_STATUS.VOID, 'void');
+}
+
+async function getUserTickets(supabase, userId) {
+  return getRepositories(supabase).tickets.listByUser(userId);
+}
+
+export {
+  TICKET_STATUS,
+  evaluateTicket,
+  placeParlay,
+  settleTicket,
+  settleRaceLegs,
+  resettleRaceLegs,
+  voidRaceLegs,
+  getUserTickets
+};
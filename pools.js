@@ -0,0 +1,118 @@
+import { BET_TYPE, OUTCOME, settleBet } from './betTypes.js';
+import { BET_STATUS } from './betSettlement.js';
+import { getEnabledLeague } from './leagues.js';
+import { getRepositories } from './repositories.js';
+
+const BETTING_MODE = {
+  FIXED: 'fixed',
+  POOL: 'pool'
+};
+
+const DEFAULT_POOL_RAKE = 0.1; // 10% of the pool is kept before winners are paid
+
+function getDefaultRake() {
+  const rake = parseFloat(process.env.POOL_RAKE);
+  return Number.isFinite(rake) && rake >= 0 && rake < 1 ? rake : DEFAULT_POOL_RAKE;
+}
+
+function roundDown(amount) {
+  return Math.floor(amount * 100) / 100;
+}
+
+// Betting mode and rake for a race. Races without a race_settings row use the
+// league's defaultBettingMode from the registry, which itself defaults to fixed odds.
+async function getRaceSettings(supabase, leagueId, raceId) {
+  const settings = await getRepositories(supabase).raceSettings.get(leagueId, raceId);
+
+  const league = getEnabledLeague(leagueId);
+  return {
+    bettingMode: (settings && settings.betting_mode) || (league && league.defaultBettingMode) || BETTING_MODE.FIXED,
+    rake: settings && settings.rake !== null && settings.rake !== undefined ? Number(settings.rake) : getDefaultRake()
+  };
+}
+
+async function setRaceSettings(supabase, leagueId, raceId, { bettingMode, rake }) {
+  return getRepositories(supabase).raceSettings.save({
+    league_id: leagueId,
+    race_id: raceId,
+    betting_mode: bettingMode,
+    rake,
+    updated_at: new Date()
+  });
+}
+
+function isPoolBet(bet) {
+  return bet.betting_mode === BETTING_MODE.POOL;
+}
+
+// Splits a race's pool between the winners in proportion to their stakes.
+// Bets on drivers who did not start are refunded and leave the pool first; when
+// nobody backed the winner every remaining stake is refunded too.
+// Returns a Map of bet id -> { status, payout }.
+function calculatePoolPayouts(bets, race, rake) {
+  const outcomes = new Map(bets.map(bet => [bet.id, settleBet(bet, race)]));
+  const inPool = bets.filter(bet => outcomes.get(bet.id) !== OUTCOME.VOID);
+  const poolTotal = inPool.reduce((sum, bet) => sum + Number(bet.bet_amount), 0);
+  const winningStake = inPool
+    .filter(bet => outcomes.get(bet.id) === OUTCOME.WON)
+    .reduce((sum, bet) => sum + Number(bet.bet_amount), 0);
+  const netPool = poolTotal * (1 - rake);
+
+  const payouts = new Map();
+  bets.forEach(bet => {
+    const status = outcomes.get(bet.id);
+    const stake = Number(bet.bet_amount);
+
+    if (status === OUTCOME.VOID || winningStake === 0) {
+      payouts.set(bet.id, { status: OUTCOME.VOID, payout: stake });
+    } else if (status === OUTCOME.WON) {
+      payouts.set(bet.id, { status, payout: roundDown(stake * netPool / winningStake) });
+    } else {
+      payouts.set(bet.id, { status, payout: 0 });
+    }
+  });
+  return payouts;
+}
+
+// Current pool per driver and the odds a winner would be paid at if betting closed now
+async function getPoolSummary(supabase, leagueId, raceId) {
+  const { rake } = await getRaceSettings(supabase, leagueId, raceId);
+  const bets = await getRepositories(supabase).bets.listByRace(leagueId, raceId);
+
+  const totals = new Map();
+  bets.filter(bet => isPoolBet(bet) && bet.status === BET_STATUS.PENDING).forEach(bet => {
+    const driverId = Number(bet.selected_driver_id);
+    totals.set(driverId, (totals.get(driverId) || 0) + Number(bet.bet_amount));
+  });
+
+  const poolTotal = [...totals.values()].reduce((sum, amount) => sum + amount, 0);
+  const netPool = poolTotal * (1 - rake);
+
+  return {
+    raceId: Number(raceId),
+    rake,
+    poolTotal,
+    drivers: [...totals.entries()]
+      .map(([driverId, staked]) => ({
+        driverId,
+        staked,
+        impliedOdds: roundDown(netPool / staked)
+      }))
+      .sort((a, b) => a.impliedOdds - b.impliedOdds)
+  };
+}
+
+// Pools only run on the race winner
+function validatePoolBet(betType) {
+  return betType === BET_TYPE.WIN ? null : 'Pool races only accept win bets';
+}
+
+export {
+  BETTING_MODE,
+  getRaceSettings,
+  setRaceSettings,
+  isPoolBet,
+  calculatePoolPayouts,
+  getPoolSummary,
+  validatePoolBet
+};
@@ -0,0 +1,167 @@
+import { getRepositories } from './repositories.js';
+
+// The main race is simsession 0; heats and consolations use negative numbers
+const MAIN_EVENT_SIMSESSION = 0;
+
+function findRaceSession(raceDetails) {
+  const sessions = Array.isArray(raceDetails && raceDetails.session_results) ? raceDetails.session_results : [];
+  const raceSessions = sessions.filter(session => session.simsession_type_name === 'Race');
+
+  return raceSessions.find(session => session.simsession_number === MAIN_EVENT_SIMSESSION) || raceSessions[0] || null;
+}
+
+function toFinisher(result, driver) {
+  return {
+    position: result.finish_position + 1,
+    lapsComplete: result.laps_complete,
+    reasonOut: result.reason_out,
+    lapsLed: driver.laps_lead,
+    incidents: driver.incidents,
+    bestLapTime: driver.best_lap_time
+  };
+}
+
+// Builds a map of cust_id -> finishing info from the main race session.
+// Team events nest drivers under driver_results, so every team member gets the team's
+// position but keeps their own laps led, incidents and best lap.
+function getFinishingOrder(raceDetails) {
+  const raceSession = findRaceSession(raceDetails);
+  const finishers = new Map();
+
+  if (!raceSession || !Array.isArray(raceSession.results)) {
+    return finishers;
+  }
+
+  raceSession.results.forEach(result => {
+    if (Array.isArray(result.driver_results) && result.driver_results.length > 0) {
+      result.driver_results.forEach(driver => finishers.set(Number(driver.cust_id), toFinisher(result, driver)));
+    } else {
+      finishers.set(Number(result.cust_id), toFinisher(result, result));
+    }
+  });
+
+  return finishers;
+}
+
+// Plain, ordered copy of a finishing order that can be stored and compared later
+function serialiseFinishingOrder(finishers) {
+  return [...finishers.entries()]
+    .map(([custId, finisher]) => ({ custId, ...finisher }))
+    .sort((a, b) => a.position - b.position || a.custId - b.custId);
+}
+
+// What a driver's result is compared on. Stored orders come back from jsonb, which
+// keeps neither key order nor undefined keys, so entries are compared field by field.
+const FINISHER_FIELDS = ['position', 'lapsComplete', 'reasonOut', 'lapsLed', 'incidents', 'bestLapTime'];
+
+function sameFinish(a, b) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+  return FINISHER_FIELDS.every(name => (a[name] === undefined ? null : a[name]) === (b[name] === undefined ? null : b[name]));
+}
+
+// Drivers whose result differs between two serialised finishing orders. A driver
+// missing from one side (e.g. removed from the results) has null on that side.
+function diffFinishingOrder(previous, current) {
+  const before = new Map(previous.map(entry => [Number(entry.custId), entry]));
+  const after = new Map(current.map(entry => [Number(entry.custId), entry]));
+  const custIds = new Set([...before.keys(), ...after.keys()]);
+
+  return [...custIds]
+    .filter(custId => !sameFinish(before.get(custId), after.get(custId)))
+    .map(custId => ({
+      custId,
+      before: before.get(custId) || null,
+      after: after.get(custId) || null
+    }));
+}
+
+function deserialiseFinishingOrder(results) {
+  return new Map(results.map(({ custId, ...finisher }) => [Number(custId), finisher]));
+}
+
+function optionalNumber(value) {
+  return value === undefined || value === null ? null : Number(value);
+}
+
+// Validates an operator's finishing order: [{ custId, position, lapsComplete, lapsLed,
+// incidents, bestLapTime }]. Only custId and position are required, and neither may
+// repeat; give lapsComplete: 0 for drivers who did not start. Returns the serialised
+// order, or throws INVALID_RESULTS.
+function parseResultOverride(results) {
+  const invalid = message => {
+    const error = new Error(message);
+    error.code = 'INVALID_RESULTS';
+    return error;
+  };
+
+  if (!Array.isArray(results) || results.length === 0) {
+    throw invalid('results must be a non-empty array of finishers');
+  }
+
+  const custIds = new Set();
+  const positions = new Set();
+  const finishers = results.map((entry, index) => {
+    const custId = Number(entry && entry.custId);
+    const position = Number(entry && entry.position);
+
+    if (!Number.isInteger(custId) || custId <= 0) {
+      throw invalid(`Finisher ${index + 1}: custId must be an iRacing customer id`);
+    }
+    if (!Number.isInteger(position) || position <= 0) {
+      throw invalid(`Finisher ${index + 1}: position must be a positive integer`);
+    }
+    if (custIds.has(custId)) {
+      throw invalid(`Driver ${custId} appears more than once`);
+    }
+    if (positions.has(position)) {
+      throw invalid(`Position ${position} is given more than once`);
+    }
+    custIds.add(custId);
+    positions.add(position);
+
+    return [custId, {
+      position,
+      lapsComplete: optionalNumber(entry.lapsComplete),
+      reasonOut: entry.reasonOut || null,
+      lapsLed: optionalNumber(entry.lapsLed),
+      incidents: optionalNumber(entry.incidents),
+      bestLapTime: optionalNumber(entry.bestLapTime)
+    }];
+  });
+
+  return serialiseFinishingOrder(new Map(finishers));
+}
+
+async function getResultOverride(supabase, leagueId, raceId) {
+  return getRepositories(supabase).resultOverrides.get(leagueId, raceId);
+}
+
+async function saveResultOverride(supabase, leagueId, raceId, results, userId) {
+  return getRepositories(supabase).resultOverrides.save({
+    league_id: leagueId,
+    race_id: raceId,
+    results,
+    created_by: userId,
+    updated_at: new Date()
+  });
+}
+
+// The finishing order settlement uses: an operator's override when there is one,
+// otherwise the official iRacing results
+async function getRaceFinishers(supabase, leagueId, raceId, raceDetails) {
+  const override = await getResultOverride(supabase, leagueId, raceId);
+  return override ? deserialiseFinishingOrder(override.results) : getFinishingOrder(raceDetails);
+}
+
+export {
+  findRaceSession,
+  getFinishingOrder,
+  serialiseFinishingOrder,
+  diffFinishingOrder,
+  parseResultOverride,
+  getResultOverride,
+  saveResultOverride,
+  getRaceFinishers
+};
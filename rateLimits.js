@@ -0,0 +1,102 @@
+import { apiError } from './errors.js';
+
+// Per-user and per-IP request limits for the betting, iRacing search and odds endpoints.
+// Requests are counted in fixed windows, in memory, separately for each app instance,
+// so with several processes behind a load balancer each one enforces its own limit.
+// A limit of 0 turns it off. Behind a proxy, set TRUST_PROXY so req.ip is the client's
+// address rather than the proxy's.
+const RATE_LIMIT = {
+  BETS: 'bets',
+  SEARCH: 'search',
+  // Public reads that price a race on a cache miss
+  ODDS: 'odds'
+};
+
+const DEFAULT_WINDOW = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  [RATE_LIMIT.BETS]: { user: 20, ip: 60 },
+  [RATE_LIMIT.SEARCH]: { user: 30, ip: 60 },
+  [RATE_LIMIT.ODDS]: { user: 120, ip: 240 }
+};
+
+function getWindow() {
+  const window = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10);
+  return Number.isFinite(window) && window > 0 ? window : DEFAULT_WINDOW;
+}
+
+// RATE_LIMIT_BETS_PER_USER, RATE_LIMIT_SEARCH_PER_IP and so on
+function getLimit(scope, by) {
+  const value = parseInt(process.env[`RATE_LIMIT_${scope.toUpperCase()}_PER_${by.toUpperCase()}`], 10);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_LIMITS[scope][by];
+}
+
+// Counts requests for one scope. Expired windows are dropped once per window rather
+// than on a timer, so an idle limiter holds nothing open.
+function createCounter() {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  function sweep(now) {
+    if (now < nextSweep) {
+      return;
+    }
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    });
+    nextSweep = now + getWindow();
+  }
+
+  return {
+    hit(key, now) {
+      sweep(now);
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + getWindow() };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return entry;
+    }
+  };
+}
+
+// Middleware limiting one scope. Signed-in users are counted by user id as well as by
+// IP, so shared addresses get the larger IP allowance; put it after requireUser or
+// optionalUser. Refused requests get 429 with Retry-After in seconds.
+function rateLimit(scope) {
+  const counter = createCounter();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const keys = [['ip', `ip:${req.ip}`]];
+    if (req.user) {
+      keys.push(['user', `user:${req.user.id}`]);
+    }
+
+    let retryAfter = 0;
+    keys.forEach(([by, key]) => {
+      const limit = getLimit(scope, by);
+      if (limit === 0) {
+        return;
+      }
+      const entry = counter.hit(key, now);
+      if (entry.count > limit) {
+        retryAfter = Math.max(retryAfter, Math.ceil((entry.resetAt - now) / 1000));
+      }
+    });
+
+    if (retryAfter > 0) {
+      return next(apiError('RATE_LIMITED', 'Too many requests, please try again shortly', { retryAfter }));
+    }
+
+    next();
+  };
+}
+
+export {
+  RATE_LIMIT,
+  rateLimit
+};
@@ -0,0 +1,1471 @@
+import { MemoryStore, clone, compare, sameValue } from './memoryStore.js';
+
+// Data access for every table and database function the backend uses. Route handlers
+// and the modules that own the tables go through the repositories instead of building
+// queries, so the storage backend can change without touching them. There are two
+// implementations with the same methods and results: one over Supabase and one straight
+// over a MemoryStore.
+//
+// Every persistence failure leaves a repository as a STORAGE_ERROR with the backend's
+// error as `cause`. The only other errors are the refusals of the stake methods
+// (STAKE_REFUSALS) and of cashOuts.accept (CASHOUT_REFUSALS).
+const STORAGE_BACKEND = {
+  SUPABASE: 'supabase',
+  MEMORY: 'memory'
+};
+
+const DEFAULT_STORAGE_BACKEND = STORAGE_BACKEND.SUPABASE;
+const UNIQUE_VIOLATION = '23505';
+
+function getStorageBackend() {
+  const backend = (process.env.STORAGE_BACKEND || DEFAULT_STORAGE_BACKEND).toLowerCase();
+  if (!Object.values(STORAGE_BACKEND).includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of ${Object.values(STORAGE_BACKEND).join(', ')}`);
+  }
+  return backend;
+}
+
+function storageError(operation, cause) {
+  const error = new Error(`${operation} failed: ${cause.message}`);
+  error.code = 'STORAGE_ERROR';
+  error.cause = cause;
+  return error;
+}
+
+const PERIOD_LABEL = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+// Why place_bet, place_ticket and place_futures_bet can refuse a stake. They raise the
+// code as the message, and the details the client is told as JSON (see
+// 0018_stake_controls.sql); each code maps to the message the user sees.
+const STAKE_REFUSALS = {
+  INSUFFICIENT_FUNDS: () => 'Insufficient funds',
+  SELF_EXCLUDED: () => 'You are self-excluded from betting',
+  ON_BREAK: () => 'You are taking a break from betting',
+  STAKE_LIMIT_EXCEEDED: ({ period }) => `This stake would exceed your ${PERIOD_LABEL[period]} stake limit`,
+  LOSS_LIMIT_EXCEEDED: ({ period }) => `This stake would exceed your ${PERIOD_LABEL[period]} loss limit`
+};
+
+function parseDetails(details) {
+  try {
+    return details ? JSON.parse(details) : {};
+  } catch {
+    return {};
+  }
+}
+
+// accept_cashout() refuses quotes the same way
+const CASHOUT_REFUSALS = {
+  CASHOUT_QUOTE_NOT_FOUND: () => 'Cash-out quote not found for this bet',
+  CASHOUT_QUOTE_EXPIRED: () => 'Cash-out quote has expired or was already used',
+  CASHOUT_UNAVAILABLE: () => 'Bet is no longer pending'
+};
+
+function toRefusal(operation, error, refusals) {
+  const code = Object.keys(refusals).find(name => error.message && error.message.includes(name));
+  if (!code) {
+    return storageError(operation, error);
+  }
+
+  const details = parseDetails(error.details);
+  const refusal = new Error(refusals[code](details));
+  refusal.code = code;
+  Object.assign(refusal, details);
+  return refusal;
+}
+
+function createSupabaseRepositories(supabase) {
+  const bets = {
+    async listByUser(userId, { leagueId } = {}) {
+      let query = supabase
+        .from('bets')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (leagueId) {
+        query = query.eq('league_id', leagueId);
+      }
+
+      const { data, error } = await query.order('id');
+
+      if (error) throw storageError('bets.listByUser', error);
+      return data;
+    },
+
+    async listByRace(leagueId, raceId) {
+      const { data, error } = await supabase
+        .from('bets')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId)
+        .order('id');
+
+      if (error) throw storageError('bets.listByRace', error);
+      return data;
+    },
+
+    async getById(betId) {
+      const { data, error } = await supabase
+        .from('bets')
+        .select('*')
+        .eq('id', betId)
+        .maybeSingle();
+
+      if (error) throw storageError('bets.getById', error);
+      return data;
+    },
+
+    // Applies `values` only while the bet is still in `status`; returns the updated bet,
+    // or null when another writer moved it first
+    async updateIfStatus(betId, status, values) {
+      const { data, error } = await supabase
+        .from('bets')
+        .update(values)
+        .eq('id', betId)
+        .eq('status', status)
+        .select();
+
+      if (error) throw storageError('bets.updateIfStatus', error);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    // Moves the bet from `status` and posts `credit` ({ type, amount, reference }, or
+    // null) in one transaction; null when another writer moved the bet first
+    async closeIfStatus(betId, status, values, credit) {
+      const { data, error } = await supabase.rpc('close_bet', {
+        p_bet_id: betId,
+        p_from_status: status,
+        p_status: values.status,
+        p_payout: values.payout,
+        p_credit: credit
+      });
+
+      if (error) throw storageError('bets.closeIfStatus', error);
+      return data.length > 0 ? data[0] : null;
+    }
+  };
+
+  const subsessions = {
+    async listBySeason(leagueId, seasonId) {
+      const { data, error } = await supabase
+        .from('league_subsessions')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('season_id', seasonId);
+
+      if (error) throw storageError('subsessions.listBySeason', error);
+      return data;
+    },
+
+    async save(rows) {
+      if (rows.length === 0) {
+        return;
+      }
+
+      const { error } = await supabase
+        .from('league_subsessions')
+        .upsert(rows, { onConflict: 'league_id,subsession_id' });
+
+      if (error) throw storageError('subsessions.save', error);
+    }
+  };
+
+  const users = {
+    // Null for unknown, expired or malformed tokens; only an unreachable auth service fails
+    async getUserForToken(token) {
+      const { data, error } = await supabase.auth.getUser(token);
+
+      if (error && !error.status) throw storageError('users.getUserForToken', error);
+      return error || !data || !data.user ? null : data.user;
+    }
+  };
+
+  const wallets = {
+    async getBalance(userId) {
+      const { data, error } = await supabase.rpc('wallet_balance', { p_user_id: userId });
+
+      if (error) throw storageError('wallets.getBalance', error);
+      return Number(data);
+    },
+
+    // Newest first
+    async listTransactions(userId, { offset, limit }) {
+      const { data, error, count } = await supabase
+        .from('wallet_transactions')
+        .select('*', { count: 'exact' })
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw storageError('wallets.listTransactions', error);
+      return { transactions: data, total: count };
+    },
+
+    async listTransactionsSince(userId, { types, since }) {
+      const { data, error } = await supabase
+        .from('wallet_transactions')
+        .select('*')
+        .eq('user_id', userId)
+        .in('type', types)
+        .gte('created_at', since.toISOString());
+
+      if (error) throw storageError('wallets.listTransactionsSince', error);
+      return data;
+    },
+
+    // Entries with a reference are only ever written once
+    async recordTransaction(entry) {
+      const { error } = await supabase
+        .from('wallet_transactions')
+        .upsert(entry, { onConflict: 'reference', ignoreDuplicates: true });
+
+      if (error) throw storageError('wallets.recordTransaction', error);
+    },
+
+    async placeBet(bet) {
+      const { data, error } = await supabase.rpc('place_bet', { p_bet: bet });
+
+      if (error) throw toRefusal('wallets.placeBet', error, STAKE_REFUSALS);
+      return data;
+    },
+
+    async placeTicket(ticket, legs) {
+      const { data, error } = await supabase.rpc('place_ticket', { p_ticket: ticket, p_legs: legs });
+
+      if (error) throw toRefusal('wallets.placeTicket', error, STAKE_REFUSALS);
+      return data;
+    },
+
+    async placeFuturesBet(bet) {
+      const { data, error } = await supabase.rpc('place_futures_bet', { p_bet: bet });
+
+      if (error) throw toRefusal('wallets.placeFuturesBet', error, STAKE_REFUSALS);
+      return data;
+    }
+  };
+
+  const idempotencyKeys = {
+    // Claims the key for a request, or returns the existing claim when the user already
+    // used it: { claimed, record }
+    async claim({ userId, key, route, requestHash }) {
+      const { data, error } = await supabase
+        .from('idempotency_keys')
+        .insert({ user_id: userId, key, route, request_hash: requestHash })
+        .select()
+        .single();
+
+      if (!error) {
+        return { claimed: true, record: data };
+      }
+      if (error.code !== UNIQUE_VIOLATION) throw storageError('idempotencyKeys.claim', error);
+
+      const { data: existing, error: selectError } = await supabase
+        .from('idempotency_keys')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('key', key)
+        .maybeSingle();
+
+      if (selectError) throw storageError('idempotencyKeys.claim', selectError);
+      // Released between the insert and the select
+      return existing ? { claimed: false, record: existing } : this.claim({ userId, key, route, requestHash });
+    },
+
+    async complete(id, { status, body }) {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .update({ response_status: status, response_body: body, completed_at: new Date() })
+        .eq('id', id);
+
+      if (error) throw storageError('idempotencyKeys.complete', error);
+    },
+
+    async release(id) {
+      const { error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw storageError('idempotencyKeys.release', error);
+    },
+
+    // Deletes keys claimed before `before`; returns how many went
+    async deleteCreatedBefore(before) {
+      const { data, error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .lt('created_at', before.toISOString())
+        .select('id');
+
+      if (error) throw storageError('idempotencyKeys.deleteCreatedBefore', error);
+      return data.length;
+    }
+  };
+
+  const markets = {
+    async get(leagueId, raceId) {
+      const { data, error } = await supabase
+        .from('race_markets')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId)
+        .maybeSingle();
+
+      if (error) throw storageError('markets.get', error);
+      return data;
+    },
+
+    async create(market) {
+      const { data, error } = await supabase
+        .from('race_markets')
+        .insert(market)
+        .select()
+        .single();
+
+      if (error) throw storageError('markets.create', error);
+      return data;
+    },
+
+    async update(marketId, values) {
+      const { data, error } = await supabase
+        .from('race_markets')
+        .update(values)
+        .eq('id', marketId)
+        .select()
+        .single();
+
+      if (error) throw storageError('markets.update', error);
+      return data;
+    },
+
+    // Applies `values` only while the market is still in `state`; returns the updated
+    // market, or null when another writer moved it first
+    async updateIfState(marketId, state, values) {
+      const { data, error } = await supabase
+        .from('race_markets')
+        .update(values)
+        .eq('id', marketId)
+        .eq('state', state)
+        .select();
+
+      if (error) throw storageError('markets.updateIfState', error);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    // In the given leagues, or in every league when leagueIds is null
+    async listByState(state, { leagueIds = null } = {}) {
+      let query = supabase
+        .from('race_markets')
+        .select('*')
+        .eq('state', state);
+
+      if (leagueIds) {
+        query = query.in('league_id', leagueIds);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw storageError('markets.listByState', error);
+      return data;
+    }
+  };
+
+  const raceSettings = {
+    async get(leagueId, raceId) {
+      const { data, error } = await supabase
+        .from('race_settings')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId)
+        .maybeSingle();
+
+      if (error) throw storageError('raceSettings.get', error);
+      return data;
+    },
+
+    async save(settings) {
+      const { data, error } = await supabase
+        .from('race_settings')
+        .upsert(settings, { onConflict: 'league_id,race_id' })
+        .select()
+        .single();
+
+      if (error) throw storageError('raceSettings.save', error);
+      return data;
+    }
+  };
+
+  const resultOverrides = {
+    async get(leagueId, raceId) {
+      const { data, error } = await supabase
+        .from('race_result_overrides')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId)
+        .maybeSingle();
+
+      if (error) throw storageError('resultOverrides.get', error);
+      return data;
+    },
+
+    async save(override) {
+      const { data, error } = await supabase
+        .from('race_result_overrides')
+        .upsert(override, { onConflict: 'league_id,race_id' })
+        .select()
+        .single();
+
+      if (error) throw storageError('resultOverrides.save', error);
+      return data;
+    }
+  };
+
+  const settlements = {
+    async get(leagueId, raceId) {
+      const { data, error } = await supabase
+        .from('race_settlements')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId)
+        .maybeSingle();
+
+      if (error) throw storageError('settlements.get', error);
+      return data;
+    },
+
+    // Settled since the given date, least recently checked first
+    async listSettledSince(since) {
+      const { data, error } = await supabase
+        .from('race_settlements')
+        .select('*')
+        .gte('settled_at', since.toISOString())
+        .order('checked_at', { ascending: true });
+
+      if (error) throw storageError('settlements.listSettledSince', error);
+      return data;
+    },
+
+    // Only the first settlement of a race is stored
+    async record(settlement) {
+      const { error } = await supabase
+        .from('race_settlements')
+        .upsert(settlement, { onConflict: 'league_id,race_id', ignoreDuplicates: true });
+
+      if (error) throw storageError('settlements.record', error);
+    },
+
+    async update(leagueId, raceId, values) {
+      const { error } = await supabase
+        .from('race_settlements')
+        .update(values)
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId);
+
+      if (error) throw storageError('settlements.update', error);
+    },
+
+    // Applies `values` only while the settlement is still at `revision`
+    async updateIfRevision(leagueId, raceId, revision, values) {
+      const { error } = await supabase
+        .from('race_settlements')
+        .update(values)
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId)
+        .eq('revision', revision);
+
+      if (error) throw storageError('settlements.updateIfRevision', error);
+    },
+
+    // Each revision of a race is only recorded once
+    async recordAmendment(amendment) {
+      const { error } = await supabase
+        .from('race_result_amendments')
+        .upsert(amendment, { onConflict: 'league_id,race_id,revision', ignoreDuplicates: true });
+
+      if (error) throw storageError('settlements.recordAmendment', error);
+    },
+
+    // Oldest first
+    async listAmendments(leagueId, raceId) {
+      const { data, error } = await supabase
+        .from('race_result_amendments')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId)
+        .order('revision', { ascending: true });
+
+      if (error) throw storageError('settlements.listAmendments', error);
+      return data;
+    }
+  };
+
+  // Tickets come with their legs as ticket_legs
+  const tickets = {
+    async getById(ticketId) {
+      const { data, error } = await supabase
+        .from('bet_tickets')
+        .select('*, ticket_legs(*)')
+        .eq('id', ticketId)
+        .maybeSingle();
+
+      if (error) throw storageError('tickets.getById', error);
+      return data;
+    },
+
+    // Newest first
+    async listByUser(userId) {
+      const { data, error } = await supabase
+        .from('bet_tickets')
+        .select('*, ticket_legs(*)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw storageError('tickets.listByUser', error);
+      return data;
+    },
+
+    // Applies `values` only while the ticket is still in `status`; returns the updated
+    // ticket without its legs, or null when another writer moved it first
+    async updateIfStatus(ticketId, status, values) {
+      const { data, error } = await supabase
+        .from('bet_tickets')
+        .update(values)
+        .eq('id', ticketId)
+        .eq('status', status)
+        .select();
+
+      if (error) throw storageError('tickets.updateIfStatus', error);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    async listLegsByRace(leagueId, raceId) {
+      const { data, error } = await supabase
+        .from('ticket_legs')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('race_id', raceId);
+
+      if (error) throw storageError('tickets.listLegsByRace', error);
+      return data;
+    },
+
+    async updateLegIfStatus(legId, status, values) {
+      const { data, error } = await supabase
+        .from('ticket_legs')
+        .update(values)
+        .eq('id', legId)
+        .eq('status', status)
+        .select();
+
+      if (error) throw storageError('tickets.updateLegIfStatus', error);
+      return data.length > 0 ? data[0] : null;
+    }
+  };
+
+  const futures = {
+    async getMarket(leagueId, seasonId) {
+      const { data, error } = await supabase
+        .from('futures_markets')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('season_id', seasonId)
+        .maybeSingle();
+
+      if (error) throw storageError('futures.getMarket', error);
+      return data;
+    },
+
+    // Creates the season's market; null when it already has one
+    async createMarket(market) {
+      const { data, error } = await supabase
+        .from('futures_markets')
+        .upsert(market, { onConflict: 'league_id,season_id', ignoreDuplicates: true })
+        .select();
+
+      if (error) throw storageError('futures.createMarket', error);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    async updateMarket(marketId, values) {
+      const { data, error } = await supabase
+        .from('futures_markets')
+        .update(values)
+        .eq('id', marketId)
+        .select()
+        .single();
+
+      if (error) throw storageError('futures.updateMarket', error);
+      return data;
+    },
+
+    async updateMarketIfState(marketId, state, values) {
+      const { data, error } = await supabase
+        .from('futures_markets')
+        .update(values)
+        .eq('id', marketId)
+        .eq('state', state)
+        .select();
+
+      if (error) throw storageError('futures.updateMarketIfState', error);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    async listBetsBySeason(leagueId, seasonId, { status }) {
+      const { data, error } = await supabase
+        .from('futures_bets')
+        .select('*')
+        .eq('league_id', leagueId)
+        .eq('season_id', seasonId)
+        .eq('status', status);
+
+      if (error) throw storageError('futures.listBetsBySeason', error);
+      return data;
+    },
+
+    // Newest first
+    async listBetsByUser(userId) {
+      const { data, error } = await supabase
+        .from('futures_bets')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw storageError('futures.listBetsByUser', error);
+      return data;
+    },
+
+    async updateBetIfStatus(betId, status, values) {
+      const { data, error } = await supabase
+        .from('futures_bets')
+        .update(values)
+        .eq('id', betId)
+        .eq('status', status)
+        .select();
+
+      if (error) throw storageError('futures.updateBetIfStatus', error);
+      return data.length > 0 ? data[0] : null;
+    }
+  };
+
+  const cashOuts = {
+    async createQuote(quote) {
+      const { data, error } = await supabase
+        .from('cashout_quotes')
+        .insert(quote)
+        .select()
+        .single();
+
+      if (error) throw storageError('cashOuts.createQuote', error);
+      return data;
+    },
+
+    // The user's newest quote for the bet that is neither accepted nor expired, or null
+    async findLiveQuote(betId, userId) {
+      const { data, error } = await supabase
+        .from('cashout_quotes')
+        .select('*')
+        .eq('bet_id', betId)
+        .eq('user_id', userId)
+        .is('accepted_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('expires_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw storageError('cashOuts.findLiveQuote', error);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    // Closes the bet and credits the quote in one transaction; returns the cashed-out bet
+    async accept({ quoteId, betId, userId }) {
+      const { data, error } = await supabase.rpc('accept_cashout', {
+        p_quote_id: quoteId,
+        p_bet_id: betId,
+        p_user_id: userId
+      });
+
+      if (error) throw toRefusal('cashOuts.accept', error, CASHOUT_REFUSALS);
+      return data;
+    }
+  };
+
+  const auditLog = {
+    async record(entry) {
+      const { data, error } = await supabase
+        .from('admin_audit_log')
+        .insert(entry)
+        .select()
+        .single();
+
+      if (error) throw storageError('auditLog.record', error);
+      return data;
+    },
+
+    // Closes a started entry with its final status and details; returns the entry, or
+    // null when it was already closed
+    async complete(entryId, { status, details }) {
+      const { data, error } = await supabase
+        .from('admin_audit_log')
+        .update({ status, details, completed_at: new Date() })
+        .eq('id', entryId)
+        .eq('status', 'started')
+        .select();
+
+      if (error) throw storageError('auditLog.complete', error);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    // Newest first
+    async list({ leagueId, raceId, offset, limit }) {
+      let query = supabase
+        .from('admin_audit_log')
+        .select('*', { count: 'exact' });
+
+      if (leagueId) {
+        query = query.eq('league_id', leagueId);
+      }
+      if (raceId) {
+        query = query.eq('race_id', raceId);
+      }
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw storageError('auditLog.list', error);
+      return { entries: data, total: count };
+    }
+  };
+
+  const driverLinks = {
+    async getByUser(userId) {
+      const { data, error } = await supabase
+        .from('driver_links')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw storageError('driverLinks.getByUser', error);
+      return data;
+    },
+
+    async getByDriver(custId) {
+      const { data, error } = await supabase
+        .from('driver_links')
+        .select('*')
+        .eq('cust_id', custId)
+        .maybeSingle();
+
+      if (error) throw storageError('driverLinks.getByDriver', error);
+      return data;
+    },
+
+    // Links the user to the driver, replacing their previous link. Returns null when the
+    // driver is already linked to another user.
+    async save(link) {
+      const { data, error } = await supabase
+        .from('driver_links')
+        .upsert(link, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+      if (error && error.code === UNIQUE_VIOLATION) {
+        return null;
+      }
+      if (error) throw storageError('driverLinks.save', error);
+      return data;
+    },
+
+    async removeByDriver(custId) {
+      const { error } = await supabase
+        .from('driver_links')
+        .delete()
+        .eq('cust_id', custId);
+
+      if (error) throw storageError('driverLinks.removeByDriver', error);
+    },
+
+    async getDispute(disputeId) {
+      const { data, error } = await supabase
+        .from('driver_link_disputes')
+        .select('*')
+        .eq('id', disputeId)
+        .maybeSingle();
+
+      if (error) throw storageError('driverLinks.getDispute', error);
+      return data;
+    },
+
+    async findDispute({ custId, claimantId, status }) {
+      const { data, error } = await supabase
+        .from('driver_link_disputes')
+        .select('*')
+        .eq('cust_id', custId)
+        .eq('claimant_id', claimantId)
+        .eq('status', status)
+        .maybeSingle();
+
+      if (error) throw storageError('driverLinks.findDispute', error);
+      return data;
+    },
+
+    async createDispute(dispute) {
+      const { data, error } = await supabase
+        .from('driver_link_disputes')
+        .insert(dispute)
+        .select()
+        .single();
+
+      if (error) throw storageError('driverLinks.createDispute', error);
+      return data;
+    },
+
+    // Oldest first
+    async listDisputes(status) {
+      const { data, error } = await supabase
+        .from('driver_link_disputes')
+        .select('*')
+        .eq('status', status)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) throw storageError('driverLinks.listDisputes', error);
+      return data;
+    },
+
+    async updateDisputeIfStatus(disputeId, status, values) {
+      const { data, error } = await supabase
+        .from('driver_link_disputes')
+        .update(values)
+        .eq('id', disputeId)
+        .eq('status', status)
+        .select();
+
+      if (error) throw storageError('driverLinks.updateDisputeIfStatus', error);
+      return data.length > 0 ? data[0] : null;
+    }
+  };
+
+  const gamblingControls = {
+    async listLimits(userId) {
+      const { data, error } = await supabase
+        .from('gambling_limits')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (error) throw storageError('gamblingControls.listLimits', error);
+      return data;
+    },
+
+    async saveLimit(limit) {
+      const { data, error } = await supabase
+        .from('gambling_limits')
+        .upsert(limit, { onConflict: 'user_id,limit_type,period' })
+        .select()
+        .single();
+
+      if (error) throw storageError('gamblingControls.saveLimit', error);
+      return data;
+    },
+
+    // The exclusion that runs longest of those not yet over, or null
+    async getActiveExclusion(userId) {
+      const { data, error } = await supabase
+        .from('gambling_exclusions')
+        .select('*')
+        .eq('user_id', userId)
+        .gt('ends_at', new Date().toISOString())
+        .order('ends_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw storageError('gamblingControls.getActiveExclusion', error);
+      return data.length > 0 ? data[0] : null;
+    },
+
+    async addExclusion(exclusion) {
+      const { data, error } = await supabase
+        .from('gambling_exclusions')
+        .insert(exclusion)
+        .select()
+        .single();
+
+      if (error) throw storageError('gamblingControls.addExclusion', error);
+      return data;
+    }
+  };
+
+  const leaderboards = {
+    // Rows of bettor_leaderboard(); options left undefined take the function's defaults
+    async list({ metric, userId, leagueId, seasonId, since, minBets, limit, offset }) {
+      const { data, error } = await supabase.rpc('bettor_leaderboard', {
+        p_metric: metric,
+        p_user_id: userId,
+        p_league_id: leagueId,
+        p_season_id: seasonId,
+        p_since: since,
+        p_min_bets: minBets,
+        p_limit: limit,
+        p_offset: offset
+      });
+
+      if (error) throw storageError('leaderboards.list', error);
+      return data;
+    },
+
+    async saveProfile(profile) {
+      const { data, error } = await supabase
+        .from('bettor_profiles')
+        .upsert(profile, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+      if (error) throw storageError('leaderboards.saveProfile', error);
+      return data;
+    }
+  };
+
+  const leagueData = {
+    async saveSeasons(seasons) {
+      const { error } = await supabase
+        .from('league_seasons')
+        .upsert(seasons, { onConflict: 'league_id,season_id' });
+
+      if (error) throw storageError('leagueData.saveSeasons', error);
+    },
+
+    async saveRoster(roster) {
+      const { error } = await supabase
+        .from('league_rosters')
+        .upsert(roster, { onConflict: 'league_id' });
+
+      if (error) throw storageError('leagueData.saveRoster', error);
+    }
+  };
+
+  return {
+    bets,
+    subsessions,
+    users,
+    wallets,
+    idempotencyKeys,
+    markets,
+    raceSettings,
+    resultOverrides,
+    settlements,
+    tickets,
+    futures,
+    cashOuts,
+    auditLog,
+    driverLinks,
+    gamblingControls,
+    leaderboards,
+    leagueData
+  };
+}
+
+// The MemoryStore signals constraint violations with PostgREST-shaped errors; they are
+// reported the same way as the Supabase ones
+function createMemoryRepositories(store) {
+  function run(operation, action) {
+    try {
+      return Promise.resolve(clone(action()));
+    } catch (error) {
+      return Promise.reject(storageError(operation, error));
+    }
+  }
+
+  // For the emulated functions that refuse with one of `refusals`
+  function refusable(operation, refusals, action) {
+    try {
+      return Promise.resolve(clone(action()));
+    } catch (error) {
+      return Promise.reject(toRefusal(operation, error, refusals));
+    }
+  }
+
+  const byId = (a, b) => a.id - b.id;
+  const newestFirst = (a, b) => compare(b.created_at, a.created_at) || b.id - a.id;
+  const find = (table, predicate) => store.table(table).find(predicate) || null;
+
+  // The first row matching, with `values` applied; null when no row matches, as for a
+  // conditional update that another writer beat
+  function updateWhere(table, predicate, values) {
+    const row = store.table(table).find(predicate);
+    return row ? Object.assign(row, clone(values)) : null;
+  }
+
+  // An update that has to find its row, as .single() would insist
+  function single(row) {
+    if (!row) {
+      throw new Error('JSON object requested, multiple (or no) rows returned');
+    }
+    return row;
+  }
+
+  const bets = {
+    listByUser(userId, { leagueId } = {}) {
+      return run('bets.listByUser', () => store.table('bets')
+        .filter(bet => bet.user_id === userId && (!leagueId || sameValue(bet.league_id, leagueId)))
+        .sort(byId));
+    },
+
+    listByRace(leagueId, raceId) {
+      return run('bets.listByRace', () => store.table('bets')
+        .filter(bet => sameValue(bet.league_id, leagueId) && sameValue(bet.race_id, raceId))
+        .sort(byId));
+    },
+
+    getById(betId) {
+      return run('bets.getById', () => store.table('bets').find(bet => sameValue(bet.id, betId)) || null);
+    },
+
+    updateIfStatus(betId, status, values) {
+      return run('bets.updateIfStatus', () => {
+        const bet = store.table('bets').find(row => sameValue(row.id, betId) && row.status === status);
+        return bet ? Object.assign(bet, clone(values)) : null;
+      });
+    },
+
+    closeIfStatus(betId, status, values, credit) {
+      return run('bets.closeIfStatus', () => store.closeBet(betId, status, values, credit)[0] || null);
+    }
+  };
+
+  const subsessions = {
+    listBySeason(leagueId, seasonId) {
+      return run('subsessions.listBySeason', () => store.table('league_subsessions')
+        .filter(row => sameValue(row.league_id, leagueId) && sameValue(row.season_id, seasonId)));
+    },
+
+    save(rows) {
+      return run('subsessions.save', () => {
+        store.upsertRows('league_subsessions', rows, { onConflict: 'league_id,subsession_id' });
+      });
+    }
+  };
+
+  const users = {
+    getUserForToken(token) {
+      return run('users.getUserForToken', () => store.users.get(token) || null);
+    }
+  };
+
+  const wallets = {
+    getBalance(userId) {
+      return run('wallets.getBalance', () => store.balance(userId));
+    },
+
+    listTransactions(userId, { offset, limit }) {
+      return run('wallets.listTransactions', () => {
+        const entries = store.table('wallet_transactions')
+          .filter(entry => entry.user_id === userId)
+          .sort((a, b) => compare(b.created_at, a.created_at) || b.id - a.id);
+        return { transactions: entries.slice(offset, offset + limit), total: entries.length };
+      });
+    },
+
+    listTransactionsSince(userId, { types, since }) {
+      return run('wallets.listTransactionsSince', () => store.table('wallet_transactions')
+        .filter(entry => entry.user_id === userId && types.includes(entry.type)
+          && compare(entry.created_at, since.toISOString()) >= 0));
+    },
+
+    recordTransaction(entry) {
+      return run('wallets.recordTransaction', () => {
+        store.upsertRows('wallet_transactions', [entry], { onConflict: 'reference', ignoreDuplicates: true });
+      });
+    },
+
+    placeBet(bet) {
+      return refusable('wallets.placeBet', STAKE_REFUSALS, () => store.placeBet(bet));
+    },
+
+    placeTicket(ticket, legs) {
+      return refusable('wallets.placeTicket', STAKE_REFUSALS, () => store.placeTicket(ticket, legs));
+    },
+
+    placeFuturesBet(bet) {
+      return refusable('wallets.placeFuturesBet', STAKE_REFUSALS, () => store.placeFuturesBet(bet));
+    }
+  };
+
+  const idempotencyKeys = {
+    claim({ userId, key, route, requestHash }) {
+      return run('idempotencyKeys.claim', () => {
+        const existing = store.table('idempotency_keys').find(row => row.user_id === userId && row.key === key);
+        if (existing) {
+          return { claimed: false, record: existing };
+        }
+        const [record] = store.insertRows('idempotency_keys', [{ user_id: userId, key, route, request_hash: requestHash }]);
+        return { claimed: true, record };
+      });
+    },
+
+    complete(id, { status, body }) {
+      return run('idempotencyKeys.complete', () => {
+        const record = store.table('idempotency_keys').find(row => sameValue(row.id, id));
+        if (record) {
+          Object.assign(record, clone({ response_status: status, response_body: body, completed_at: new Date() }));
+        }
+      });
+    },
+
+    release(id) {
+      return run('idempotencyKeys.release', () => {
+        store.tables.idempotency_keys = store.table('idempotency_keys').filter(row => !sameValue(row.id, id));
+      });
+    },
+
+    deleteCreatedBefore(before) {
+      return run('idempotencyKeys.deleteCreatedBefore', () => {
+        const rows = store.table('idempotency_keys');
+        store.tables.idempotency_keys = rows.filter(row => Date.parse(row.created_at) >= before.getTime());
+        return rows.length - store.tables.idempotency_keys.length;
+      });
+    }
+  };
+
+  const markets = {
+    get(leagueId, raceId) {
+      return run('markets.get', () => find('race_markets', row => sameValue(row.league_id, leagueId) && sameValue(row.race_id, raceId)));
+    },
+
+    create(market) {
+      return run('markets.create', () => store.insertRows('race_markets', [market])[0]);
+    },
+
+    update(marketId, values) {
+      return run('markets.update', () => single(updateWhere('race_markets', row => sameValue(row.id, marketId), values)));
+    },
+
+    updateIfState(marketId, state, values) {
+      return run('markets.updateIfState', () => updateWhere('race_markets', row => sameValue(row.id, marketId) && row.state === state, values));
+    },
+
+    listByState(state, { leagueIds = null } = {}) {
+      return run('markets.listByState', () => store.table('race_markets')
+        .filter(row => row.state === state && (!leagueIds || leagueIds.some(leagueId => sameValue(row.league_id, leagueId)))));
+    }
+  };
+
+  const raceSettings = {
+    get(leagueId, raceId) {
+      return run('raceSettings.get', () => find('race_settings', row => sameValue(row.league_id, leagueId) && sameValue(row.race_id, raceId)));
+    },
+
+    save(settings) {
+      return run('raceSettings.save', () => store.upsertRows('race_settings', [settings], { onConflict: 'league_id,race_id' })[0]);
+    }
+  };
+
+  const resultOverrides = {
+    get(leagueId, raceId) {
+      return run('resultOverrides.get', () => find('race_result_overrides', row => sameValue(row.league_id, leagueId) && sameValue(row.race_id, raceId)));
+    },
+
+    save(override) {
+      return run('resultOverrides.save', () => store.upsertRows('race_result_overrides', [override], { onConflict: 'league_id,race_id' })[0]);
+    }
+  };
+
+  const settlements = {
+    get(leagueId, raceId) {
+      return run('settlements.get', () => find('race_settlements', row => sameValue(row.league_id, leagueId) && sameValue(row.race_id, raceId)));
+    },
+
+    listSettledSince(since) {
+      return run('settlements.listSettledSince', () => store.table('race_settlements')
+        .filter(row => compare(row.settled_at, since.toISOString()) >= 0)
+        .sort((a, b) => compare(a.checked_at, b.checked_at)));
+    },
+
+    record(settlement) {
+      return run('settlements.record', () => {
+        store.upsertRows('race_settlements', [settlement], { onConflict: 'league_id,race_id', ignoreDuplicates: true });
+      });
+    },
+
+    update(leagueId, raceId, values) {
+      return run('settlements.update', () => {
+        updateWhere('race_settlements', row => sameValue(row.league_id, leagueId) && sameValue(row.race_id, raceId), values);
+      });
+    },
+
+    updateIfRevision(leagueId, raceId, revision, values) {
+      return run('settlements.updateIfRevision', () => {
+        updateWhere('race_settlements', row => sameValue(row.league_id, leagueId) && sameValue(row.race_id, raceId)
+          && sameValue(row.revision, revision), values);
+      });
+    },
+
+    recordAmendment(amendment) {
+      return run('settlements.recordAmendment', () => {
+        store.upsertRows('race_result_amendments', [amendment], { onConflict: 'league_id,race_id,revision', ignoreDuplicates: true });
+      });
+    },
+
+    listAmendments(leagueId, raceId) {
+      return run('settlements.listAmendments', () => store.table('race_result_amendments')
+        .filter(row => sameValue(row.league_id, leagueId) && sameValue(row.race_id, raceId))
+        .sort((a, b) => a.revision - b.revision));
+    }
+  };
+
+  const withLegs = ticket => ({
+    ...ticket,
+    ticket_legs: store.table('ticket_legs').filter(leg => sameValue(leg.ticket_id, ticket.id))
+  });
+
+  const tickets = {
+    getById(ticketId) {
+      return run('tickets.getById', () => {
+        const ticket = find('bet_tickets', row => sameValue(row.id, ticketId));
+        return ticket && withLegs(ticket);
+      });
+    },
+
+    listByUser(userId) {
+      return run('tickets.listByUser', () => store.table('bet_tickets')
+        .filter(row => row.user_id === userId)
+        .sort(newestFirst)
+        .map(withLegs));
+    },
+
+    updateIfStatus(ticketId, status, values) {
+      return run('tickets.updateIfStatus', () => updateWhere('bet_tickets', row => sameValue(row.id, ticketId) && row.status === status, values));
+    },
+
+    listLegsByRace(leagueId, raceId) {
+      return run('tickets.listLegsByRace', () => store.table('ticket_legs')
+        .filter(leg => sameValue(leg.league_id, leagueId) && sameValue(leg.race_id, raceId)));
+    },
+
+    updateLegIfStatus(legId, status, values) {
+      return run('tickets.updateLegIfStatus', () => updateWhere('ticket_legs', row => sameValue(row.id, legId) && row.status === status, values));
+    }
+  };
+
+  const futures = {
+    getMarket(leagueId, seasonId) {
+      return run('futures.getMarket', () => find('futures_markets', row => sameValue(row.league_id, leagueId) && sameValue(row.season_id, seasonId)));
+    },
+
+    createMarket(market) {
+      return run('futures.createMarket', () => store.upsertRows('futures_markets', [market], { onConflict: 'league_id,season_id', ignoreDuplicates: true })[0] || null);
+    },
+
+    updateMarket(marketId, values) {
+      return run('futures.updateMarket', () => single(updateWhere('futures_markets', row => sameValue(row.id, marketId), values)));
+    },
+
+    updateMarketIfState(marketId, state, values) {
+      return run('futures.updateMarketIfState', () => updateWhere('futures_markets', row => sameValue(row.id, marketId) && row.state === state, values));
+    },
+
+    listBetsBySeason(leagueId, seasonId, { status }) {
+      return run('futures.listBetsBySeason', () => store.table('futures_bets')
+        .filter(row => sameValue(row.league_id, leagueId) && sameValue(row.season_id, seasonId) && row.status === status));
+    },
+
+    listBetsByUser(userId) {
+      return run('futures.listBetsByUser', () => store.table('futures_bets')
+        .filter(row => row.user_id === userId)
+        .sort(newestFirst));
+    },
+
+    updateBetIfStatus(betId, status, values) {
+      return run('futures.updateBetIfStatus', () => updateWhere('futures_bets', row => sameValue(row.id, betId) && row.status === status, values));
+    }
+  };
+
+  const cashOuts = {
+    createQuote(quote) {
+      return run('cashOuts.createQuote', () => store.insertRows('cashout_quotes', [quote])[0]);
+    },
+
+    findLiveQuote(betId, userId) {
+      return run('cashOuts.findLiveQuote', () => store.table('cashout_quotes')
+        .filter(row => sameValue(row.bet_id, betId) && row.user_id === userId && !row.accepted_at
+          && Date.parse(row.expires_at) > Date.now())
+        .sort((a, b) => Date.parse(b.expires_at) - Date.parse(a.expires_at))[0] || null);
+    },
+
+    accept({ quoteId, betId, userId }) {
+      return refusable('cashOuts.accept', CASHOUT_REFUSALS, () => store.acceptCashOut(quoteId, betId, userId));
+    }
+  };
+
+  const auditLog = {
+    record(entry) {
+      return run('auditLog.record', () => store.insertRows('admin_audit_log', [entry])[0]);
+    },
+
+    complete(entryId, { status, details }) {
+      return run('auditLog.complete', () => {
+        const values = clone({ status, details, completed_at: new Date() });
+        const entry = find('admin_audit_log', row => sameValue(row.id, entryId) && row.status === 'started');
+        if (!entry) {
+          return null;
+        }
+        store.assertWritable('admin_audit_log', [entry], values);
+        return Object.assign(entry, values);
+      });
+    },
+
+    list({ leagueId, raceId, offset, limit }) {
+      return run('auditLog.list', () => {
+        const entries = store.table('admin_audit_log')
+          .filter(row => (!leagueId || sameValue(row.league_id, leagueId)) && (!raceId || sameValue(row.race_id, raceId)))
+          .sort(newestFirst);
+        return { entries: entries.slice(offset, offset + limit), total: entries.length };
+      });
+    }
+  };
+
+  const driverLinks = {
+    getByUser(userId) {
+      return run('driverLinks.getByUser', () => find('driver_links', row => row.user_id === userId));
+    },
+
+    getByDriver(custId) {
+      return run('driverLinks.getByDriver', () => find('driver_links', row => sameValue(row.cust_id, custId)));
+    },
+
+    save(link) {
+      return run('driverLinks.save', () => {
+        try {
+          return store.upsertRows('driver_links', [link], { onConflict: 'user_id' })[0];
+        } catch (error) {
+          if (error.code === UNIQUE_VIOLATION) {
+            return null;
+          }
+          throw error;
+        }
+      });
+    },
+
+    removeByDriver(custId) {
+      return run('driverLinks.removeByDriver', () => {
+        store.tables.driver_links = store.table('driver_links').filter(row => !sameValue(row.cust_id, custId));
+      });
+    },
+
+    getDispute(disputeId) {
+      return run('driverLinks.getDispute', () => find('driver_link_disputes', row => sameValue(row.id, disputeId)));
+    },
+
+    findDispute({ custId, claimantId, status }) {
+      return run('driverLinks.findDispute', () => find('driver_link_disputes', row => sameValue(row.cust_id, custId)
+        && row.claimant_id === claimantId && row.status === status));
+    },
+
+    createDispute(dispute) {
+      return run('driverLinks.createDispute', () => store.insertRows('driver_link_disputes', [dispute])[0]);
+    },
+
+    listDisputes(status) {
+      return run('driverLinks.listDisputes', () => store.table('driver_link_disputes')
+        .filter(row => row.status === status)
+        .sort((a, b) => compare(a.created_at, b.created_at) || a.id - b.id));
+    },
+
+    updateDisputeIfStatus(disputeId, status, values) {
+      return run('driverLinks.updateDisputeIfStatus', () => updateWhere('driver_link_disputes', row => sameValue(row.id, disputeId)
+        && row.status === status, values));
+    }
+  };
+
+  const gamblingControls = {
+    listLimits(userId) {
+      return run('gamblingControls.listLimits', () => store.table('gambling_limits').filter(row => row.user_id === userId));
+    },
+
+    saveLimit(limit) {
+      return run('gamblingControls.saveLimit', () => store.upsertRows('gambling_limits', [limit], { onConflict: 'user_id,limit_type,period' })[0]);
+    },
+
+    getActiveExclusion(userId) {
+      return run('gamblingControls.getActiveExclusion', () => store.table('gambling_exclusions')
+        .filter(row => row.user_id === userId && compare(row.ends_at, new Date().toISOString()) > 0)
+        .sort((a, b) => compare(b.ends_at, a.ends_at))[0] || null);
+    },
+
+    addExclusion(exclusion) {
+      return run('gamblingControls.addExclusion', () => store.insertRows('gambling_exclusions', [exclusion])[0]);
+    }
+  };
+
+  const leaderboards = {
+    list({ metric, userId, leagueId, seasonId, since, minBets, limit, offset }) {
+      return run('leaderboards.list', () => store.bettorLeaderboard({
+        p_metric: metric,
+        p_user_id: userId,
+        p_league_id: leagueId,
+        p_season_id: seasonId,
+        p_since: since,
+        p_min_bets: minBets,
+        p_limit: limit,
+        p_offset: offset
+      }));
+    },
+
+    saveProfile(profile) {
+      return run('leaderboards.saveProfile', () => store.upsertRows('bettor_profiles', [profile], { onConflict: 'user_id' })[0]);
+    }
+  };
+
+  const leagueData = {
+    saveSeasons(seasons) {
+      return run('leagueData.saveSeasons', () => {
+        store.upsertRows('league_seasons', seasons, { onConflict: 'league_id,season_id' });
+      });
+    },
+
+    saveRoster(roster) {
+      return run('leagueData.saveRoster', () => {
+        store.upsertRows('league_rosters', [roster], { onConflict: 'league_id' });
+      });
+    }
+  };
+
+  return {
+    bets,
+    subsessions,
+    users,
+    wallets,
+    idempotencyKeys,
+    markets,
+    raceSettings,
+    resultOverrides,
+    settlements,
+    tickets,
+    futures,
+    cashOuts,
+    auditLog,
+    driverLinks,
+    gamblingControls,
+    leaderboards,
+    leagueData
+  };
+}
+
+const repositoriesByClient = new WeakMap();
+
+// Repositories for a storage client, created once per client. A MemoryStore gets the
+// in-memory implementation and anything else is taken to be a Supabase client.
+function getRepositories(client) {
+  if (!repositoriesByClient.has(client)) {
+    repositoriesByClient.set(client, client instanceof MemoryStore
+      ? createMemoryRepositories(client)
+      : createSupabaseRepositories(client));
+  }
+  return repositoriesByClient.get(client);
+}
+
+export {
+  STORAGE_BACKEND,
+  getStorageBackend,
+  createSupabaseRepositories,
+  createMemoryRepositories,
+  getRepositories
+};
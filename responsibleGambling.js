@@ -0,0 +1,194 @@
+import { getRepositories } from './repositories.js';
+
+// Responsible gambling controls: stake and loss limits per rolling period, timed breaks
+// and self-exclusion. They are enforced where stakes are taken, by place_bet, place_ticket
+// and place_futures_bet under the wallet lock (see 0018_stake_controls.sql), so this
+// module only sets them and reports them.
+const LIMIT_TYPE = {
+  STAKE: 'stake',
+  LOSS: 'loss'
+};
+
+const LIMIT_PERIOD = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+const PERIOD_MS = {
+  [LIMIT_PERIOD.DAY]: 24 * 60 * 60 * 1000,
+  [LIMIT_PERIOD.WEEK]: 7 * 24 * 60 * 60 * 1000,
+  [LIMIT_PERIOD.MONTH]: 30 * 24 * 60 * 60 * 1000
+};
+
+const EXCLUSION_KIND = {
+  BREAK: 'break',
+  SELF_EXCLUSION: 'self_exclusion'
+};
+
+const DEFAULT_COOLING_OFF = 24 * 60 * 60 * 1000; // Raising or removing a limit waits a day
+const MAX_BREAK_DAYS = 42;
+const SELF_EXCLUSION_MONTHS = [6, 12, 60];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ledger entries that count towards losses; deposits are not wins or losses
+const BETTING_TRANSACTION_TYPES = ['stake', 'payout', 'refund', 'adjustment', 'cashout'];
+
+function getCoolingOff() {
+  const coolingOff = parseInt(process.env.LIMIT_COOLING_OFF_MS, 10);
+  return Number.isFinite(coolingOff) && coolingOff >= 0 ? coolingOff : DEFAULT_COOLING_OFF;
+}
+
+function gamblingError(message, code, fields = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, fields);
+  return error;
+}
+
+// A pending change becomes the limit once its cooling-off delay has passed.
+// null means no limit.
+function getEffectiveLimit(row, now = Date.now()) {
+  if (row.pending_effective_at && new Date(row.pending_effective_at).getTime() <= now) {
+    return row.pending_amount === null ? null : Number(row.pending_amount);
+  }
+  return row.amount === null ? null : Number(row.amount);
+}
+
+async function getLimitRows(supabase, userId) {
+  return getRepositories(supabase).gamblingControls.listLimits(userId);
+}
+
+async function getActiveExclusion(supabase, userId) {
+  return getRepositories(supabase).gamblingControls.getActiveExclusion(userId);
+}
+
+// Staked and net lost per rolling period, from the wallet ledger
+async function getUsage(supabase, userId, now = Date.now()) {
+  const since = new Date(now - PERIOD_MS[LIMIT_PERIOD.MONTH]);
+  const data = await getRepositories(supabase).wallets.listTransactionsSince(userId, {
+    types: BETTING_TRANSACTION_TYPES,
+    since
+  });
+
+  const usage = {};
+  Object.values(LIMIT_PERIOD).forEach(period => {
+    const start = now - PERIOD_MS[period];
+    const entries = data.filter(entry => new Date(entry.created_at).getTime() >= start);
+    const staked = entries
+      .filter(entry => entry.type === 'stake')
+      .reduce((sum, entry) => sum - Number(entry.amount), 0);
+    const net = entries.reduce((sum, entry) => sum + Number(entry.amount), 0);
+
+    usage[period] = {
+      staked: Math.round(staked * 100) / 100,
+      lost: Math.max(0, Math.round(-net * 100) / 100)
+    };
+  });
+  return usage;
+}
+
+function toLimit(row, now = Date.now()) {
+  const pending = row.pending_effective_at && new Date(row.pending_effective_at).getTime() > now;
+  return {
+    type: row.limit_type,
+    period: row.period,
+    amount: getEffectiveLimit(row, now),
+    pendingAmount: pending ? (row.pending_amount === null ? null : Number(row.pending_amount)) : undefined,
+    pendingEffectiveAt: pending ? row.pending_effective_at : undefined
+  };
+}
+
+async function getGamblingControls(supabase, userId) {
+  const [rows, exclusion, usage] = await Promise.all([
+    getLimitRows(supabase, userId),
+    getActiveExclusion(supabase, userId),
+    getUsage(supabase, userId)
+  ]);
+
+  return {
+    limits: rows.map(row => toLimit(row)),
+    exclusion: exclusion && { kind: exclusion.kind, endsAt: exclusion.ends_at },
+    usage
+  };
+}
+
+// Lowering a limit (or setting a first one) applies now. Raising or removing one
+// (amount null) only applies after the cooling-off delay; until then the current limit
+// stays in force and the change is shown as pending.
+async function setLimit(supabase, userId, { type, period, amount }) {
+  if (!Object.values(LIMIT_TYPE).includes(type)) {
+    throw gamblingError(`type must be one of ${Object.values(LIMIT_TYPE).join(', ')}`, 'INVALID_LIMIT');
+  }
+  if (!Object.values(LIMIT_PERIOD).includes(period)) {
+    throw gamblingError(`period must be one of ${Object.values(LIMIT_PERIOD).join(', ')}`, 'INVALID_LIMIT');
+  }
+  const newAmount = amount === null || amount === undefined ? null : Number(amount);
+  if (newAmount !== null && !(newAmount > 0)) {
+    throw gamblingError('amount must be a positive number, or null to remove the limit', 'INVALID_LIMIT');
+  }
+
+  const rows = await getLimitRows(supabase, userId);
+  const row = rows.find(item => item.limit_type === type && item.period === period);
+  const current = row ? getEffectiveLimit(row) : null;
+  const isIncrease = current !== null && (newAmount === null || newAmount > current);
+
+  const change = isIncrease
+    ? {
+      amount: current,
+      pending_amount: newAmount,
+      pending_effective_at: new Date(Date.now() + getCoolingOff())
+    }
+    : { amount: newAmount, pending_amount: null, pending_effective_at: null };
+
+  const saved = await getRepositories(supabase).gamblingControls.saveLimit({
+    user_id: userId,
+    limit_type: type,
+    period,
+    ...change,
+    updated_at: new Date()
+  });
+
+  return toLimit(saved);
+}
+
+// Takes a break of 1 to MAX_BREAK_DAYS days, or self-excludes for one of
+// SELF_EXCLUSION_MONTHS. Neither can be shortened or lifted once started.
+async function startExclusion(supabase, userId, { kind, days, months }) {
+  let endsAt;
+  if (kind === EXCLUSION_KIND.BREAK) {
+    const breakDays = Number(days);
+    if (!Number.isInteger(breakDays) || breakDays < 1 || breakDays > MAX_BREAK_DAYS) {
+      throw gamblingError(`days must be a whole number from 1 to ${MAX_BREAK_DAYS}`, 'INVALID_EXCLUSION');
+    }
+    endsAt = new Date(Date.now() + breakDays * DAY_MS);
+  } else if (kind === EXCLUSION_KIND.SELF_EXCLUSION) {
+    const exclusionMonths = Number(months);
+    if (!SELF_EXCLUSION_MONTHS.includes(exclusionMonths)) {
+      throw gamblingError(`months must be one of ${SELF_EXCLUSION_MONTHS.join(', ')}`, 'INVALID_EXCLUSION');
+    }
+    endsAt = new Date();
+    endsAt.setMonth(endsAt.getMonth() + exclusionMonths);
+  } else {
+    throw gamblingError(`kind must be one of ${Object.values(EXCLUSION_KIND).join(', ')}`, 'INVALID_EXCLUSION');
+  }
+
+  // A shorter request never cuts an existing exclusion short
+  const active = await getActiveExclusion(supabase, userId);
+  if (active && new Date(active.ends_at) >= endsAt) {
+    return { kind: active.kind, endsAt: active.ends_at };
+  }
+
+  const exclusion = await getRepositories(supabase).gamblingControls.addExclusion({ user_id: userId, kind, ends_at: endsAt });
+
+  return { kind: exclusion.kind, endsAt: exclusion.ends_at };
+}
+
+export {
+  LIMIT_TYPE,
+  LIMIT_PERIOD,
+  EXCLUSION_KIND,
+  getGamblingControls,
+  setLimit,
+  startExclusion
+};
@@ -0,0 +1,81 @@
+import { resettleRace } from './betSettlement.js';
+import { getRepositories } from './repositories.js';
+
+const DEFAULT_AMENDMENT_WINDOW = 7 * 24 * 60 * 60 * 1000; // Stewards' decisions usually land within a week
+const DEFAULT_AMENDMENT_CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+let amendmentInterval = null;
+let checkRunning = false;
+
+function getAmendmentWindow() {
+  const configured = parseInt(process.env.AMENDMENT_WINDOW_MS, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_AMENDMENT_WINDOW;
+}
+
+// Re-fetches every race settled within the amendment window, bypassing the results
+// cache, and re-settles those whose finishing order changed. Stops the pass when
+// iRacing rate limits us; the remaining races are picked up next time.
+async function checkRecentResults(supabase, iracing) {
+  if (checkRunning) {
+    console.log('Previous amendment check still running, skipping');
+    return [];
+  }
+
+  checkRunning = true;
+  try {
+    const since = new Date(Date.now() - getAmendmentWindow());
+    const settlements = await getRepositories(supabase).settlements.listSettledSince(since);
+
+    const amendments = [];
+    for (const settlement of settlements) {
+      try {
+        const raceDetails = await iracing.getRaceDetails(settlement.league_id, settlement.season_id, settlement.race_id, { refresh: true });
+        const amendment = await resettleRace(supabase, settlement.league_id, settlement.race_id, raceDetails);
+        if (amendment) {
+          amendments.push(amendment);
+        }
+      } catch (error) {
+        if (error.code === 'IRACING_RATE_LIMITED') {
+          console.log('Rate limited while checking results, continuing in the next pass');
+          break;
+        }
+        console.error(`Amendment check failed for league ${settlement.league_id} race ${settlement.race_id}:`, error.message);
+      }
+    }
+
+    console.log(`Checked ${settlements.length} settled races for amended results, ${amendments.length} amended`);
+    return amendments;
+  } finally {
+    checkRunning = false;
+  }
+}
+
+// History of result amendments for a race, oldest first
+async function getRaceAmendments(supabase, leagueId, raceId) {
+  return getRepositories(supabase).settlements.listAmendments(leagueId, raceId);
+}
+
+function startAmendmentChecks(supabase, iracing, intervalMs) {
+  const configured = parseInt(process.env.AMENDMENT_CHECK_INTERVAL_MS, 10);
+  const interval = intervalMs || (Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_AMENDMENT_CHECK_INTERVAL);
+
+  stopAmendmentChecks();
+  amendmentInterval = setInterval(() => {
+    checkRecentResults(supabase, iracing).catch(error => console.error('Amendment check failed:', error));
+  }, interval);
+  console.log(`Result amendment checks started, every ${interval / 1000} seconds`);
+}
+
+function stopAmendmentChecks() {
+  if (amendmentInterval) {
+    clearInterval(amendmentInterval);
+    amendmentInterval = null;
+  }
+}
+
+export {
+  checkRecentResults,
+  getRaceAmendments,
+  startAmendmentChecks,
+  stopAmendmentChecks
+};
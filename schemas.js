@@ -0,0 +1,205 @@
+import { field } from './validation.js';
+import { BET_TYPE } from './betTypes.js';
+import { BETTING_MODE } from './pools.js';
+import { EXCLUSION_KIND, LIMIT_PERIOD, LIMIT_TYPE } from './responsibleGambling.js';
+import { LEADERBOARD_METRIC, TIME_WINDOW } from './leaderboards.js';
+import { DISPUTE_STATUS } from './driverLinks.js';
+
+// Request schemas for the routes in app.js (see validation.js). These check the shape of
+// a request: types, ranges and what is required. Rules that need data, such as whether
+// a driver is priced or a limit may be raised yet, stay with the modules that own them.
+// :leagueId is not listed, app.param resolves it against the league registry.
+const MAX_NAME_LENGTH = 100;
+const MAX_REASON_LENGTH = 500;
+
+// Decimal odds, which always pay back more than the stake
+const odds = options => field.number({ greaterThan: 1, ...options });
+const stake = () => field.number({ greaterThan: 0 });
+const betType = () => field.oneOf(Object.values(BET_TYPE), { optional: true, default: BET_TYPE.WIN });
+const paging = {
+  page: field.integer({ min: 1, optional: true }),
+  pageSize: field.integer({ min: 1, optional: true })
+};
+const raceParams = { raceId: field.id() };
+const seasonQuery = { seasonId: field.id() };
+const driverSearch = { query: { name: field.string({ maxLength: MAX_NAME_LENGTH }) } };
+const adminRaceAction = {
+  params: raceParams,
+  body: { reason: field.string({ maxLength: MAX_REASON_LENGTH }) }
+};
+
+const schemas = {
+  searchIracingName: driverSearch,
+  searchDrivers: driverSearch,
+
+  stream: {
+    query: {
+      leagueId: field.id({ optional: true }),
+      raceId: field.id({ optional: true })
+    }
+  },
+
+  seasonFutures: { params: { seasonId: field.id() } },
+  subsessions: { query: seasonQuery },
+  race: { params: raceParams },
+  raceOdds: { params: raceParams, query: seasonQuery },
+
+  oddsQuote: {
+    params: raceParams,
+    query: {
+      ...seasonQuery,
+      betType: betType(),
+      driverId: field.id(),
+      opponentId: field.id({ optional: true }),
+      line: field.number({ min: 0, optional: true })
+    }
+  },
+
+  markets: { query: seasonQuery },
+  raceMarket: { params: raceParams, query: seasonQuery },
+
+  // odds is only optional for pool races, which app.js checks once it knows the mode
+  placeBet: {
+    body: {
+      leagueId: field.id(),
+      seasonId: field.id(),
+      raceId: field.id(),
+      betType: betType(),
+      selectedDriverId: field.id(),
+      opponentId: field.id({ optional: true }),
+      line: field.number({ min: 0, optional: true }),
+      betAmount: stake(),
+      odds: odds({ optional: true })
+    }
+  },
+
+  placeParlay: {
+    body: {
+      stake: stake(),
+      legs: field.array(field.object({
+        leagueId: field.id(),
+        seasonId: field.id(),
+        raceId: field.id(),
+        betType: betType(),
+        selectedDriverId: field.id(),
+        opponentId: field.id({ optional: true }),
+        line: field.number({ min: 0, optional: true }),
+        odds: odds()
+      }))
+    }
+  },
+
+  placeFuturesBet: {
+    body: {
+      leagueId: field.id(),
+      seasonId: field.id(),
+      driverId: field.id(),
+      stake: stake(),
+      odds: odds()
+    }
+  },
+
+  leaderboard: {
+    params: { metric: field.oneOf(Object.values(LEADERBOARD_METRIC)) },
+    query: {
+      leagueId: field.id({ optional: true }),
+      seasonId: field.id({ optional: true }),
+      window: field.oneOf(Object.values(TIME_WINDOW), { optional: true }),
+      ...paging
+    }
+  },
+
+  userStats: {
+    query: {
+      leagueId: field.id({ optional: true }),
+      seasonId: field.id({ optional: true }),
+      window: field.oneOf(Object.values(TIME_WINDOW), { optional: true })
+    }
+  },
+
+  // displayName is checked by leaderboards.js, which also refuses a blank one
+  leaderboardPreferences: {
+    body: { optOut: field.boolean({ optional: true }) }
+  },
+
+  userBets: { query: { leagueId: field.id({ optional: true }) } },
+  cashOutQuote: { params: { betId: field.id() } },
+  cashOut: { params: { betId: field.id() }, body: { quoteId: field.id() } },
+
+  claimDriver: {
+    body: {
+      custId: field.id(),
+      leagueId: field.id({ optional: true })
+    }
+  },
+
+  // amount null removes the limit
+  setLimit: {
+    body: {
+      type: field.oneOf(Object.values(LIMIT_TYPE)),
+      period: field.oneOf(Object.values(LIMIT_PERIOD)),
+      amount: field.number({ greaterThan: 0, nullable: true })
+    }
+  },
+
+  // Which of days and months is needed depends on the kind; responsibleGambling.js checks
+  startExclusion: {
+    body: {
+      kind: field.oneOf(Object.values(EXCLUSION_KIND)),
+      days: field.integer({ min: 1, optional: true }),
+      months: field.integer({ min: 1, optional: true })
+    }
+  },
+
+  walletTransactions: { query: paging },
+  raceAmendments: { params: raceParams },
+  raceResults: { params: raceParams },
+
+  voidRace: adminRaceAction,
+  suspendMarket: adminRaceAction,
+  resumeMarket: adminRaceAction,
+
+  // The finishing order itself is checked by parseResultOverride
+  overrideResults: {
+    params: raceParams,
+    body: { ...adminRaceAction.body, results: field.array(field.object({})) }
+  },
+
+  raceSettings: {
+    params: raceParams,
+    body: {
+      ...adminRaceAction.body,
+      bettingMode: field.oneOf(Object.values(BETTING_MODE)),
+      rake: field.number({ min: 0, lessThan: 1, optional: true, nullable: true })
+    }
+  },
+
+  cancelBet: {
+    params: { betId: field.id() },
+    body: adminRaceAction.body
+  },
+
+  driverDisputes: {
+    query: { status: field.oneOf(Object.values(DISPUTE_STATUS), { optional: true }) }
+  },
+
+  resolveDriverDispute: {
+    params: { disputeId: field.id() },
+    body: {
+      ...adminRaceAction.body,
+      outcome: field.oneOf([DISPUTE_STATUS.UPHELD, DISPUTE_STATUS.REJECTED])
+    }
+  },
+
+  auditLog: {
+    query: {
+      leagueId: field.id({ optional: true }),
+      raceId: field.id({ optional: true }),
+      ...paging
+    }
+  }
+};
+
+export {
+  schemas
+};
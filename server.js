@@ -1,314 +1,122 @@
-import express from 'express';
-import cors from 'cors';
+import fs from 'fs';
 import dotenv from 'dotenv';
-import cookieParser from 'cookie-parser';
-import { login, verifyAuth, searchIRacingName, getLeagueSeasons, getLeagueSubsessions, getLeagueRoster, getRaceDetails, manualReAuth } from './iRacingApi.js';
 import { createClient } from '@supabase/supabase-js';
+import { IracingClient } from './iRacingApi.js';
+import { createApp } from './app.js';
+import { createMemoryStore } from './memoryStore.js';
+import { STORAGE_BACKEND, getStorageBackend } from './repositories.js';
+import { settleRace } from './betSettlement.js';
+import { getOpenMarkets, syncMarket } from './markets.js';
+import { INGESTION_EVENT, SESSION_PHASE, ingestionEvents, startIngestion } from './ingestion.js';
+import { startAmendmentChecks } from './resultAmendments.js';
+import { purgeExpiredKeys } from './idempotency.js';
+import { updateSeasonFutures } from './futures.js';
+import { LIVE_EVENT, getWatchedLeagues, hasSubscribers, publishLiveEvent, publishOddsUpdates } from './liveUpdates.js';
 
 console.log('Server starting...');
 
 dotenv.config();
 
-const app = express();
-
-const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.speedtrapbets.com';
-
-app.use(cors({
-  origin: FRONTEND_URL,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: true
-}));
-
-app.use(express.json());
-app.use(cookieParser());
-
 const PORT = process.env.PORT || 3001;
 
-// Supabase setup
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
-
-const MAX_LOGIN_ATTEMPTS = 5;
-const LOGIN_RETRY_DELAY = 10000; // 10 seconds
-
-async function attemptLogin(attempts = 0) {
-  try {
-    const loginSuccess = await login(process.env.IRACING_EMAIL, process.env.IRACING_PASSWORD);
-    if (loginSuccess) {
-      console.log('Successfully logged in to iRacing API');
-      return true;
-    } else {
-      throw new Error('Login failed');
-    }
-  } catch (error) {
-    console.error(`Login attempt ${attempts + 1} failed:`, error.message);
-    if (attempts < MAX_LOGIN_ATTEMPTS - 1) {
-      console.log(`Retrying in ${LOGIN_RETRY_DELAY / 1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, LOGIN_RETRY_DELAY));
-      return attemptLogin(attempts + 1);
-    } else {
-      console.error('Max login attempts reached. Unable to log in to iRacing API.');
-      return false;
-    }
-  }
-}
-
-// Middleware to check authentication before each request
-app.use(async (req, res, next) => {
-  try {
-    const isAuthenticated = await verifyAuth();
-    if (!isAuthenticated) {
-      console.log('Authentication failed. Attempting manual re-authentication...');
-      await manualReAuth();
-    }
-    next();
-  } catch (error) {
-    console.error('Error in authentication middleware:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Storage setup. STORAGE_BACKEND=memory keeps everything in process memory, for running
+// without a Supabase project; MEMORY_STORE_SEED can name a JSON file of { tables, users }
+// to start from, where users maps bearer tokens to users.
+function createStorageClient() {
+  if (getStorageBackend() === STORAGE_BACKEND.MEMORY) {
+    const seedFile = process.env.MEMORY_STORE_SEED;
+    const seed = seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : {};
+    console.log(`Using in-memory storage${seedFile ? ` seeded from ${seedFile}` : ''}`);
+    return createMemoryStore(seed);
   }
-});
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK' });
-});
-
-// Endpoint to search for an iRacing name
-app.get('/api/search-iracing-name', async (req, res) => {
-  try {
-    const { name } = req.query;
-    if (!name) {
-      return res.status(400).json({ error: 'Name parameter is required' });
-    }
-
-    console.log('Searching for:', name);
-
-    const result = await searchIRacingName(name);
-    console.log('Search result:', result);
-
-    if (result.exists) {
-      res.json({ exists: true, name: result.name, id: result.id });
-    } else {
-      res.json({ exists: false, message: `${name} has not been found in iRacing.` });
-    }
-  } catch (error) {
-    console.error('Error in search-iracing-name endpoint:', error);
-    res.status(500).json({ 
-      error: 'An error occurred while searching for the iRacing name', 
-      details: error.message
-    });
+  // The backend writes bets and the ledger, which row level security closes to every key
+  // but the service role's (see 0017_row_level_security.sql). Never ship this key to a browser.
+  if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY must be set to use Supabase storage');
   }
-});
 
-app.get('/api/league-seasons', async (req, res) => {
-  try {
-    const leagueId = 11489; // Your league ID
-    console.log(`Fetching seasons for league: ${leagueId}`);
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { autoRefreshToken: false, persistSession: false }
+  });
+}
 
-    const seasons = await getLeagueSeasons(leagueId);
-    console.log('Successfully fetched league seasons');
+const supabase = createStorageClient();
 
-    res.json(seasons);
-  } catch (error) {
-    console.error('Error fetching league seasons:', error);
-    res.status(500).json({ 
-      error: 'An error occurred while fetching league seasons', 
-      details: error.message
-    });
-  }
+// The client logs in on first use and re-authenticates by itself when the session expires
+const iracing = new IracingClient({
+  email: process.env.IRACING_EMAIL,
+  password: process.env.IRACING_PASSWORD,
+  baseUrl: process.env.IRACING_BASE_URL
 });
 
-// Updated endpoint to get league subsessions
-app.get('/api/league-subsessions', async (req, res) => {
-  try {
-    const leagueId = 11489; // Your league ID
-    const { seasonId } = req.query;
-
-    if (!seasonId) {
-      return res.status(400).json({ error: 'seasonId query parameter is required' });
-    }
-
-    console.log(`Fetching subsessions for league: ${leagueId}, season: ${seasonId}`);
-
-    const subsessionsData = await getLeagueSubsessions(leagueId, seasonId);
-    console.log('Successfully fetched league subsessions');
-
-    // Fetch roster information
-    const rosterData = await getLeagueRoster(leagueId);
-    console.log('Successfully fetched league roster');
-
-    // Combine subsessions with roster information
-    const sessionsWithRoster = subsessionsData.sessions.map(session => ({
-      ...session,
-      rosterCount: rosterData.rosterCount,
-      roster: rosterData.roster
-    }));
-
-    // Optional: Store subsessions in Supabase
-    if (sessionsWithRoster && Array.isArray(sessionsWithRoster)) {
-      const { data, error } = await supabase
-        .from('league_subsessions')
-        .upsert(sessionsWithRoster.map(session => ({
-          ...session,
-          league_id: leagueId,
-          season_id: seasonId,
-          updated_at: new Date()
-        })), 
-        { onConflict: 'subsession_id' });
-
-      if (error) {
-        console.error('Error storing subsessions in Supabase:', error);
-      } else {
-        console.log('Successfully stored subsessions in Supabase');
-      }
-    }
-
-    res.json({ sessions: sessionsWithRoster });
-  } catch (error) {
-    console.error('Error fetching league subsessions:', error);
-    res.status(500).json({ 
-      error: 'An error occurred while fetching league subsessions', 
-      details: error.message
-    });
+const app = createApp({ supabase, iracing });
+
+// Markets and settlement follow the session phases picked up by the ingestion worker.
+// Every step is safe to repeat, since a failed phase change is handled again next cycle.
+ingestionEvents.on(INGESTION_EVENT.SESSION_PHASE_CHANGED, async ({ leagueId, seasonId, session, previousPhase, phase }) => {
+  publishLiveEvent(LIVE_EVENT.SESSION_PHASE, {
+    leagueId,
+    seasonId,
+    raceId: Number(session.subsession_id),
+    sessionName: session.session_name,
+    launchAt: session.launch_at,
+    previousPhase,
+    phase
+  }, { leagueId, raceId: Number(session.subsession_id) });
+
+  await syncMarket(supabase, leagueId, seasonId, session);
+
+  if (phase === SESSION_PHASE.RESULTS) {
+    const raceDetails = await iracing.getRaceDetails(leagueId, seasonId, session.subsession_id);
+    await settleRace(supabase, leagueId, session.subsession_id, raceDetails);
+    await updateSeasonFutures(supabase, iracing, leagueId, seasonId);
   }
 });
 
-app.get('/api/league-roster', async (req, res) => {
+// Markets open and suspend on a schedule rather than on a phase change, so the markets
+// of upcoming sessions are brought in line every cycle. Public reads work the state out
+// without storing it.
+ingestionEvents.on(INGESTION_EVENT.SESSIONS_INGESTED, async ({ leagueId, seasonId, sessions }) => {
   try {
-    const leagueId = 11489; // Your league ID
-    console.log(`Fetching roster for league: ${leagueId}`);
-
-    const rosterData = await getLeagueRoster(leagueId);
-    
-    if (rosterData && Array.isArray(rosterData.roster)) {
-      console.log('Successfully fetched league roster');
-      res.json({
-        rosterCount: rosterData.rosterCount,
-        roster: rosterData.roster,
-        privateRoster: rosterData.privateRoster
-      });
-    } else {
-      console.error('Unexpected roster data format:', rosterData);
-      res.status(500).json({ 
-        error: 'Received unexpected data format for roster', 
-        details: JSON.stringify(rosterData)
-      });
+    for (const session of sessions.filter(item => item.phase === SESSION_PHASE.UPCOMING)) {
+      await syncMarket(supabase, leagueId, seasonId, session);
     }
   } catch (error) {
-    console.error('Error fetching league roster:', error);
-    res.status(500).json({ 
-      error: 'An error occurred while fetching league roster', 
-      details: error.message
-    });
-  }
-});
-
-// New endpoint to get race details
-app.get('/api/race/:raceId', async (req, res) => {
-  try {
-    const { raceId } = req.params;
-    const leagueId = 11489; // Your league ID
-    
-    console.log(`Fetching race details for race ID: ${raceId}`);
-
-    const raceDetails = await getRaceDetails(leagueId, null, raceId);
-    console.log('Successfully fetched race details');
-
-    res.json(raceDetails);
-  } catch (error) {
-    console.error('Error fetching race details:', error);
-    res.status(500).json({ 
-      error: 'An error occurred while fetching race details', 
-      details: error.message
-    });
+    console.error(`Error syncing markets for league ${leagueId} season ${seasonId}:`, error);
   }
 });
 
-app.post('/api/place-bet', async (req, res) => {
-  const { userId, leagueId, seasonId, raceId, selectedDriverId, betAmount, odds } = req.body;
-
+// Expired idempotency keys are deleted once per cycle rather than left until reused
+ingestionEvents.on(INGESTION_EVENT.CYCLE_COMPLETED, async () => {
   try {
-    // Validate input
-    if (!userId || !leagueId || !seasonId || !raceId || !selectedDriverId || !betAmount || !odds) {
-      return res.status(400).json({ error: 'Missing required fields for placing a bet' });
-    }
-
-    // TODO: Implement logic to check user's balance before placing bet
-
-    const { data, error } = await supabase
-      .from('bets')
-      .insert({
-        user_id: userId,
-        league_id: leagueId,
-        season_id: seasonId,
-        race_id: raceId,
-        selected_driver_id: selectedDriverId,
-        bet_amount: betAmount,
-        odds: odds,
-        status: 'pending'
-      });
-
-    if (error) throw error;
-
-    // TODO: Implement logic to update user's balance after placing bet
-
-    res.json({ success: true, bet: data[0] });
+    await purgeExpiredKeys(supabase);
   } catch (error) {
-    console.error('Error placing bet:', error);
-    res.status(500).json({ error: 'Failed to place bet', details: error.message });
+    console.error('Error purging expired idempotency keys:', error);
   }
 });
 
-// New endpoint to get user's bets
-app.get('/api/user-bets/:userId', async (req, res) => {
-  const { userId } = req.params;
-
-  try {
-    const { data, error } = await supabase
-      .from('bets')
-      .select('*')
-      .eq('user_id', userId);
-
-    if (error) throw error;
-
-    res.json(data);
-  } catch (error) {
-    console.error('Error fetching user bets:', error);
-    res.status(500).json({ error: 'Failed to fetch user bets', details: error.message });
+// Pushes re-priced odds for open markets in the leagues someone is streaming
+ingestionEvents.on(INGESTION_EVENT.CYCLE_COMPLETED, async () => {
+  if (!hasSubscribers()) {
+    return;
   }
-});
 
-// New endpoint to get race results
-app.get('/api/race-results/:raceId', async (req, res) => {
   try {
-    const { raceId } = req.params;
-    const leagueId = 11489; // Your league ID
-    
-    console.log(`Fetching race results for race ID: ${raceId}`);
-
-    const raceResults = await getRaceDetails(leagueId, null, raceId);
-    console.log('Successfully fetched race results');
-
-    // TODO: Implement logic to process race results and update bet statuses
-
-    res.json(raceResults);
+    const markets = await getOpenMarkets(supabase, getWatchedLeagues());
+    await publishOddsUpdates(iracing, markets);
   } catch (error) {
-    console.error('Error fetching race results:', error);
-    res.status(500).json({ 
-      error: 'An error occurred while fetching race results', 
-      details: error.message
-    });
+    console.error('Error publishing odds updates:', error);
   }
 });
 
-// Start the server and attempt login to iRacing API
-app.listen(PORT, async () => {
+// Start the server; the iRacing client logs in with the first request it makes
+app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  const loginSuccess = await attemptLogin();
-  if (!loginSuccess) {
-    console.error('Server started but iRacing login failed. Some functionality may be limited.');
+
+  if (process.env.INGESTION_ENABLED !== 'false') {
+    startIngestion(supabase, iracing).catch(error => console.error('Initial ingestion cycle failed:', error));
+    startAmendmentChecks(supabase, iracing);
   }
 });
 
@@ -0,0 +1,5 @@
+-- Settlement results recorded on each bet
+alter table bets add column if not exists payout numeric(12, 2);
+alter table bets add column if not exists settled_at timestamptz;
+
+create index if not exists bets_race_id_status_idx on bets (race_id, status);
@@ -0,0 +1,66 @@
+-- Append-only wallet ledger. A user's balance is the sum of their entries.
+create table if not exists wallet_transactions (
+  id bigint generated always as identity primary key,
+  user_id uuid not null,
+  type text not null check (type in ('deposit', 'stake', 'payout', 'refund')),
+  amount numeric(12, 2) not null,
+  bet_id bigint references bets (id),
+  -- Unique key per logical entry (e.g. payout:bet:42) so retries never post twice
+  reference text unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists wallet_transactions_user_created_idx
+  on wallet_transactions (user_id, created_at desc, id desc);
+
+create or replace function reject_wallet_transaction_change() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'wallet_transactions is append-only';
+end;
+$$;
+
+drop trigger if exists wallet_transactions_append_only on wallet_transactions;
+create trigger wallet_transactions_append_only
+  before update or delete on wallet_transactions
+  for each row execute function reject_wallet_transaction_change();
+
+create or replace function wallet_balance(p_user_id uuid) returns numeric
+language sql stable as $$
+  select coalesce(sum(amount), 0) from wallet_transactions where user_id = p_user_id;
+$$;
+
+-- Inserts a bet and its stake entry in one transaction. The advisory lock
+-- serialises concurrent bets by the same user so the balance check holds.
+create or replace function place_bet(p_bet jsonb) returns bets
+language plpgsql as $$
+declare
+  v_user_id uuid := (p_bet ->> 'user_id')::uuid;
+  v_amount numeric := (p_bet ->> 'bet_amount')::numeric;
+  v_bet bets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || v_user_id::text));
+
+  if wallet_balance(v_user_id) < v_amount then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into bets (user_id, league_id, season_id, race_id, selected_driver_id, bet_amount, odds, status)
+  values (
+    v_user_id,
+    (p_bet ->> 'league_id')::bigint,
+    (p_bet ->> 'season_id')::bigint,
+    (p_bet ->> 'race_id')::bigint,
+    (p_bet ->> 'selected_driver_id')::bigint,
+    v_amount,
+    (p_bet ->> 'odds')::numeric,
+    'pending'
+  )
+  returning * into v_bet;
+
+  insert into wallet_transactions (user_id, type, amount, bet_id, reference)
+  values (v_user_id, 'stake', -v_amount, v_bet.id, 'stake:bet:' || v_bet.id);
+
+  return v_bet;
+end;
+$$;
@@ -0,0 +1,7 @@
+-- Subsessions are stored per league
+alter table league_subsessions drop constraint if exists league_subsessions_subsession_id_key;
+alter table league_subsessions
+  add constraint league_subsessions_league_subsession_key unique (league_id, subsession_id);
+
+drop index if exists bets_race_id_status_idx;
+create index if not exists bets_league_race_status_idx on bets (league_id, race_id, status);
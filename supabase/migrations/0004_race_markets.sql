@@ -0,0 +1,11 @@
+-- Betting market state per race (see markets.js for the state machine)
+create table if not exists race_markets (
+  id bigint generated always as identity primary key,
+  league_id bigint not null,
+  season_id bigint,
+  race_id bigint not null,
+  state text not null check (state in ('scheduled', 'open', 'suspended', 'closed', 'settled', 'voided')),
+  launch_at timestamptz,
+  updated_at timestamptz not null default now(),
+  unique (league_id, race_id)
+);
@@ -0,0 +1,18 @@
+-- Written by the ingestion worker (ingestion.js)
+alter table league_subsessions add column if not exists phase text;
+
+create table if not exists league_seasons (
+  league_id bigint not null,
+  season_id bigint not null,
+  season_name text,
+  active boolean not null default false,
+  updated_at timestamptz not null default now(),
+  primary key (league_id, season_id)
+);
+
+create table if not exists league_rosters (
+  league_id bigint primary key,
+  roster_count integer,
+  roster jsonb not null default '[]',
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,44 @@
+-- Bet types (see betTypes.js). Existing rows are plain win bets.
+alter table bets add column if not exists bet_type text not null default 'win';
+alter table bets add column if not exists selection jsonb;
+
+alter table bets drop constraint if exists bets_bet_type_check;
+alter table bets add constraint bets_bet_type_check check (bet_type in (
+  'win', 'top_3', 'top_5', 'top_10', 'head_to_head',
+  'fastest_lap', 'most_laps_led', 'incidents_over', 'incidents_under'
+));
+
+create or replace function place_bet(p_bet jsonb) returns bets
+language plpgsql as $$
+declare
+  v_user_id uuid := (p_bet ->> 'user_id')::uuid;
+  v_amount numeric := (p_bet ->> 'bet_amount')::numeric;
+  v_bet bets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || v_user_id::text));
+
+  if wallet_balance(v_user_id) < v_amount then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into bets (user_id, league_id, season_id, race_id, selected_driver_id, bet_type, selection, bet_amount, odds, status)
+  values (
+    v_user_id,
+    (p_bet ->> 'league_id')::bigint,
+    (p_bet ->> 'season_id')::bigint,
+    (p_bet ->> 'race_id')::bigint,
+    (p_bet ->> 'selected_driver_id')::bigint,
+    coalesce(p_bet ->> 'bet_type', 'win'),
+    p_bet -> 'selection',
+    v_amount,
+    (p_bet ->> 'odds')::numeric,
+    'pending'
+  )
+  returning * into v_bet;
+
+  insert into wallet_transactions (user_id, type, amount, bet_id, reference)
+  values (v_user_id, 'stake', -v_amount, v_bet.id, 'stake:bet:' || v_bet.id);
+
+  return v_bet;
+end;
+$$;
@@ -0,0 +1,69 @@
+-- Parlay (accumulator) tickets: one stake across several legs on distinct races
+create table if not exists bet_tickets (
+  id bigint generated always as identity primary key,
+  user_id uuid not null,
+  stake numeric(12, 2) not null check (stake > 0),
+  combined_odds numeric(12, 2) not null,
+  status text not null default 'pending' check (status in ('pending', 'won', 'lost', 'void')),
+  payout numeric(12, 2),
+  created_at timestamptz not null default now(),
+  settled_at timestamptz
+);
+
+create index if not exists bet_tickets_user_idx on bet_tickets (user_id, created_at desc);
+
+create table if not exists ticket_legs (
+  id bigint generated always as identity primary key,
+  ticket_id bigint not null references bet_tickets (id),
+  league_id bigint not null,
+  season_id bigint not null,
+  race_id bigint not null,
+  bet_type text not null default 'win',
+  selected_driver_id bigint not null,
+  selection jsonb,
+  odds numeric(12, 2) not null,
+  status text not null default 'pending' check (status in ('pending', 'won', 'lost', 'void')),
+  settled_at timestamptz,
+  unique (ticket_id, league_id, race_id)
+);
+
+create index if not exists ticket_legs_race_idx on ticket_legs (league_id, race_id, status);
+
+alter table wallet_transactions add column if not exists ticket_id bigint references bet_tickets (id);
+
+-- Inserts a ticket, its legs and the stake entry in one transaction (see place_bet)
+create or replace function place_ticket(p_ticket jsonb, p_legs jsonb) returns bet_tickets
+language plpgsql as $$
+declare
+  v_user_id uuid := (p_ticket ->> 'user_id')::uuid;
+  v_stake numeric := (p_ticket ->> 'stake')::numeric;
+  v_ticket bet_tickets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || v_user_id::text));
+
+  if wallet_balance(v_user_id) < v_stake then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into bet_tickets (user_id, stake, combined_odds)
+  values (v_user_id, v_stake, (p_ticket ->> 'combined_odds')::numeric)
+  returning * into v_ticket;
+
+  insert into ticket_legs (ticket_id, league_id, season_id, race_id, bet_type, selected_driver_id, selection, odds)
+  select
+    v_ticket.id,
+    (leg ->> 'league_id')::bigint,
+    (leg ->> 'season_id')::bigint,
+    (leg ->> 'race_id')::bigint,
+    coalesce(leg ->> 'bet_type', 'win'),
+    (leg ->> 'selected_driver_id')::bigint,
+    leg -> 'selection',
+    (leg ->> 'odds')::numeric
+  from jsonb_array_elements(p_legs) as leg;
+
+  insert into wallet_transactions (user_id, type, amount, ticket_id, reference)
+  values (v_user_id, 'stake', -v_stake, v_ticket.id, 'stake:ticket:' || v_ticket.id);
+
+  return v_ticket;
+end;
+$$;
@@ -0,0 +1,54 @@
+-- Pari-mutuel pools (see pools.js). Races default to the league's betting mode
+-- unless they have a race_settings row.
+create table if not exists race_settings (
+  league_id bigint not null,
+  race_id bigint not null,
+  betting_mode text not null check (betting_mode in ('fixed', 'pool')),
+  rake numeric check (rake >= 0 and rake < 1),
+  updated_at timestamptz not null default now(),
+  primary key (league_id, race_id)
+);
+
+-- Pool bets have no odds until the pool is split at settlement
+alter table bets add column if not exists betting_mode text not null default 'fixed';
+alter table bets drop constraint if exists bets_betting_mode_check;
+alter table bets add constraint bets_betting_mode_check check (betting_mode in ('fixed', 'pool'));
+alter table bets alter column odds drop not null;
+
+create index if not exists bets_race_pool_idx on bets (league_id, race_id, betting_mode, status);
+
+create or replace function place_bet(p_bet jsonb) returns bets
+language plpgsql as $$
+declare
+  v_user_id uuid := (p_bet ->> 'user_id')::uuid;
+  v_amount numeric := (p_bet ->> 'bet_amount')::numeric;
+  v_bet bets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || v_user_id::text));
+
+  if wallet_balance(v_user_id) < v_amount then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into bets (user_id, league_id, season_id, race_id, selected_driver_id, bet_type, selection, betting_mode, bet_amount, odds, status)
+  values (
+    v_user_id,
+    (p_bet ->> 'league_id')::bigint,
+    (p_bet ->> 'season_id')::bigint,
+    (p_bet ->> 'race_id')::bigint,
+    (p_bet ->> 'selected_driver_id')::bigint,
+    coalesce(p_bet ->> 'bet_type', 'win'),
+    p_bet -> 'selection',
+    coalesce(p_bet ->> 'betting_mode', 'fixed'),
+    v_amount,
+    (p_bet ->> 'odds')::numeric,
+    'pending'
+  )
+  returning * into v_bet;
+
+  insert into wallet_transactions (user_id, type, amount, bet_id, reference)
+  values (v_user_id, 'stake', -v_amount, v_bet.id, 'stake:bet:' || v_bet.id);
+
+  return v_bet;
+end;
+$$;
@@ -0,0 +1,35 @@
+-- The finishing order each race was settled against (see resettleRace). Amended
+-- official results are compared with it and bump the revision.
+create table if not exists race_settlements (
+  league_id bigint not null,
+  race_id bigint not null,
+  season_id bigint,
+  results jsonb not null,
+  revision integer not null default 1,
+  settled_at timestamptz not null default now(),
+  checked_at timestamptz not null default now(),
+  amended_at timestamptz,
+  primary key (league_id, race_id)
+);
+
+create index if not exists race_settlements_settled_idx on race_settlements (settled_at);
+
+-- One row per amendment, never updated
+create table if not exists race_result_amendments (
+  id bigint generated always as identity primary key,
+  league_id bigint not null,
+  race_id bigint not null,
+  revision integer not null,
+  previous_results jsonb not null,
+  results jsonb not null,
+  changes jsonb not null,
+  bets_amended integer not null default 0,
+  tickets_amended integer not null default 0,
+  created_at timestamptz not null default now(),
+  unique (league_id, race_id, revision)
+);
+
+-- Adjustments correct a settled payout and may be negative
+alter table wallet_transactions drop constraint if exists wallet_transactions_type_check;
+alter table wallet_transactions add constraint wallet_transactions_type_check
+  check (type in ('deposit', 'stake', 'payout', 'refund', 'adjustment'));
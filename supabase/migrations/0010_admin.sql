@@ -0,0 +1,45 @@
+-- Operator tooling (see admin.js). Every admin action is written here and never changed.
+create table if not exists admin_audit_log (
+  id bigint generated always as identity primary key,
+  admin_id uuid not null,
+  action text not null,
+  league_id bigint,
+  race_id bigint,
+  bet_id bigint,
+  reason text not null,
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_idx on admin_audit_log (created_at desc, id desc);
+create index if not exists admin_audit_log_race_idx on admin_audit_log (league_id, race_id);
+
+create or replace function reject_admin_audit_log_change() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'admin_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists admin_audit_log_append_only on admin_audit_log;
+create trigger admin_audit_log_append_only
+  before update or delete on admin_audit_log
+  for each row execute function reject_admin_audit_log_change();
+
+-- Finishing orders entered by an operator; settlement prefers them to iRacing's
+create table if not exists race_result_overrides (
+  league_id bigint not null,
+  race_id bigint not null,
+  results jsonb not null,
+  created_by uuid not null,
+  updated_at timestamptz not null default now(),
+  primary key (league_id, race_id)
+);
+
+-- Markets suspended by an operator stay suspended until released
+alter table race_markets add column if not exists held boolean not null default false;
+
+-- Operators can cancel pending bets
+alter table bets drop constraint if exists bets_status_check;
+alter table bets add constraint bets_status_check
+  check (status in ('pending', 'won', 'lost', 'void', 'cancelled'));
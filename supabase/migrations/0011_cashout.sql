@@ -0,0 +1,63 @@
+-- Cash-out offers for pending bets (see cashout.js). A quote can be accepted once,
+-- before it expires.
+create table if not exists cashout_quotes (
+  id bigint generated always as identity primary key,
+  bet_id bigint not null references bets (id),
+  user_id uuid not null,
+  amount numeric(12, 2) not null check (amount >= 0),
+  current_odds numeric(12, 2) not null,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cashout_quotes_bet_idx on cashout_quotes (bet_id);
+
+alter table bets drop constraint if exists bets_status_check;
+alter table bets add constraint bets_status_check
+  check (status in ('pending', 'won', 'lost', 'void', 'cancelled', 'cashed_out'));
+
+alter table wallet_transactions drop constraint if exists wallet_transactions_type_check;
+alter table wallet_transactions add constraint wallet_transactions_type_check
+  check (type in ('deposit', 'stake', 'payout', 'refund', 'adjustment', 'cashout'));
+
+-- Closes the bet at the quoted amount and credits it in one transaction. Takes the
+-- same wallet lock as place_bet.
+create or replace function accept_cashout(p_quote_id bigint, p_bet_id bigint, p_user_id uuid) returns bets
+language plpgsql as $$
+declare
+  v_quote cashout_quotes;
+  v_bet bets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || p_user_id::text));
+
+  select * into v_quote
+  from cashout_quotes
+  where id = p_quote_id and bet_id = p_bet_id and user_id = p_user_id
+  for update;
+
+  if not found then
+    raise exception 'CASHOUT_QUOTE_NOT_FOUND';
+  end if;
+
+  if v_quote.accepted_at is not null or v_quote.expires_at <= now() then
+    raise exception 'CASHOUT_QUOTE_EXPIRED';
+  end if;
+
+  update bets
+  set status = 'cashed_out', payout = v_quote.amount, settled_at = now()
+  where id = p_bet_id and user_id = p_user_id and status = 'pending'
+  returning * into v_bet;
+
+  if not found then
+    raise exception 'CASHOUT_UNAVAILABLE';
+  end if;
+
+  update cashout_quotes set accepted_at = now() where id = p_quote_id;
+
+  insert into wallet_transactions (user_id, type, amount, bet_id, reference)
+  values (p_user_id, 'cashout', v_quote.amount, p_bet_id, 'cashout:bet:' || p_bet_id);
+
+  return v_bet;
+end;
+$$;
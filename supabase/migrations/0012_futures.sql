@@ -0,0 +1,69 @@
+-- Season championship futures (see futures.js). Prices are stored on the market so
+-- bets are struck at the listed price.
+create table if not exists futures_markets (
+  id bigint generated always as identity primary key,
+  league_id bigint not null,
+  season_id bigint not null,
+  state text not null check (state in ('open', 'closed', 'settled')),
+  closes_at timestamptz,
+  races_completed integer not null default 0,
+  races_remaining integer not null default 0,
+  prices jsonb not null default '[]',
+  priced_at timestamptz,
+  champion_ids jsonb,
+  final_standings jsonb,
+  settled_at timestamptz,
+  unique (league_id, season_id)
+);
+
+create table if not exists futures_bets (
+  id bigint generated always as identity primary key,
+  user_id uuid not null,
+  league_id bigint not null,
+  season_id bigint not null,
+  driver_id bigint not null,
+  stake numeric(12, 2) not null check (stake > 0),
+  odds numeric(12, 2) not null,
+  status text not null default 'pending' check (status in ('pending', 'won', 'lost', 'void')),
+  payout numeric(12, 2),
+  created_at timestamptz not null default now(),
+  settled_at timestamptz
+);
+
+create index if not exists futures_bets_season_idx on futures_bets (league_id, season_id, status);
+create index if not exists futures_bets_user_idx on futures_bets (user_id, created_at desc);
+
+alter table wallet_transactions add column if not exists futures_bet_id bigint references futures_bets (id);
+
+-- Inserts a futures bet and its stake entry in one transaction (see place_bet)
+create or replace function place_futures_bet(p_bet jsonb) returns futures_bets
+language plpgsql as $$
+declare
+  v_user_id uuid := (p_bet ->> 'user_id')::uuid;
+  v_stake numeric := (p_bet ->> 'stake')::numeric;
+  v_bet futures_bets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || v_user_id::text));
+
+  if wallet_balance(v_user_id) < v_stake then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into futures_bets (user_id, league_id, season_id, driver_id, stake, odds, status)
+  values (
+    v_user_id,
+    (p_bet ->> 'league_id')::bigint,
+    (p_bet ->> 'season_id')::bigint,
+    (p_bet ->> 'driver_id')::bigint,
+    v_stake,
+    (p_bet ->> 'odds')::numeric,
+    'pending'
+  )
+  returning * into v_bet;
+
+  insert into wallet_transactions (user_id, type, amount, futures_bet_id, reference)
+  values (v_user_id, 'stake', -v_stake, v_bet.id, 'stake:futures:' || v_bet.id);
+
+  return v_bet;
+end;
+$$;
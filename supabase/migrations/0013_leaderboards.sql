@@ -0,0 +1,104 @@
+-- Public bettor profile: the name shown on leaderboards and the opt-out flag
+create table if not exists bettor_profiles (
+  user_id uuid primary key,
+  display_name text,
+  leaderboard_opt_out boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists bets_settled_at_idx on bets (settled_at) where status in ('won', 'lost', 'void', 'cashed_out');
+
+-- Leaderboard over settled single bets (see leaderboards.js). Cashed-out bets count
+-- towards profit and ROI; streaks only count wins and losses, so voids do not break
+-- them. With p_user_id it returns that user's row and ignores the opt-out.
+create or replace function bettor_leaderboard(
+  p_metric text default 'profit',
+  p_league_id bigint default null,
+  p_season_id bigint default null,
+  p_since timestamptz default null,
+  p_user_id uuid default null,
+  p_min_bets integer default 1,
+  p_limit integer default 20,
+  p_offset integer default 0
+) returns table (
+  user_id uuid,
+  display_name text,
+  bets bigint,
+  staked numeric,
+  returned numeric,
+  profit numeric,
+  roi numeric,
+  win_rate numeric,
+  longest_streak integer,
+  biggest_payout numeric,
+  total_count bigint
+)
+language sql stable as $$
+  with settled as (
+    select b.id, b.user_id, b.bet_amount, coalesce(b.payout, 0) as payout, b.status, b.settled_at
+    from bets b
+    where b.status in ('won', 'lost', 'void', 'cashed_out')
+      and (p_league_id is null or b.league_id = p_league_id)
+      and (p_season_id is null or b.season_id = p_season_id)
+      and (p_since is null or b.settled_at >= p_since)
+      and (
+        (p_user_id is not null and b.user_id = p_user_id)
+        or (p_user_id is null and not exists (
+          select 1 from bettor_profiles p where p.user_id = b.user_id and p.leaderboard_opt_out
+        ))
+      )
+  ),
+  -- Gaps and islands: consecutive wins share the same difference of row numbers
+  runs as (
+    select user_id, status,
+      row_number() over (partition by user_id order by settled_at, id)
+        - row_number() over (partition by user_id, status order by settled_at, id) as run
+    from settled
+    where status in ('won', 'lost')
+  ),
+  streaks as (
+    select user_id, max(length)::integer as longest_streak
+    from (select user_id, run, count(*) as length from runs where status = 'won' group by user_id, run) wins
+    group by user_id
+  ),
+  totals as (
+    select user_id,
+      count(*) as bets,
+      sum(bet_amount) as staked,
+      sum(payout) as returned,
+      sum(payout - bet_amount) as profit,
+      count(*) filter (where status = 'won') as won,
+      count(*) filter (where status = 'lost') as lost,
+      coalesce(max(payout) filter (where status = 'won'), 0) as biggest_payout
+    from settled
+    group by user_id
+    having count(*) >= p_min_bets
+  ),
+  ranked as (
+    select t.user_id,
+      p.display_name,
+      t.bets,
+      t.staked,
+      t.returned,
+      t.profit,
+      case when t.staked > 0 then round(t.profit / t.staked, 4) end as roi,
+      case when t.won + t.lost > 0 then round(t.won::numeric / (t.won + t.lost), 4) end as win_rate,
+      coalesce(s.longest_streak, 0) as longest_streak,
+      t.biggest_payout
+    from totals t
+    left join bettor_profiles p on p.user_id = t.user_id
+    left join streaks s on s.user_id = t.user_id
+  )
+  select r.*, count(*) over () as total_count
+  from ranked r
+  order by
+    case p_metric
+      when 'profit' then r.profit
+      when 'roi' then r.roi
+      when 'win_rate' then r.win_rate
+      when 'longest_streak' then r.longest_streak
+      when 'biggest_payout' then r.biggest_payout
+    end desc nulls last,
+    r.user_id
+  limit p_limit offset p_offset;
+$$;
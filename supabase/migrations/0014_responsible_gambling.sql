@@ -0,0 +1,38 @@
+-- Responsible gambling controls (see responsibleGambling.js). A pending amount replaces
+-- the limit once pending_effective_at has passed; a null amount means no limit.
+create table if not exists gambling_limits (
+  user_id uuid not null,
+  limit_type text not null check (limit_type in ('stake', 'loss')),
+  period text not null check (period in ('day', 'week', 'month')),
+  amount numeric(12, 2) check (amount > 0),
+  pending_amount numeric(12, 2) check (pending_amount > 0),
+  pending_effective_at timestamptz,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, limit_type, period)
+);
+
+-- Breaks and self-exclusions are only ever added, never shortened
+create table if not exists gambling_exclusions (
+  id bigint generated always as identity primary key,
+  user_id uuid not null,
+  kind text not null check (kind in ('break', 'self_exclusion')),
+  ends_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists gambling_exclusions_user_idx on gambling_exclusions (user_id, ends_at desc);
+
+create or replace function reject_gambling_exclusion_change() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'gambling_exclusions is append-only';
+end;
+$$;
+
+drop trigger if exists gambling_exclusions_append_only on gambling_exclusions;
+create trigger gambling_exclusions_append_only
+  before update or delete on gambling_exclusions
+  for each row execute function reject_gambling_exclusion_change();
+
+create index if not exists wallet_transactions_user_type_created_idx
+  on wallet_transactions (user_id, type, created_at);
@@ -0,0 +1,11 @@
+-- Supabase accounts linked to the iRacing driver they race as (see driverLinks.js).
+-- One driver per account and one account per driver; league_id is the roster the
+-- driver was confirmed on.
+create table if not exists driver_links (
+  user_id uuid primary key,
+  cust_id bigint not null unique,
+  display_name text,
+  league_id bigint not null,
+  verified_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
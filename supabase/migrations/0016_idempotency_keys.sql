@@ -0,0 +1,17 @@
+-- Idempotency-Key claims for bet placement (see idempotency.js). A request claims its key
+-- before it runs and stores its response once it has one; a retry with the same key and
+-- body gets that response back instead of placing a second bet.
+create table if not exists idempotency_keys (
+  id bigint generated always as identity primary key,
+  user_id uuid not null,
+  key text not null,
+  route text not null,
+  request_hash text not null,
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  unique (user_id, key)
+);
+
+create index if not exists idempotency_keys_created_idx on idempotency_keys (created_at);
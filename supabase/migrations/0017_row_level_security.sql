@@ -0,0 +1,57 @@
+-- The backend is the only client of these tables: it connects with the service role key,
+-- which bypasses row level security. Supabase grants anon and authenticated (the keys a
+-- browser holds) full access to new tables and functions by default, so without this
+-- anyone with the public key could post ledger entries, settle bets or call place_bet
+-- for another user. RLS is enabled with no policies and the grants are revoked, so those
+-- roles can neither read nor write.
+do $$
+declare
+  v_table text;
+begin
+  foreach v_table in array array[
+    'bets',
+    'wallet_transactions',
+    'league_subsessions',
+    'league_seasons',
+    'league_rosters',
+    'race_markets',
+    'bet_tickets',
+    'ticket_legs',
+    'race_settings',
+    'race_settlements',
+    'race_result_amendments',
+    'admin_audit_log',
+    'race_result_overrides',
+    'cashout_quotes',
+    'futures_markets',
+    'futures_bets',
+    'bettor_profiles',
+    'gambling_limits',
+    'gambling_exclusions',
+    'driver_links',
+    'idempotency_keys'
+  ] loop
+    execute format('alter table %I enable row level security', v_table);
+    execute format('revoke all on table %I from anon, authenticated', v_table);
+  end loop;
+end;
+$$;
+
+revoke execute on function wallet_balance(uuid) from public, anon, authenticated;
+revoke execute on function place_bet(jsonb) from public, anon, authenticated;
+revoke execute on function place_ticket(jsonb, jsonb) from public, anon, authenticated;
+revoke execute on function place_futures_bet(jsonb) from public, anon, authenticated;
+revoke execute on function accept_cashout(bigint, bigint, uuid) from public, anon, authenticated;
+revoke execute on function bettor_leaderboard(text, bigint, bigint, timestamptz, uuid, integer, integer, integer) from public, anon, authenticated;
+
+grant execute on function wallet_balance(uuid) to service_role;
+grant execute on function place_bet(jsonb) to service_role;
+grant execute on function place_ticket(jsonb, jsonb) to service_role;
+grant execute on function place_futures_bet(jsonb) to service_role;
+grant execute on function accept_cashout(bigint, bigint, uuid) to service_role;
+grant execute on function bettor_leaderboard(text, bigint, bigint, timestamptz, uuid, integer, integer, integer) to service_role;
+
+-- Tables and functions added by later migrations start out closed as well
+alter default privileges in schema public revoke all on tables from anon, authenticated;
+alter default privileges in schema public revoke execute on functions from public, anon, authenticated;
+alter default privileges in schema public grant execute on functions to service_role;
@@ -0,0 +1,170 @@
+-- Responsible gambling checks, made by place_bet, place_ticket and place_futures_bet once
+-- they hold the user's wallet lock. Checked outside the lock, two bets placed at once
+-- could both fit under a limit that only had room for one. A refusal raises its error
+-- code as the message, with what the client is told as JSON in the detail.
+create or replace function assert_can_stake(p_user_id uuid, p_amount numeric) returns void
+language plpgsql as $$
+declare
+  v_exclusion gambling_exclusions;
+  v_limit record;
+  v_used numeric;
+begin
+  select * into v_exclusion
+  from gambling_exclusions
+  where user_id = p_user_id and ends_at > now()
+  order by ends_at desc
+  limit 1;
+
+  if found then
+    raise exception using
+      message = case when v_exclusion.kind = 'self_exclusion' then 'SELF_EXCLUDED' else 'ON_BREAK' end,
+      detail = json_build_object('until', v_exclusion.ends_at)::text;
+  end if;
+
+  -- A pending change is the limit once its cooling-off delay has passed; null is no limit
+  for v_limit in
+    select
+      limit_type,
+      period,
+      case when pending_effective_at <= now() then pending_amount else amount end as amount
+    from gambling_limits
+    where user_id = p_user_id
+  loop
+    continue when v_limit.amount is null;
+
+    -- Staked, or net lost, over the rolling period. Loss limits assume this stake is lost.
+    select case
+        when v_limit.limit_type = 'stake' then coalesce(-sum(amount) filter (where type = 'stake'), 0)
+        else greatest(0, -coalesce(sum(amount), 0))
+      end
+    into v_used
+    from wallet_transactions
+    where user_id = p_user_id
+      and type in ('stake', 'payout', 'refund', 'adjustment', 'cashout')
+      and created_at >= now() - case v_limit.period
+        when 'day' then interval '1 day'
+        when 'week' then interval '7 days'
+        else interval '30 days'
+      end;
+
+    if v_used + p_amount > v_limit.amount then
+      raise exception using
+        message = case when v_limit.limit_type = 'stake' then 'STAKE_LIMIT_EXCEEDED' else 'LOSS_LIMIT_EXCEEDED' end,
+        detail = json_build_object(
+          'period', v_limit.period,
+          'limit', v_limit.amount,
+          'remaining', greatest(0, v_limit.amount - v_used)
+        )::text;
+    end if;
+  end loop;
+end;
+$$;
+
+revoke execute on function assert_can_stake(uuid, numeric) from public, anon, authenticated;
+
+create or replace function place_bet(p_bet jsonb) returns bets
+language plpgsql as $$
+declare
+  v_user_id uuid := (p_bet ->> 'user_id')::uuid;
+  v_amount numeric := (p_bet ->> 'bet_amount')::numeric;
+  v_bet bets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || v_user_id::text));
+  perform assert_can_stake(v_user_id, v_amount);
+
+  if wallet_balance(v_user_id) < v_amount then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into bets (user_id, league_id, season_id, race_id, selected_driver_id, bet_type, selection, betting_mode, bet_amount, odds, status)
+  values (
+    v_user_id,
+    (p_bet ->> 'league_id')::bigint,
+    (p_bet ->> 'season_id')::bigint,
+    (p_bet ->> 'race_id')::bigint,
+    (p_bet ->> 'selected_driver_id')::bigint,
+    coalesce(p_bet ->> 'bet_type', 'win'),
+    p_bet -> 'selection',
+    coalesce(p_bet ->> 'betting_mode', 'fixed'),
+    v_amount,
+    (p_bet ->> 'odds')::numeric,
+    'pending'
+  )
+  returning * into v_bet;
+
+  insert into wallet_transactions (user_id, type, amount, bet_id, reference)
+  values (v_user_id, 'stake', -v_amount, v_bet.id, 'stake:bet:' || v_bet.id);
+
+  return v_bet;
+end;
+$$;
+
+create or replace function place_ticket(p_ticket jsonb, p_legs jsonb) returns bet_tickets
+language plpgsql as $$
+declare
+  v_user_id uuid := (p_ticket ->> 'user_id')::uuid;
+  v_stake numeric := (p_ticket ->> 'stake')::numeric;
+  v_ticket bet_tickets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || v_user_id::text));
+  perform assert_can_stake(v_user_id, v_stake);
+
+  if wallet_balance(v_user_id) < v_stake then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into bet_tickets (user_id, stake, combined_odds)
+  values (v_user_id, v_stake, (p_ticket ->> 'combined_odds')::numeric)
+  returning * into v_ticket;
+
+  insert into ticket_legs (ticket_id, league_id, season_id, race_id, bet_type, selected_driver_id, selection, odds)
+  select
+    v_ticket.id,
+    (leg ->> 'league_id')::bigint,
+    (leg ->> 'season_id')::bigint,
+    (leg ->> 'race_id')::bigint,
+    coalesce(leg ->> 'bet_type', 'win'),
+    (leg ->> 'selected_driver_id')::bigint,
+    leg -> 'selection',
+    (leg ->> 'odds')::numeric
+  from jsonb_array_elements(p_legs) as leg;
+
+  insert into wallet_transactions (user_id, type, amount, ticket_id, reference)
+  values (v_user_id, 'stake', -v_stake, v_ticket.id, 'stake:ticket:' || v_ticket.id);
+
+  return v_ticket;
+end;
+$$;
+
+create or replace function place_futures_bet(p_bet jsonb) returns futures_bets
+language plpgsql as $$
+declare
+  v_user_id uuid := (p_bet ->> 'user_id')::uuid;
+  v_stake numeric := (p_bet ->> 'stake')::numeric;
+  v_bet futures_bets;
+begin
+  perform pg_advisory_xact_lock(hashtext('wallet:' || v_user_id::text));
+  perform assert_can_stake(v_user_id, v_stake);
+
+  if wallet_balance(v_user_id) < v_stake then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into futures_bets (user_id, league_id, season_id, driver_id, stake, odds, status)
+  values (
+    v_user_id,
+    (p_bet ->> 'league_id')::bigint,
+    (p_bet ->> 'season_id')::bigint,
+    (p_bet ->> 'driver_id')::bigint,
+    v_stake,
+    (p_bet ->> 'odds')::numeric,
+    'pending'
+  )
+  returning * into v_bet;
+
+  insert into wallet_transactions (user_id, type, amount, futures_bet_id, reference)
+  values (v_user_id, 'stake', -v_stake, v_bet.id, 'stake:futures:' || v_bet.id);
+
+  return v_bet;
+end;
+$$;
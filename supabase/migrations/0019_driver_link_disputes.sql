@@ -0,0 +1,23 @@
+-- Claims on a driver who is already linked to another account (see driverLinks.js). An
+-- operator upholds a dispute, moving the link to the claimant, or rejects it.
+create table if not exists driver_link_disputes (
+  id bigint generated always as identity primary key,
+  cust_id bigint not null,
+  display_name text,
+  league_id bigint not null,
+  claimant_id uuid not null,
+  holder_id uuid not null,
+  status text not null default 'open' check (status in ('open', 'upheld', 'rejected')),
+  resolved_by uuid,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- One open dispute per claimant and driver
+create unique index if not exists driver_link_disputes_open_idx
+  on driver_link_disputes (cust_id, claimant_id) where status = 'open';
+
+create index if not exists driver_link_disputes_status_idx on driver_link_disputes (status, created_at);
+
+alter table driver_link_disputes enable row level security;
+revoke all on table driver_link_disputes from anon, authenticated;
@@ -0,0 +1,28 @@
+-- Admin actions are logged before they run and closed once they have, so an action that
+-- fails partway, or whose process dies, still leaves an entry (as started). Entries
+-- written before this migration recorded finished actions, so they count as completed.
+alter table admin_audit_log
+  add column if not exists status text not null default 'completed'
+    check (status in ('started', 'completed', 'failed')),
+  add column if not exists completed_at timestamptz;
+
+alter table admin_audit_log alter column status set default 'started';
+
+-- The log stays append-only, apart from closing a started entry once: its status moves to
+-- completed or failed and its details take the action's outcome. Who acted, on what and
+-- why never change, and entries are never deleted.
+create or replace function reject_admin_audit_log_change() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'UPDATE'
+    and old.status = 'started'
+    and new.status in ('completed', 'failed')
+    and (new.id, new.admin_id, new.action, new.league_id, new.race_id, new.bet_id, new.reason, new.created_at)
+      is not distinct from (old.id, old.admin_id, old.action, old.league_id, old.race_id, old.bet_id, old.reason, old.created_at)
+  then
+    return new;
+  end if;
+
+  raise exception 'admin_audit_log is append-only';
+end;
+$$;
@@ -0,0 +1,36 @@
+-- Settles, voids or cancels a bet and posts its ledger entry in one transaction. The bet
+-- only moves when it is still in p_from_status, and the entry is only posted when it
+-- moves, so a cancel racing settlement (or a void racing either) pays one of them and
+-- never both. Returns no row when something else moved the bet first.
+--
+-- p_credit is null or {"type", "amount", "reference"}; a reference already in the
+-- ledger is left alone, as in wallets.recordTransaction.
+create or replace function close_bet(
+  p_bet_id bigint,
+  p_from_status text,
+  p_status text,
+  p_payout numeric,
+  p_credit jsonb
+) returns setof bets
+language plpgsql as $$
+declare
+  v_bet bets;
+begin
+  update bets
+  set status = p_status, payout = p_payout, settled_at = coalesce(settled_at, now())
+  where id = p_bet_id and status = p_from_status
+  returning * into v_bet;
+
+  if not found then
+    return;
+  end if;
+
+  if p_credit is not null then
+    insert into wallet_transactions (user_id, type, amount, bet_id, reference)
+    values (v_bet.user_id, p_credit->>'type', (p_credit->>'amount')::numeric, v_bet.id, p_credit->>'reference')
+    on conflict (reference) do nothing;
+  end if;
+
+  return next v_bet;
+end;
+$$;
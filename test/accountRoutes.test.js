@@ -0,0 +1,151 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BETTOR_ID, FINISHED_RACE_ID, LEAGUE_ID, OPEN_RACE_ID, RIVAL_ID, SEASON_ID, quote, startTestApp } from './helpers/testApp.js';
+
+const TOKEN = 'bettor-token';
+
+async function winBet(app, { driverId = 100001, betAmount = 10 } = {}) {
+  const odds = await quote(app, OPEN_RACE_ID, { driverId: String(driverId) });
+  return app.post('/api/place-bet', { leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: driverId, betAmount, odds }, { token: TOKEN });
+}
+
+describe('account routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp();
+  });
+
+  afterEach(() => app.close());
+
+  it('every /api/me route needs a signed-in user', async () => {
+    const paths = ['/api/me/bets', '/api/me/futures', '/api/me/parlays', '/api/me/stats', '/api/me/driver', '/api/me/limits', '/api/me/wallet/balance', '/api/me/wallet/transactions'];
+
+    for (const path of paths) {
+      assert.equal((await app.get(path)).status, 401, path);
+    }
+  });
+
+  describe('wallet', () => {
+    it('GET /api/me/wallet/balance', async () => {
+      const { body } = await app.get('/api/me/wallet/balance', { token: TOKEN });
+
+      assert.deepEqual(body, { userId: BETTOR_ID, balance: 1000 });
+    });
+
+    it('GET /api/me/wallet/transactions pages the ledger newest first', async () => {
+      await winBet(app);
+
+      const { body } = await app.get('/api/me/wallet/transactions?pageSize=1', { token: TOKEN });
+
+      assert.equal(body.total, 2);
+      assert.equal(body.transactions.length, 1);
+      assert.equal(Number(body.transactions[0].amount), -10);
+    });
+  });
+
+  describe('driver link', () => {
+    it('links a rostered driver once', async () => {
+      assert.deepEqual((await app.get('/api/me/driver', { token: TOKEN })).body, { driver: null });
+
+      const claimed = await app.post('/api/me/driver', { custId: 100003, leagueId: LEAGUE_ID }, { token: TOKEN });
+      assert.equal(claimed.status, 200);
+      assert.equal((await app.get('/api/me/driver', { token: TOKEN })).body.driver.cust_id, 100003);
+
+      const taken = await app.post('/api/me/driver', { custId: 100003, leagueId: LEAGUE_ID }, { token: 'rival-token' });
+      assert.equal(taken.status, 409);
+      assert.equal(taken.body.code, 'DRIVER_ALREADY_CLAIMED');
+      assert.equal((await app.get('/api/me/driver', { token: TOKEN })).body.driver.cust_id, 100003);
+    });
+
+    it('opens one dispute per claimant when the driver is linked to someone else', async () => {
+      await app.post('/api/me/driver', { custId: 100003, leagueId: LEAGUE_ID }, { token: TOKEN });
+
+      const first = await app.post('/api/me/driver', { custId: 100003, leagueId: LEAGUE_ID }, { token: 'rival-token' });
+      const again = await app.post('/api/me/driver', { custId: 100003, leagueId: LEAGUE_ID }, { token: 'rival-token' });
+
+      assert.ok(first.body.disputeId);
+      assert.equal(again.body.disputeId, first.body.disputeId);
+      assert.deepEqual(app.supabase.table('driver_link_disputes').map(dispute => [dispute.claimant_id, dispute.holder_id, dispute.status]), [
+        [RIVAL_ID, BETTOR_ID, 'open']
+      ]);
+    });
+
+    it('refuses drivers who are not on the roster', async () => {
+      const { status } = await app.post('/api/me/driver', { custId: 100099, leagueId: LEAGUE_ID }, { token: TOKEN });
+
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('responsible gambling', () => {
+    it('applies a stake limit to the next bet', async () => {
+      const set = await app.post('/api/me/limits', { type: 'stake', period: 'day', amount: 15 }, { token: TOKEN });
+      assert.equal(set.status, 200);
+      assert.equal(set.body.limit.amount, 15);
+
+      assert.equal((await winBet(app, { betAmount: 10 })).status, 200);
+      const refused = await winBet(app, { betAmount: 10 });
+      assert.equal(refused.status, 403);
+      assert.equal(refused.body.code, 'STAKE_LIMIT_EXCEEDED');
+      assert.equal(refused.body.remaining, 5);
+
+      const { body } = await app.get('/api/me/limits', { token: TOKEN });
+      assert.equal(body.limits.length, 1);
+      assert.equal(body.exclusion, null);
+    });
+
+    it('delays raising a limit', async () => {
+      await app.post('/api/me/limits', { type: 'loss', period: 'week', amount: 50 }, { token: TOKEN });
+      const { body } = await app.post('/api/me/limits', { type: 'loss', period: 'week', amount: 500 }, { token: TOKEN });
+
+      assert.equal(body.limit.amount, 50);
+      assert.equal(body.limit.pendingAmount, 500);
+    });
+
+    it('refuses invalid limits', async () => {
+      assert.equal((await app.post('/api/me/limits', { type: 'stake', period: 'year', amount: 10 }, { token: TOKEN })).status, 400);
+    });
+
+    it('blocks betting during a break', async () => {
+      const started = await app.post('/api/me/exclusion', { kind: 'break', days: 7 }, { token: TOKEN });
+      assert.equal(started.status, 200);
+
+      const refused = await winBet(app);
+      assert.equal(refused.status, 403);
+      assert.equal(refused.body.code, 'ON_BREAK');
+      assert.equal((await app.post('/api/me/exclusion', { kind: 'break', days: 0 }, { token: TOKEN })).status, 400);
+    });
+  });
+
+  describe('statistics', () => {
+    beforeEach(() => {
+      app.supabase.insertRows('bets', [
+        { user_id: BETTOR_ID, league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: FINISHED_RACE_ID, selected_driver_id: 100001, bet_amount: 10, odds: 3, status: 'won', payout: 30, settled_at: new Date().toISOString() },
+        { user_id: RIVAL_ID, league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: FINISHED_RACE_ID, selected_driver_id: 100002, bet_amount: 10, odds: 4, status: 'lost', payout: 0, settled_at: new Date().toISOString() }
+      ]);
+    });
+
+    it('GET /api/me/stats', async () => {
+      const { body } = await app.get('/api/me/stats', { token: TOKEN });
+
+      assert.equal(body.userId, BETTOR_ID);
+      assert.equal(body.stats.profit, 20);
+    });
+
+    it('GET /api/leaderboards/:metric ranks bettors and respects opt-outs', async () => {
+      const before = await app.get('/api/leaderboards/profit');
+      assert.deepEqual(before.body.entries.map(entry => entry.userId), [BETTOR_ID, RIVAL_ID]);
+
+      const opted = await app.post('/api/me/leaderboard-preferences', { optOut: true }, { token: TOKEN });
+      assert.equal(opted.status, 200);
+
+      const after = await app.get('/api/leaderboards/profit');
+      assert.deepEqual(after.body.entries.map(entry => entry.userId), [RIVAL_ID]);
+    });
+
+    it('refuses invalid preferences', async () => {
+      assert.equal((await app.post('/api/me/leaderboard-preferences', { optOut: 'maybe' }, { token: TOKEN })).status, 400);
+    });
+  });
+});
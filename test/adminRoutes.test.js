@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { settleRace } from '../betSettlement.js';
+import { ADMIN_ID, BETTOR_ID, FINISHED_RACE_ID, LEAGUE_ID, OPEN_RACE_ID, RIVAL_ID, SEASON_ID, quote, startTestApp } from './helpers/testApp.js';
+
+const ADMIN = { token: 'admin-token' };
+const REASON = 'Steward decision';
+
+function adminPath(raceId, action) {
+  return `/api/admin/leagues/${LEAGUE_ID}/race/${raceId}/${action}`;
+}
+
+describe('admin routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp();
+  });
+
+  afterEach(() => app.close());
+
+  it('needs the admin role', async () => {
+    assert.equal((await app.get('/api/admin/audit-log')).status, 401);
+    assert.equal((await app.get('/api/admin/audit-log', { token: 'bettor-token' })).status, 403);
+  });
+
+  it('needs a reason for every action', async () => {
+    const { status } = await app.post(adminPath(OPEN_RACE_ID, 'void'), { reason: '  ' }, ADMIN);
+
+    assert.equal(status, 400);
+  });
+
+  it('voids a race, refunds its bets and records the action', async () => {
+    const odds = await quote(app, OPEN_RACE_ID, { driverId: '100002' });
+    await app.post('/api/place-bet', { leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: 100002, betAmount: 50, odds }, { token: 'bettor-token' });
+
+    const { status, body } = await app.post(adminPath(OPEN_RACE_ID, 'void'), { reason: REASON }, ADMIN);
+
+    assert.equal(status, 200);
+    assert.equal(body.voidedBetCount, 1);
+    assert.equal(app.supabase.balance(BETTOR_ID), 1000);
+
+    const log = await app.get('/api/admin/audit-log', ADMIN);
+    assert.equal(log.body.entries.length, 1);
+    assert.equal(log.body.entries[0].admin_id, ADMIN_ID);
+    assert.equal(log.body.entries[0].reason, REASON);
+    assert.equal(log.body.entries[0].status, 'completed');
+    assert.equal(log.body.entries[0].details.voidedBets, 1);
+  });
+
+  it('keeps the entry of an action that fails, marked failed', async () => {
+    const { status } = await app.post(adminPath(OPEN_RACE_ID, 'market/resume'), { reason: REASON }, ADMIN);
+
+    assert.equal(status, 409);
+    const [entry] = app.supabase.table('admin_audit_log');
+    assert.equal(entry.action, 'resume_market');
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.details.error, 'INVALID_MARKET_TRANSITION');
+  });
+
+  it('suspends and resumes a market', async () => {
+    const suspended = await app.post(adminPath(OPEN_RACE_ID, 'market/suspend'), { reason: REASON }, ADMIN);
+    assert.equal(suspended.status, 200);
+    assert.equal(suspended.body.market.state, 'suspended');
+
+    const refused = await app.post('/api/place-bet', {
+      leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: 100001, betAmount: 10, odds: 2
+    }, { token: 'bettor-token' });
+    assert.equal(refused.status, 409);
+
+    const resumed = await app.post(adminPath(OPEN_RACE_ID, 'market/resume'), { reason: REASON }, ADMIN);
+    assert.equal(resumed.status, 200);
+    assert.equal((await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/market?seasonId=${SEASON_ID}`)).body.state, 'open');
+  });
+
+  it('switches a race to pool betting', async () => {
+    const { status, body } = await app.post(adminPath(OPEN_RACE_ID, 'settings'), { reason: REASON, bettingMode: 'pool', rake: 0.08 }, ADMIN);
+
+    assert.equal(status, 200);
+    assert.equal(body.settings.betting_mode, 'pool');
+    assert.equal((await app.post(adminPath(OPEN_RACE_ID, 'settings'), { reason: REASON, bettingMode: 'fixed', rake: 2 }, ADMIN)).status, 400);
+    assert.equal((await app.post(adminPath(OPEN_RACE_ID, 'settings'), { reason: REASON, bettingMode: 'exchange' }, ADMIN)).status, 400);
+  });
+
+  it('cancels a pending bet once', async () => {
+    const odds = await quote(app, OPEN_RACE_ID, { driverId: '100001' });
+    const { body: placed } = await app.post('/api/place-bet', {
+      leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: 100001, betAmount: 30, odds
+    }, { token: 'bettor-token' });
+
+    const cancelled = await app.post(`/api/admin/bets/${placed.bet.id}/cancel`, { reason: REASON }, ADMIN);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.bet.status, 'cancelled');
+    assert.equal(app.supabase.balance(BETTOR_ID), 1000);
+
+    app.supabase.table('bets')[0].status = 'won';
+    assert.equal((await app.post(`/api/admin/bets/${placed.bet.id}/cancel`, { reason: REASON }, ADMIN)).status, 409);
+  });
+
+  it('settles and re-settles a race against an operator finishing order', async () => {
+    app.supabase.insertRows('bets', [{
+      user_id: BETTOR_ID, league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: FINISHED_RACE_ID, selected_driver_id: 100002, selection: { driverId: 100002 }, bet_amount: 10, odds: 4
+    }]);
+    await settleRace(app.supabase, LEAGUE_ID, FINISHED_RACE_ID, await app.iracing.getRaceDetails(LEAGUE_ID, null, FINISHED_RACE_ID));
+    assert.equal(app.supabase.table('bets')[0].status, 'lost');
+
+    const results = [
+      { custId: 100002, position: 1 },
+      { custId: 100001, position: 2 },
+      { custId: 100003, position: 3 },
+      { custId: 100004, position: 4 },
+      { custId: 100005, position: 5 }
+    ];
+    const { status, body } = await app.post(adminPath(FINISHED_RACE_ID, 'results'), { reason: REASON, results }, ADMIN);
+
+    assert.equal(status, 200);
+    assert.equal(body.amendment.revision, 2);
+    assert.equal(app.supabase.table('bets')[0].status, 'won');
+    assert.equal(app.supabase.balance(BETTOR_ID), 1040);
+
+    const amendments = await app.get(`/api/leagues/${LEAGUE_ID}/race/${FINISHED_RACE_ID}/amendments`);
+    assert.equal(amendments.body.amendments.length, 1);
+  });
+
+  it('resolves driver disputes, moving the link when one is upheld', async () => {
+    await app.post('/api/me/driver', { custId: 100003, leagueId: LEAGUE_ID }, { token: 'bettor-token' });
+    const { body: claim } = await app.post('/api/me/driver', { custId: 100003, leagueId: LEAGUE_ID }, { token: 'rival-token' });
+
+    const { body: listed } = await app.get('/api/admin/driver-disputes', ADMIN);
+    assert.deepEqual(listed.disputes.map(dispute => dispute.id), [claim.disputeId]);
+
+    const path = `/api/admin/driver-disputes/${claim.disputeId}/resolve`;
+    const { status, body } = await app.post(path, { outcome: 'upheld', reason: 'Confirmed with the league' }, ADMIN);
+
+    assert.equal(status, 200);
+    assert.equal(body.dispute.status, 'upheld');
+    assert.equal((await app.get('/api/me/driver', { token: 'rival-token' })).body.driver.cust_id, 100003);
+    assert.equal((await app.get('/api/me/driver', { token: 'bettor-token' })).body.driver, null);
+    assert.equal(app.supabase.table('admin_audit_log')[0].details.claimantId, RIVAL_ID);
+
+    assert.equal((await app.post(path, { outcome: 'rejected', reason: 'Twice' }, ADMIN)).status, 409);
+    assert.equal((await app.get('/api/admin/driver-disputes', ADMIN)).body.disputes.length, 0);
+  });
+
+  it('refuses malformed finishing orders', async () => {
+    const results = [{ custId: 100001, position: 1 }, { custId: 100001, position: 2 }];
+
+    assert.equal((await app.post(adminPath(FINISHED_RACE_ID, 'results'), { reason: REASON, results }, ADMIN)).status, 400);
+  });
+
+  it('refuses finishing orders with two drivers in one position', async () => {
+    const results = [{ custId: 100001, position: 1 }, { custId: 100002, position: 1 }];
+
+    const { status, body } = await app.post(adminPath(FINISHED_RACE_ID, 'results'), { reason: REASON, results }, ADMIN);
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_RESULTS');
+    assert.equal(body.message, 'Position 1 is given more than once');
+  });
+});
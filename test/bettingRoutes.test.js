@@ -0,0 +1,263 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BETTOR_ID, FINISHED_RACE_ID, LEAGUE_ID, OPEN_RACE_ID, SCHEDULED_RACE_ID, SEASON_ID, quote, startTestApp } from './helpers/testApp.js';
+
+// Open both upcoming rounds, so parlays have two races to combine
+process.env.MARKET_OPEN_LEAD_MS = String(60 * 24 * 60 * 60 * 1000);
+
+const TOKEN = 'bettor-token';
+
+async function winBet(app, { raceId = OPEN_RACE_ID, driverId = 100001, betAmount = 10, token = TOKEN } = {}) {
+  const odds = await quote(app, raceId, { driverId: String(driverId) });
+  return app.post('/api/place-bet', { leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId, selectedDriverId: driverId, betAmount, odds }, { token });
+}
+
+describe('betting routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp();
+  });
+
+  afterEach(() => app.close());
+
+  describe('POST /api/place-bet', () => {
+    it('places a bet at the server price and debits the stake', async () => {
+      const { status, body } = await winBet(app, { betAmount: 25 });
+
+      assert.equal(status, 200);
+      assert.equal(body.bet.user_id, BETTOR_ID);
+      assert.equal(body.bet.status, 'pending');
+      assert.equal(app.supabase.balance(BETTOR_ID), 975);
+    });
+
+    it('places head-to-head bets', async () => {
+      const odds = await quote(app, OPEN_RACE_ID, { betType: 'head_to_head', driverId: '100002', opponentId: '100003' });
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: LEAGUE_ID,
+        seasonId: SEASON_ID,
+        raceId: OPEN_RACE_ID,
+        betType: 'head_to_head',
+        selectedDriverId: 100002,
+        opponentId: 100003,
+        betAmount: 10,
+        odds
+      }, { token: TOKEN });
+
+      assert.equal(status, 200);
+      assert.deepEqual([body.bet.selection.driverId, body.bet.selection.opponentId], [100002, 100003]);
+    });
+
+    it('needs a signed-in user', async () => {
+      const { status } = await app.post('/api/place-bet', { leagueId: LEAGUE_ID });
+
+      assert.equal(status, 401);
+      assert.equal((await app.post('/api/place-bet', {}, { token: 'expired-token' })).status, 401);
+    });
+
+    it('refuses bets for another user', async () => {
+      const { status } = await app.post('/api/place-bet', { userId: 'someone-else' }, { token: TOKEN });
+
+      assert.equal(status, 403);
+    });
+
+    it('refuses incomplete and invalid bets', async () => {
+      const base = { leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: 100001, betAmount: 10, odds: 2 };
+
+      assert.equal((await app.post('/api/place-bet', { ...base, raceId: undefined }, { token: TOKEN })).status, 400);
+      assert.equal((await app.post('/api/place-bet', { ...base, odds: undefined }, { token: TOKEN })).status, 400);
+      assert.equal((await app.post('/api/place-bet', { ...base, betAmount: -5 }, { token: TOKEN })).status, 400);
+      assert.equal((await app.post('/api/place-bet', { ...base, leagueId: 1 }, { token: TOKEN })).status, 400);
+      assert.equal((await app.post('/api/place-bet', { ...base, betType: 'head_to_head' }, { token: TOKEN })).status, 400);
+    });
+
+    it('answers 409 with the current odds when the price moved', async () => {
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: 100001, betAmount: 10, odds: 50
+      }, { token: TOKEN });
+
+      assert.equal(status, 409);
+      assert.equal(body.currentOdds, await quote(app, OPEN_RACE_ID, { driverId: '100001' }));
+    });
+
+    it('refuses selections that cannot lose instead of pricing them at the floor', async () => {
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: LEAGUE_ID,
+        seasonId: SEASON_ID,
+        raceId: OPEN_RACE_ID,
+        betType: 'top_10',
+        selectedDriverId: 100001,
+        betAmount: 100,
+        odds: 1.01
+      }, { token: TOKEN });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'SELECTION_NOT_OFFERED');
+      assert.equal(app.supabase.balance(BETTOR_ID), 1000);
+    });
+
+    it('refuses bets on races that are no longer open', async () => {
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: FINISHED_RACE_ID, selectedDriverId: 100001, betAmount: 10, odds: 2
+      }, { token: TOKEN });
+
+      assert.equal(status, 409);
+      assert.equal(body.marketState, 'closed');
+    });
+
+    it('refuses stakes above the balance', async () => {
+      const { status } = await winBet(app, { betAmount: 5000 });
+
+      assert.equal(status, 400);
+      assert.equal(app.supabase.balance(BETTOR_ID), 1000);
+    });
+
+    it('refuses bets against the driver the user is linked to', async () => {
+      app.supabase.insertRows('driver_links', [{ user_id: BETTOR_ID, cust_id: 100002, display_name: 'Sam Whitfield', league_id: LEAGUE_ID }]);
+
+      const odds = await quote(app, OPEN_RACE_ID, { betType: 'head_to_head', driverId: '100001', opponentId: '100002' });
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: LEAGUE_ID,
+        seasonId: SEASON_ID,
+        raceId: OPEN_RACE_ID,
+        betType: 'head_to_head',
+        selectedDriverId: 100001,
+        opponentId: 100002,
+        betAmount: 10,
+        odds
+      }, { token: TOKEN });
+
+      assert.equal(status, 403);
+      assert.equal(body.code, 'SELF_BETTING_NOT_ALLOWED');
+
+      const onRival = await winBet(app, { driverId: 100001 });
+      assert.equal(onRival.status, 403);
+      assert.equal(onRival.body.code, 'SELF_BETTING_NOT_ALLOWED');
+      assert.equal(app.supabase.balance(BETTOR_ID), 1000);
+
+      assert.equal((await winBet(app, { driverId: 100002 })).status, 200);
+    });
+
+    it('takes pool bets without odds', async () => {
+      app.supabase.insertRows('race_settings', [{ league_id: LEAGUE_ID, race_id: OPEN_RACE_ID, betting_mode: 'pool' }]);
+
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: 100003, betAmount: 40
+      }, { token: TOKEN });
+
+      assert.equal(status, 200);
+      assert.equal(body.bet.odds, null);
+      assert.equal((await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/pool`)).body.poolTotal, 40);
+    });
+  });
+
+  describe('POST /api/place-parlay', () => {
+    async function leg(raceId, driverId) {
+      return { leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId, selectedDriverId: driverId, odds: await quote(app, raceId, { driverId: String(driverId) }) };
+    }
+
+    it('places a ticket across two races', async () => {
+      const legs = [await leg(OPEN_RACE_ID, 100001), await leg(SCHEDULED_RACE_ID, 100002)];
+      const { status, body } = await app.post('/api/place-parlay', { stake: 10, legs }, { token: TOKEN });
+
+      assert.equal(status, 200);
+      assert.equal(body.ticket.combined_odds, Math.round(legs[0].odds * legs[1].odds * 100) / 100);
+      assert.equal(app.supabase.balance(BETTOR_ID), 990);
+
+      const tickets = await app.get('/api/me/parlays', { token: TOKEN });
+      assert.equal(tickets.body.length, 1);
+      assert.equal(tickets.body[0].ticket_legs.length, 2);
+    });
+
+    it('refuses two legs on the same race', async () => {
+      const legs = [await leg(OPEN_RACE_ID, 100001), await leg(OPEN_RACE_ID, 100002)];
+
+      assert.equal((await app.post('/api/place-parlay', { stake: 10, legs }, { token: TOKEN })).status, 400);
+    });
+
+    it('needs a positive stake', async () => {
+      assert.equal((await app.post('/api/place-parlay', { stake: 0, legs: [] }, { token: TOKEN })).status, 400);
+    });
+  });
+
+  describe('POST /api/place-futures-bet', () => {
+    it('backs a driver for the championship', async () => {
+      const market = (await app.get(`/api/leagues/${LEAGUE_ID}/seasons/${SEASON_ID}/futures`)).body;
+      const { odds } = market.prices.find(price => price.custId === 100003);
+
+      const { status, body } = await app.post('/api/place-futures-bet', {
+        leagueId: LEAGUE_ID, seasonId: SEASON_ID, driverId: 100003, stake: 20, odds
+      }, { token: TOKEN });
+
+      assert.equal(status, 200);
+      assert.equal(body.bet.driver_id, 100003);
+      assert.equal((await app.get('/api/me/futures', { token: TOKEN })).body.length, 1);
+    });
+
+    it('refuses drivers that are not priced', async () => {
+      const { status } = await app.post('/api/place-futures-bet', {
+        leagueId: LEAGUE_ID, seasonId: SEASON_ID, driverId: 100099, stake: 20, odds: 3
+      }, { token: TOKEN });
+
+      assert.equal(status, 400);
+    });
+
+    it('needs every field', async () => {
+      assert.equal((await app.post('/api/place-futures-bet', { leagueId: LEAGUE_ID }, { token: TOKEN })).status, 400);
+    });
+  });
+
+  describe('GET /api/me/bets', () => {
+    it('lists only the user’s own bets', async () => {
+      await winBet(app);
+      await winBet(app, { token: 'rival-token', driverId: 100002 });
+
+      const { body } = await app.get('/api/me/bets', { token: TOKEN });
+
+      assert.equal(body.length, 1);
+      assert.equal(body[0].user_id, BETTOR_ID);
+      assert.equal((await app.get(`/api/me/bets?leagueId=1`, { token: TOKEN })).body.length, 0);
+    });
+  });
+
+  describe('cash-out', () => {
+    it('quotes and accepts a cash-out', async () => {
+      const { body: placed } = await winBet(app, { betAmount: 100 });
+      const path = `/api/me/bets/${placed.bet.id}/cash-out`;
+
+      const offer = await app.get(path, { token: TOKEN });
+      assert.equal(offer.status, 200);
+      assert.ok(offer.body.amount > 0);
+
+      const accepted = await app.post(path, { quoteId: offer.body.quoteId }, { token: TOKEN });
+      assert.equal(accepted.status, 200);
+      assert.equal(accepted.body.bet.status, 'cashed_out');
+      assert.equal(app.supabase.balance(BETTOR_ID), 900 + offer.body.amount);
+
+      assert.equal((await app.post(path, { quoteId: offer.body.quoteId }, { token: TOKEN })).status, 409);
+    });
+
+    it('hands back the live offer rather than storing a new one on every request', async () => {
+      const { body: placed } = await winBet(app);
+      const path = `/api/me/bets/${placed.bet.id}/cash-out`;
+
+      const first = await app.get(path, { token: TOKEN });
+      const second = await app.get(path, { token: TOKEN });
+
+      assert.equal(second.status, 200);
+      assert.equal(second.body.quoteId, first.body.quoteId);
+      assert.equal(second.body.amount, first.body.amount);
+      assert.equal(app.supabase.table('cashout_quotes').filter(row => row.bet_id === placed.bet.id).length, 1);
+    });
+
+    it('needs a quote to accept', async () => {
+      assert.equal((await app.post('/api/me/bets/1/cash-out', {}, { token: TOKEN })).status, 400);
+    });
+
+    it('does not show other users’ bets', async () => {
+      const { body: placed } = await winBet(app);
+
+      assert.equal((await app.get(`/api/me/bets/${placed.bet.id}/cash-out`, { token: 'rival-token' })).status, 404);
+    });
+  });
+});
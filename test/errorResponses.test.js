@@ -0,0 +1,140 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BETTOR_ID, FINISHED_RACE_ID, LEAGUE_ID, OPEN_RACE_ID, SEASON_ID, quote, startTestApp } from './helpers/testApp.js';
+
+const TOKEN = 'bettor-token';
+
+function assertErrorShape(body, code) {
+  assert.deepEqual(Object.keys(body).slice(0, 3), ['code', 'message', 'fields']);
+  assert.equal(body.code, code);
+  assert.equal(typeof body.message, 'string');
+}
+
+describe('error responses', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp();
+  });
+
+  afterEach(() => app.close());
+
+  describe('request validation', () => {
+    it('lists every invalid bet field', async () => {
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: 'next', selectedDriverId: 100001, betAmount: -10, odds: 'evens'
+      }, { token: TOKEN });
+
+      assert.equal(status, 400);
+      assertErrorShape(body, 'VALIDATION_FAILED');
+      assert.deepEqual(body.fields, {
+        raceId: 'must be a whole number',
+        betAmount: 'must be greater than 0',
+        odds: 'must be a number'
+      });
+      assert.equal(app.supabase.balance(BETTOR_ID), 1000);
+    });
+
+    it('accepts numbers sent as strings', async () => {
+      const odds = await quote(app, OPEN_RACE_ID, { driverId: '100001' });
+
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: String(LEAGUE_ID), seasonId: String(SEASON_ID), raceId: String(OPEN_RACE_ID), selectedDriverId: '100001', betAmount: '25', odds: String(odds)
+      }, { token: TOKEN });
+
+      assert.equal(status, 200);
+      assert.equal(body.bet.race_id, OPEN_RACE_ID);
+      assert.equal(app.supabase.balance(BETTOR_ID), 975);
+    });
+
+    it('refuses races that are not sessions of the season', async () => {
+      const { status, body } = await app.post('/api/place-bet', {
+        leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: 123, selectedDriverId: 100001, betAmount: 10, odds: 2
+      }, { token: TOKEN });
+
+      assert.equal(status, 404);
+      assertErrorShape(body, 'RACE_NOT_FOUND');
+    });
+
+    it('refuses races whose stored market belongs to another season', async () => {
+      app.supabase.insertRows('race_markets', [{ league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: FINISHED_RACE_ID, state: 'settled' }]);
+
+      const other = await app.get(`/api/leagues/${LEAGUE_ID}/race/${FINISHED_RACE_ID}/market?seasonId=${SEASON_ID + 1}`);
+      assert.equal(other.status, 404);
+      assertErrorShape(other.body, 'RACE_NOT_FOUND');
+
+      const own = await app.get(`/api/leagues/${LEAGUE_ID}/race/${FINISHED_RACE_ID}/market?seasonId=${SEASON_ID}`);
+      assert.equal(own.body.state, 'settled');
+    });
+
+    it('checks query strings and params', async () => {
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/abc/market?seasonId=-1`);
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.fields, { raceId: 'must be a whole number', seasonId: 'must be at least 1' });
+    });
+
+    it('refuses bodies that are not JSON', async () => {
+      const response = await fetch(`${app.baseUrl}/api/place-bet`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+        body: '{"betAmount": '
+      });
+
+      assert.equal(response.status, 400);
+      assertErrorShape(await response.json(), 'INVALID_JSON');
+    });
+  });
+
+  it('answers unknown API routes with NOT_FOUND', async () => {
+    const { status, body } = await app.get('/api/nothing-here');
+
+    assert.equal(status, 404);
+    assertErrorShape(body, 'NOT_FOUND');
+  });
+
+  it('keeps domain details next to the code', async () => {
+    const { status, body } = await app.post('/api/place-bet', {
+      leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: 100001, betAmount: 10, odds: 1.01
+    }, { token: TOKEN });
+
+    assert.equal(status, 409);
+    assertErrorShape(body, 'ODDS_CHANGED');
+    assert.ok(body.currentOdds > 1);
+  });
+
+  describe('iRacing failures', () => {
+    it('answers 502 when iRacing fails', async () => {
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/123`);
+
+      assert.equal(status, 502);
+      assertErrorShape(body, 'IRACING_ERROR');
+      assert.doesNotMatch(body.message, /404|status code/);
+    });
+
+    it('answers 502 when the iRacing login fails', async () => {
+      app.mockIracing.failLogin();
+
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/seasons`);
+
+      assert.equal(status, 502);
+      assert.equal(body.code, 'IRACING_AUTH_FAILED');
+    });
+  });
+
+  it('does not leak the details of our own failures', async () => {
+    app.supabase.placeBet = () => {
+      throw new Error('relation "wallet_transactions" is locked');
+    };
+    const odds = await quote(app, OPEN_RACE_ID, { driverId: '100001' });
+
+    const { status, body } = await app.post('/api/place-bet', {
+      leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: 100001, betAmount: 10, odds
+    }, { token: TOKEN });
+
+    assert.equal(status, 500);
+    assertErrorShape(body, 'STORAGE_ERROR');
+    assert.doesNotMatch(JSON.stringify(body), /wallet_transactions/);
+    assert.equal(body.details, undefined);
+  });
+});
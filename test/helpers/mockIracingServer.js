@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import express from 'express';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Offline stand-in for the iRacing /data API, serving the recorded responses in
+// test/fixtures/iracing. It implements the parts IracingClient relies on: the /auth
+// cookie login, 401 for missing or expired sessions, rate limit headers, and the
+// `link` / `data_url` indirection to short-lived signed URLs. Tests use the controls on
+// the returned object to make login fail, expire sessions and links, or rate limit.
+//
+// Run it on its own to point a local backend at it:
+//   npm run mock:iracing
+//   IRACING_BASE_URL=http://localhost:4010 IRACING_EMAIL=driver@example.com IRACING_PASSWORD=password node server.js
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/iracing/', import.meta.url));
+const DEFAULT_CREDENTIALS = { email: 'driver@example.com', password: 'password' };
+const SESSION_TTL = 60 * 60 * 1000;
+const LINK_TTL = 15 * 60 * 1000;
+const RATE_LIMIT = 240;
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(`${FIXTURES_DIR}${name}.json`, 'utf8'));
+}
+
+function loadFixtures() {
+  const results = new Map();
+  fs.readdirSync(`${FIXTURES_DIR}results`).forEach(file => {
+    results.set(Number(file.replace('.json', '')), readFixture(`results/${file.replace('.json', '')}`));
+  });
+
+  return {
+    doc: readFixture('doc'),
+    drivers: readFixture('drivers'),
+    members: readFixture('members'),
+    seasons: readFixture('league_seasons'),
+    seasonSessions: readFixture('season_sessions'),
+    standings: readFixture('season_standings'),
+    roster: readFixture('roster'),
+    results
+  };
+}
+
+// Same hash the real service expects: base64(sha256(password + lowercased email))
+function hashPassword(password, email) {
+  return crypto.createHash('sha256').update(password + email.toLowerCase()).digest('base64');
+}
+
+// Session launch times are recorded relative to recorded_at and moved to the same
+// distance from now, so the upcoming rounds stay upcoming
+function shiftSessions(seasonSessions, now = Date.now()) {
+  const shift = now - Date.parse(seasonSessions.recorded_at);
+  return seasonSessions.sessions.map(session => ({
+    ...session,
+    launch_at: new Date(Date.parse(session.launch_at) + shift).toISOString().replace('.000Z', 'Z')
+  }));
+}
+
+function createMockIracingServer({ credentials = DEFAULT_CREDENTIALS, fixtures = loadFixtures() } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const sessions = new Set();
+  const links = new Map();
+  const state = {
+    baseUrl: null,
+    fixtures,
+    requests: [],
+    logins: 0,
+    // 'reject' answers authcode 0 without a cookie, 'error' answers 500
+    loginFailure: null,
+    rateLimitedFor: 0,
+    expireNextLink: false,
+    expiredEnvelopes: 0,
+    remaining: RATE_LIMIT
+  };
+
+  function rateLimitHeaders(res) {
+    res.set('x-ratelimit-limit', String(RATE_LIMIT));
+    res.set('x-ratelimit-remaining', String(state.remaining));
+    res.set('x-ratelimit-reset', String(Math.ceil((Date.now() + 60 * 1000) / 1000)));
+  }
+
+  function sendLink(res, payload, { dataUrl = false, envelope = {} } = {}) {
+    const token = crypto.randomBytes(12).toString('hex');
+    const expired = state.expiredEnvelopes > 0;
+    if (expired) {
+      state.expiredEnvelopes -= 1;
+    }
+
+    links.set(token, { payload, expired: state.expireNextLink });
+    state.expireNextLink = false;
+
+    const url = `${state.baseUrl}/links/${token}`;
+    const expires = new Date(Date.now() + (expired ? -1000 : LINK_TTL)).toISOString();
+    res.json(dataUrl ? { ...envelope, data_url: url } : { link: url, expires });
+  }
+
+  app.post('/auth', (req, res) => {
+    state.logins += 1;
+    state.requests.push({ path: '/auth' });
+
+    if (state.loginFailure === 'error') {
+      return res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    const { email, password } = req.body || {};
+    const valid = email === credentials.email && password === hashPassword(credentials.password, credentials.email);
+    if (!valid || state.loginFailure === 'reject') {
+      return res.json({ authcode: 0, message: 'Invalid email address or password. Please try again.' });
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    sessions.add(token);
+    const expires = new Date(Date.now() + SESSION_TTL).toUTCString();
+    res.set('Set-Cookie', [
+      `authtoken_members=${token}; Path=/; Expires=${expires}; HttpOnly`,
+      `irsso_membersv2=${token}; Path=/; Expires=${expires}; HttpOnly`
+    ]);
+    res.json({ authcode: token, autoLoginSeries: null, autoLoginToken: null, custId: 100001, email, ssoCookieDomain: '.iracing.com' });
+  });
+
+  app.get('/links/:token', (req, res) => {
+    const link = links.get(req.params.token);
+    if (!link || link.expired) {
+      return res.status(403).send('<Error><Code>AccessDenied</Code><Message>Request has expired</Message></Error>');
+    }
+    res.json(link.payload);
+  });
+
+  // Everything under /data needs a live session and counts against the rate limit
+  app.use('/data', (req, res, next) => {
+    state.requests.push({ path: `/data${req.path}`, query: req.query });
+
+    const cookies = Object.fromEntries((req.get('Cookie') || '').split(';')
+      .map(cookie => cookie.trim().split('='))
+      .filter(([name]) => name));
+    if (!sessions.has(cookies.authtoken_members)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (state.rateLimitedFor > 0) {
+      state.rateLimitedFor -= 1;
+      res.set('x-ratelimit-limit', String(RATE_LIMIT));
+      res.set('x-ratelimit-remaining', '0');
+      res.set('x-ratelimit-reset', String(Math.ceil((Date.now() + 30 * 1000) / 1000)));
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+
+    state.remaining = Math.max(0, state.remaining - 1);
+    rateLimitHeaders(res);
+    next();
+  });
+
+  app.get('/data/doc', (req, res) => {
+    res.json(state.fixtures.doc);
+  });
+
+  app.get('/data/lookup/drivers', (req, res) => {
+    const search = String(req.query.search_term || '').toLowerCase();
+    const upperbound = parseInt(req.query.upperbound, 10) || 25;
+    const matches = state.fixtures.drivers
+      .filter(driver => driver.display_name.toLowerCase().includes(search) || String(driver.cust_id) === search)
+      .slice(0, upperbound);
+    sendLink(res, matches);
+  });
+
+  app.get('/data/member/get', (req, res) => {
+    const ids = String(req.query.cust_ids || '').split(',').map(Number);
+    const members = state.fixtures.members.members.filter(member => ids.includes(member.cust_id));
+    sendLink(res, { success: true, cust_ids: ids, members });
+  });
+
+  app.get('/data/league/seasons', (req, res) => {
+    sendLink(res, { ...state.fixtures.seasons, league_id: Number(req.query.league_id) });
+  });
+
+  app.get('/data/league/season_sessions', (req, res) => {
+    let sessionsForSeason = shiftSessions(state.fixtures.seasonSessions);
+    if (String(req.query.results_only) === 'true') {
+      sessionsForSeason = sessionsForSeason.filter(session => session.has_results);
+    }
+
+    const { recorded_at: recordedAt, ...rest } = state.fixtures.seasonSessions;
+    sendLink(res, {
+      ...rest,
+      league_id: Number(req.query.league_id),
+      season_id: Number(req.query.season_id),
+      sessions: sessionsForSeason
+    });
+  });
+
+  app.get('/data/league/season_standings', (req, res) => {
+    sendLink(res, { ...state.fixtures.standings, season_id: Number(req.query.season_id) });
+  });
+
+  app.get('/data/league/roster', (req, res) => {
+    const { roster_count: rosterCount, ...rosterData } = state.fixtures.roster;
+    sendLink(res, rosterData, {
+      dataUrl: true,
+      envelope: {
+        type: 'league_roster',
+        data: { success: true, roster_count: rosterCount, league_id: Number(req.query.league_id) }
+      }
+    });
+  });
+
+  app.get('/data/results/get', (req, res) => {
+    const results = state.fixtures.results.get(Number(req.query.subsession_id));
+    if (!results) {
+      return res.status(404).json({ error: 'Not Found', message: `Subsession ${req.query.subsession_id} not found` });
+    }
+    sendLink(res, results);
+  });
+
+  let server = null;
+
+  return {
+    state,
+
+    start(port = 0) {
+      return new Promise(resolve => {
+        server = app.listen(port, () => {
+          state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(state.baseUrl);
+        });
+      });
+    },
+
+    stop() {
+      if (!server) {
+        return Promise.resolve();
+      }
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+
+    // Invalidates every session cookie, as iRacing does when a session times out
+    expireSessions() {
+      sessions.clear();
+    },
+
+    // The next `count` /data requests are answered with 429
+    rateLimit(count = 1) {
+      state.rateLimitedFor = count;
+    },
+
+    // The next signed link answers 403 like an expired S3 URL
+    expireNextLink() {
+      state.expireNextLink = true;
+    },
+
+    // The next envelope carries an `expires` in the past
+    expireNextEnvelope() {
+      state.expiredEnvelopes += 1;
+    },
+
+    failLogin(mode = 'reject') {
+      state.loginFailure = mode;
+    },
+
+    requestsTo(path) {
+      return state.requests.filter(request => request.path === path);
+    }
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = createMockIracingServer();
+  const port = parseInt(process.env.MOCK_IRACING_PORT, 10) || 4010;
+  mock.start(port).then(baseUrl => {
+    console.log(`Mock iRacing API listening on ${baseUrl} (login: ${DEFAULT_CREDENTIALS.email} / ${DEFAULT_CREDENTIALS.password})`);
+  });
+}
+
+export {
+  DEFAULT_CREDENTIALS,
+  createMockIracingServer,
+  loadFixtures,
+  hashPassword
+};
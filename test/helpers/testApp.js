@@ -0,0 +1,104 @@
+import { IracingClient } from '../../iRacingApi.js';
+import { createApp } from '../../app.js';
+import { DEFAULT_CREDENTIALS, createMockIracingServer } from './mockIracingServer.js';
+import { createMemoryStore } from '../../memoryStore.js';
+
+const LEAGUE_ID = 11489;
+const SEASON_ID = 55501;
+const FINISHED_RACE_ID = 70000001;
+const OPEN_RACE_ID = 70000002;
+const SCHEDULED_RACE_ID = 70000003;
+
+// Bearer tokens the MemoryStore accepts
+const USERS = {
+  'bettor-token': { id: '00000000-0000-0000-0000-00000000b001', email: 'bettor@example.com', app_metadata: {} },
+  'rival-token': { id: '00000000-0000-0000-0000-00000000b002', email: 'rival@example.com', app_metadata: {} },
+  'admin-token': { id: '00000000-0000-0000-0000-00000000a001', email: 'admin@example.com', app_metadata: { role: 'admin' } }
+};
+
+const BETTOR_ID = USERS['bettor-token'].id;
+const RIVAL_ID = USERS['rival-token'].id;
+const ADMIN_ID = USERS['admin-token'].id;
+
+// The backend logs every iRacing call; keep test output to the test results
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+function createIracingClient(baseUrl, credentials = DEFAULT_CREDENTIALS) {
+  return new IracingClient({ ...credentials, baseUrl, maxRateLimitWait: 0 });
+}
+
+// Starts the mock iRacing API and the app on free ports. Every test gets its own
+// stores, so nothing leaks between tests apart from the odds engine's price cache.
+async function startTestApp({ tables = {}, balances = { [BETTOR_ID]: 1000, [RIVAL_ID]: 1000 } } = {}) {
+  const mockIracing = createMockIracingServer();
+  const iracingUrl = await mockIracing.start();
+  const iracing = createIracingClient(iracingUrl);
+
+  const supabase = createMemoryStore({ tables, users: USERS });
+  Object.entries(balances).forEach(([userId, amount]) => supabase.deposit(userId, amount));
+
+  const app = createApp({ supabase, iracing, frontendUrl: 'http://localhost:3000' });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  return {
+    baseUrl,
+    supabase,
+    iracing,
+    mockIracing,
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options = {}) => request('POST', path, { ...options, body }),
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await mockIracing.stop();
+    }
+  };
+}
+
+// Current odds for a selection, as the bet slip would show them
+async function quote(testApp, raceId, params) {
+  const query = new URLSearchParams({ seasonId: String(SEASON_ID), ...params });
+  const { body } = await testApp.get(`/api/leagues/${LEAGUE_ID}/race/${raceId}/odds/quote?${query}`);
+  return body.odds;
+}
+
+export {
+  LEAGUE_ID,
+  SEASON_ID,
+  FINISHED_RACE_ID,
+  OPEN_RACE_ID,
+  SCHEDULED_RACE_ID,
+  BETTOR_ID,
+  RIVAL_ID,
+  ADMIN_ID,
+  createIracingClient,
+  startTestApp,
+  quote
+};
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { purgeExpiredKeys } from '../idempotency.js';
+import { BETTOR_ID, LEAGUE_ID, OPEN_RACE_ID, SEASON_ID, quote, startTestApp } from './helpers/testApp.js';
+
+const TOKEN = 'bettor-token';
+
+async function betBody(app, { driverId = 100001, betAmount = 10 } = {}) {
+  const odds = await quote(app, OPEN_RACE_ID, { driverId: String(driverId) });
+  return { leagueId: LEAGUE_ID, seasonId: SEASON_ID, raceId: OPEN_RACE_ID, selectedDriverId: driverId, betAmount, odds };
+}
+
+function placeBet(app, body, key, token = TOKEN) {
+  return app.post('/api/place-bet', body, { token, headers: { 'Idempotency-Key': key } });
+}
+
+describe('Idempotency-Key', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp();
+  });
+
+  afterEach(() => {
+    delete process.env.IDEMPOTENCY_KEY_TTL_MS;
+    return app.close();
+  });
+
+  it('replays the original response instead of placing the bet again', async () => {
+    const body = await betBody(app, { betAmount: 25 });
+
+    const first = await placeBet(app, body, 'slip-1');
+    const again = await placeBet(app, { ...body }, 'slip-1');
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('Idempotent-Replayed'), null);
+    assert.equal(again.status, 200);
+    assert.equal(again.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepEqual(again.body, first.body);
+    assert.equal(app.supabase.table('bets').length, 1);
+    assert.equal(app.supabase.balance(BETTOR_ID), 975);
+  });
+
+  it('matches bodies regardless of key order', async () => {
+    const body = await betBody(app);
+    const reordered = Object.fromEntries(Object.entries(body).reverse());
+
+    await placeBet(app, body, 'slip-1');
+    const again = await placeBet(app, reordered, 'slip-1');
+
+    assert.equal(again.headers.get('Idempotent-Replayed'), 'true');
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    const body = await betBody(app);
+    await placeBet(app, body, 'slip-1');
+
+    const changed = await placeBet(app, { ...body, betAmount: 20 }, 'slip-1');
+    const otherRoute = await app.post('/api/place-parlay', { stake: 10, legs: [] }, { token: TOKEN, headers: { 'Idempotency-Key': 'slip-1' } });
+
+    assert.equal(changed.status, 422);
+    assert.equal(changed.body.code, 'IDEMPOTENCY_KEY_REUSED');
+    assert.equal(otherRoute.status, 422);
+    assert.equal(app.supabase.table('bets').length, 1);
+  });
+
+  it('keeps keys separate per user', async () => {
+    const body = await betBody(app);
+
+    await placeBet(app, body, 'slip-1');
+    const rival = await placeBet(app, body, 'slip-1', 'rival-token');
+
+    assert.equal(rival.status, 200);
+    assert.equal(rival.headers.get('Idempotent-Replayed'), null);
+    assert.equal(app.supabase.table('bets').length, 2);
+  });
+
+  it('replays refusals as well', async () => {
+    const body = await betBody(app, { betAmount: 5000 });
+
+    const first = await placeBet(app, body, 'slip-1');
+    app.supabase.deposit(BETTOR_ID, 5000);
+    const again = await placeBet(app, body, 'slip-1');
+
+    assert.equal(first.status, 400);
+    assert.equal(again.status, 400);
+    assert.equal(again.headers.get('Idempotent-Replayed'), 'true');
+  });
+
+  it('answers 409 while the first request is still running', async () => {
+    const body = await betBody(app);
+    await placeBet(app, body, 'slip-1');
+    // As the claim looks before the first response is stored
+    Object.assign(app.supabase.table('idempotency_keys')[0], { response_status: null, response_body: null, completed_at: null });
+
+    const { status, headers, body: response } = await placeBet(app, body, 'slip-1');
+
+    assert.equal(status, 409);
+    assert.equal(response.code, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+    assert.equal(headers.get('Retry-After'), '1');
+  });
+
+  it('lets an expired key run again', async () => {
+    process.env.IDEMPOTENCY_KEY_TTL_MS = '1';
+    const body = await betBody(app);
+
+    await placeBet(app, body, 'slip-1');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const again = await placeBet(app, body, 'slip-1');
+
+    assert.equal(again.headers.get('Idempotent-Replayed'), null);
+    assert.equal(app.supabase.table('bets').length, 2);
+  });
+
+  it('purges keys past their TTL', async () => {
+    const body = await betBody(app);
+    await placeBet(app, body, 'slip-1');
+
+    assert.equal(await purgeExpiredKeys(app.supabase), 0);
+
+    process.env.IDEMPOTENCY_KEY_TTL_MS = '1';
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal(await purgeExpiredKeys(app.supabase), 1);
+    assert.equal(app.supabase.table('idempotency_keys').length, 0);
+  });
+
+  it('refuses empty and overlong keys', async () => {
+    const body = await betBody(app);
+
+    assert.equal((await placeBet(app, body, ' ')).status, 400);
+    assert.equal((await placeBet(app, body, 'k'.repeat(256))).status, 400);
+    assert.equal(app.supabase.table('bets').length, 0);
+  });
+});
@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { INGESTION_EVENT, SESSION_PHASE, ingestionEvents, runIngestionCycle } from '../ingestion.js';
+import { FINISHED_RACE_ID, startTestApp } from './helpers/testApp.js';
+
+function storedPhase(app, raceId) {
+  const row = app.supabase.table('league_subsessions').find(item => Number(item.subsession_id) === raceId);
+  return row ? row.phase : null;
+}
+
+describe('ingestion', () => {
+  let app;
+  let listener;
+
+  beforeEach(async () => {
+    app = await startTestApp();
+  });
+
+  afterEach(async () => {
+    ingestionEvents.off(INGESTION_EVENT.SESSION_PHASE_CHANGED, listener);
+    await app.close();
+  });
+
+  it('stores new phases once their listeners have run', async () => {
+    const changes = [];
+    listener = async change => changes.push(change);
+    ingestionEvents.on(INGESTION_EVENT.SESSION_PHASE_CHANGED, listener);
+
+    await runIngestionCycle(app.supabase, app.iracing);
+    await runIngestionCycle(app.supabase, app.iracing);
+
+    const finished = changes.filter(change => Number(change.session.subsession_id) === FINISHED_RACE_ID);
+    assert.equal(finished.length, 1);
+    assert.equal(finished[0].phase, SESSION_PHASE.RESULTS);
+    assert.equal(storedPhase(app, FINISHED_RACE_ID), SESSION_PHASE.RESULTS);
+  });
+
+  it('keeps the old phase when a listener fails, so the next cycle retries it', async () => {
+    let failing = true;
+    const attempts = [];
+    listener = async change => {
+      if (Number(change.session.subsession_id) !== FINISHED_RACE_ID) {
+        return;
+      }
+      attempts.push(change.previousPhase);
+      if (failing) {
+        throw new Error('Settlement failed');
+      }
+    };
+    ingestionEvents.on(INGESTION_EVENT.SESSION_PHASE_CHANGED, listener);
+
+    await runIngestionCycle(app.supabase, app.iracing);
+    assert.equal(storedPhase(app, FINISHED_RACE_ID), null);
+
+    failing = false;
+    await runIngestionCycle(app.supabase, app.iracing);
+
+    assert.deepEqual(attempts, [null, null]);
+    assert.equal(storedPhase(app, FINISHED_RACE_ID), SESSION_PHASE.RESULTS);
+  });
+
+  it('reports every season’s sessions each cycle, with their phases', async () => {
+    const reports = [];
+    const onSessions = report => reports.push(report);
+    ingestionEvents.on(INGESTION_EVENT.SESSIONS_INGESTED, onSessions);
+
+    try {
+      await runIngestionCycle(app.supabase, app.iracing);
+      await runIngestionCycle(app.supabase, app.iracing);
+    } finally {
+      ingestionEvents.off(INGESTION_EVENT.SESSIONS_INGESTED, onSessions);
+    }
+
+    assert.equal(reports.length, 2);
+    const finished = reports[0].sessions.find(session => Number(session.subsession_id) === FINISHED_RACE_ID);
+    assert.equal(finished.phase, SESSION_PHASE.RESULTS);
+  });
+});
@@ -0,0 +1,194 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockIracingServer } from './helpers/mockIracingServer.js';
+import { LEAGUE_ID, SEASON_ID, createIracingClient } from './helpers/testApp.js';
+
+describe('IracingClient against the mock iRacing API', () => {
+  let mock;
+  let baseUrl;
+  let client;
+
+  before(async () => {
+    mock = createMockIracingServer();
+    baseUrl = await mock.start();
+  });
+
+  after(() => mock.stop());
+
+  beforeEach(() => {
+    mock.failLogin(null);
+    mock.state.requests = [];
+    mock.state.logins = 0;
+    client = createIracingClient(baseUrl);
+  });
+
+  describe('login', () => {
+    it('logs in on first use and keeps the session cookies', async () => {
+      const data = await client.request('/data/doc');
+
+      assert.ok(data.league.roster, 'expected the /data/doc listing');
+      assert.equal(mock.state.logins, 1);
+      assert.ok(client.hasValidSession());
+      assert.match(await client.getCookieString(), /authtoken_members=/);
+    });
+
+    it('shares one login between concurrent requests', async () => {
+      await Promise.all([
+        client.getLeagueSeasons(LEAGUE_ID),
+        client.getLeagueRoster(LEAGUE_ID),
+        client.searchDrivers('morgan')
+      ]);
+
+      assert.equal(mock.state.logins, 1);
+    });
+
+    it('fails with IRACING_AUTH_FAILED when the credentials are rejected', async () => {
+      const wrongPassword = createIracingClient(baseUrl, { email: 'driver@example.com', password: 'wrong' });
+
+      await assert.rejects(wrongPassword.getLeagueSeasons(LEAGUE_ID), { code: 'IRACING_AUTH_FAILED' });
+      assert.equal(wrongPassword.hasValidSession(), false);
+    });
+
+    it('fails with IRACING_AUTH_FAILED when iRacing answers authcode 0', async () => {
+      mock.failLogin('reject');
+
+      await assert.rejects(client.getLeagueSeasons(LEAGUE_ID), {
+        code: 'IRACING_AUTH_FAILED',
+        message: 'iRacing login was rejected'
+      });
+    });
+
+    it('fails with IRACING_AUTH_FAILED when the auth endpoint errors', async () => {
+      mock.failLogin('error');
+
+      await assert.rejects(client.getLeagueSeasons(LEAGUE_ID), { code: 'IRACING_AUTH_FAILED' });
+    });
+
+    it('fails without calling iRacing when no credentials are configured', async () => {
+      const unconfigured = createIracingClient(baseUrl, {});
+
+      await assert.rejects(unconfigured.getLeagueSeasons(LEAGUE_ID), {
+        code: 'IRACING_AUTH_FAILED',
+        message: 'iRacing credentials are not configured'
+      });
+      assert.equal(mock.state.logins, 0);
+    });
+  });
+
+  describe('re-authentication', () => {
+    it('logs in again and retries once when the session has expired', async () => {
+      await client.request('/data/doc');
+      mock.expireSessions();
+
+      const data = await client.request('/data/doc');
+
+      assert.ok(data.league);
+      assert.equal(mock.state.logins, 2);
+      assert.equal(mock.requestsTo('/data/doc').length, 3);
+    });
+
+    it('gives up when logging in again is rejected', async () => {
+      await client.request('/data/doc');
+      mock.expireSessions();
+      mock.failLogin('reject');
+
+      await assert.rejects(client.request('/data/doc'), { code: 'IRACING_AUTH_FAILED' });
+      assert.equal(client.hasValidSession(), false);
+    });
+  });
+
+  describe('link indirection', () => {
+    it('follows `link` to the signed payload', async () => {
+      const drivers = await client.searchDrivers('morgan');
+
+      assert.deepEqual(drivers.map(driver => driver.cust_id), [100001, 100099]);
+    });
+
+    it('follows `data_url` and keeps the envelope fields for the roster', async () => {
+      const roster = await client.getLeagueRoster(LEAGUE_ID);
+
+      assert.equal(roster.rosterCount, 5);
+      assert.equal(roster.roster.length, 5);
+      assert.equal(roster.privateRoster, false);
+    });
+
+    it('requests a new link when the signed URL has expired', async () => {
+      await client.request('/data/doc');
+      mock.expireNextLink();
+
+      const seasons = await client.getLeagueSeasons(LEAGUE_ID);
+
+      assert.equal(seasons.seasons[0].season_id, SEASON_ID);
+      assert.equal(mock.requestsTo('/data/league/seasons').length, 2);
+    });
+
+    it('requests a new link when the envelope is already past its expiry', async () => {
+      await client.request('/data/doc');
+      mock.expireNextEnvelope();
+
+      const details = await client.getRaceDetails(LEAGUE_ID, SEASON_ID, 70000001);
+
+      assert.equal(details.subsession_id, 70000001);
+      assert.equal(mock.requestsTo('/data/results/get').length, 2);
+    });
+
+    it('fails when the results endpoint does not know the subsession', async () => {
+      await assert.rejects(client.getRaceDetails(LEAGUE_ID, SEASON_ID, 123), { code: 'IRACING_ERROR', upstreamStatus: 404 });
+    });
+  });
+
+  describe('rate limits and caching', () => {
+    it('reports a 429 as IRACING_RATE_LIMITED with a retry hint', async () => {
+      await client.request('/data/doc');
+      mock.rateLimit(1);
+
+      await assert.rejects(client.getLeagueSeasons(LEAGUE_ID), error => {
+        assert.equal(error.code, 'IRACING_RATE_LIMITED');
+        assert.ok(error.retryAfter >= 1);
+        return true;
+      });
+    });
+
+    it('serves repeated calls from the cache', async () => {
+      await client.getLeagueSeasons(LEAGUE_ID);
+      await client.getLeagueSeasons(LEAGUE_ID);
+
+      assert.equal(mock.requestsTo('/data/league/seasons').length, 1);
+      assert.ok(client.getFetchedAt(await client.getLeagueSeasons(LEAGUE_ID)) > 0);
+    });
+
+    it('bypasses the cache for refreshed results', async () => {
+      await client.getRaceDetails(LEAGUE_ID, SEASON_ID, 70000001);
+      await client.getRaceDetails(LEAGUE_ID, SEASON_ID, 70000001, { refresh: true });
+
+      assert.equal(mock.requestsTo('/data/results/get').length, 2);
+    });
+  });
+
+  describe('league data', () => {
+    it('moves recorded session times so upcoming rounds stay upcoming', async () => {
+      const { sessions } = await client.getLeagueSubsessions(LEAGUE_ID, SEASON_ID);
+
+      assert.deepEqual(sessions.map(session => session.subsession_id), [70000002, 70000003]);
+      sessions.forEach(session => assert.ok(Date.parse(session.launch_at) > Date.now()));
+    });
+
+    it('only returns sessions with results when asked for results', async () => {
+      const { sessions } = await client.getLeagueSeasonResults(LEAGUE_ID, SEASON_ID);
+
+      assert.deepEqual(sessions.map(session => session.subsession_id), [70000001]);
+    });
+
+    it('returns member profiles with licences', async () => {
+      const members = await client.getMemberProfiles([100002, 100001]);
+
+      assert.deepEqual(members.map(member => member.cust_id).sort(), [100001, 100002]);
+      assert.equal(members.find(member => member.cust_id === 100001).licenses[0].irating, 2850);
+    });
+
+    it('finds a driver by name for sign-up', async () => {
+      assert.deepEqual(await client.searchIRacingName('Sam Whitfield'), { exists: true, name: 'Sam Whitfield', id: 100002 });
+      assert.deepEqual(await client.searchIRacingName('Nobody Here'), { exists: false });
+    });
+  });
+});
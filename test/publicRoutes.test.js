@@ -0,0 +1,296 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FINISHED_RACE_ID, LEAGUE_ID, OPEN_RACE_ID, SCHEDULED_RACE_ID, SEASON_ID, quote, startTestApp } from './helpers/testApp.js';
+
+describe('public routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(() => app.close());
+
+  it('GET /api/health', async () => {
+    const { status, body } = await app.get('/api/health');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { status: 'OK' });
+  });
+
+  it('GET /api/leagues lists the enabled leagues', async () => {
+    const { body } = await app.get('/api/leagues');
+
+    assert.ok(body.leagues.some(league => league.id === LEAGUE_ID));
+  });
+
+  it('answers the paths from before routes were scoped by league for the default league', async () => {
+    const roster = await app.get('/api/league-roster');
+    const odds = await app.get(`/api/race/${OPEN_RACE_ID}/odds?seasonId=${SEASON_ID}`);
+    const results = await app.get(`/api/race-results/${FINISHED_RACE_ID}`);
+
+    assert.deepEqual(roster.body, (await app.get(`/api/leagues/${LEAGUE_ID}/roster`)).body);
+    assert.equal(roster.headers.get('link'), `</api/leagues/${LEAGUE_ID}/roster>; rel="successor-version"`);
+    assert.equal(odds.status, 200);
+    assert.equal(odds.body.raceId, OPEN_RACE_ID);
+    assert.equal(results.body.subsession_id, FINISHED_RACE_ID);
+  });
+
+  it('refuses leagues that are not enabled', async () => {
+    const { status } = await app.get('/api/leagues/1/seasons');
+
+    assert.equal(status, 404);
+  });
+
+  describe('GET /api/search-iracing-name', () => {
+    it('finds a driver', async () => {
+      const { body } = await app.get('/api/search-iracing-name?name=Casey%20Lindqvist');
+
+      assert.deepEqual(body, { exists: true, name: 'Casey Lindqvist', id: 100004 });
+    });
+
+    it('reports unknown names', async () => {
+      const { body } = await app.get('/api/search-iracing-name?name=Nobody');
+
+      assert.equal(body.exists, false);
+    });
+
+    it('needs a name', async () => {
+      assert.equal((await app.get('/api/search-iracing-name')).status, 400);
+    });
+  });
+
+  describe('GET /api/drivers/search', () => {
+    it('ranks exact matches first and adds club and licences', async () => {
+      const { body } = await app.get('/api/drivers/search?name=Alex%20Morgan');
+
+      assert.deepEqual(body.candidates.map(candidate => candidate.custId), [100001, 100099]);
+      assert.ok(body.candidates[0].licenses.length > 0);
+    });
+
+    it('needs a name', async () => {
+      assert.equal((await app.get('/api/drivers/search?name=%20')).status, 400);
+    });
+  });
+
+  describe('league data', () => {
+    it('GET /seasons', async () => {
+      const { status, headers, body } = await app.get(`/api/leagues/${LEAGUE_ID}/seasons`);
+
+      assert.equal(status, 200);
+      assert.equal(body.seasons[0].season_id, SEASON_ID);
+      assert.ok(headers.get('last-modified'));
+    });
+
+    it('GET /subsessions adds the roster to each session', async () => {
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/subsessions?seasonId=${SEASON_ID}`);
+
+      assert.deepEqual(body.sessions.map(session => session.subsession_id), [OPEN_RACE_ID, SCHEDULED_RACE_ID]);
+      assert.equal(body.sessions[0].rosterCount, 5);
+    });
+
+    it('GET /subsessions needs a seasonId', async () => {
+      assert.equal((await app.get(`/api/leagues/${LEAGUE_ID}/subsessions`)).status, 400);
+    });
+
+    it('GET /roster', async () => {
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/roster`);
+
+      assert.equal(body.rosterCount, 5);
+      assert.equal(body.privateRoster, false);
+    });
+
+    it('GET /race/:raceId', async () => {
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/${FINISHED_RACE_ID}`);
+
+      assert.equal(body.subsession_id, FINISHED_RACE_ID);
+    });
+  });
+
+  describe('odds', () => {
+    it('GET /odds prices every driver, the highest rated shortest', async () => {
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/odds?seasonId=${SEASON_ID}`);
+
+      assert.equal(status, 200);
+      assert.equal(body.drivers.length, 5);
+      const favourite = body.drivers.reduce((best, driver) => (driver.odds < best.odds ? driver : best));
+      assert.equal(favourite.driverId, 100001);
+    });
+
+    it('GET /odds lists top-N markets the field cannot lose as not offered', async () => {
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/odds?seasonId=${SEASON_ID}`);
+
+      body.drivers.forEach(driver => {
+        assert.ok(driver.markets.top_3 > 1.01);
+        assert.equal(driver.markets.top_5, null);
+        assert.equal(driver.markets.top_10, null);
+      });
+    });
+
+    it('GET /odds does not reuse a price made for another season', async () => {
+      const otherSeason = SEASON_ID + 1;
+      await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/odds?seasonId=${SEASON_ID}`);
+      await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/odds?seasonId=${otherSeason}`);
+
+      const seasons = app.mockIracing.requestsTo('/data/league/season_sessions').map(request => Number(request.query.season_id));
+      assert.ok(seasons.includes(otherSeason));
+    });
+
+    it('GET /odds refuses races that are not sessions of the season, without pricing them', async () => {
+      const profileRequests = app.mockIracing.requestsTo('/data/member/get').length;
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/79999999/odds?seasonId=${SEASON_ID}`);
+
+      assert.equal(status, 404);
+      assert.equal(body.code, 'RACE_NOT_FOUND');
+      assert.equal(app.mockIracing.requestsTo('/data/member/get').length, profileRequests);
+    });
+
+    it('GET /odds needs a seasonId', async () => {
+      assert.equal((await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/odds`)).status, 400);
+    });
+
+    it('GET /odds/quote prices head-to-heads', async () => {
+      const odds = await quote(app, OPEN_RACE_ID, { betType: 'head_to_head', driverId: '100001', opponentId: '100005' });
+
+      assert.ok(odds > 1 && odds < 2);
+    });
+
+    it('GET /odds/quote refuses top-N selections on a field of N or fewer', async () => {
+      const query = `seasonId=${SEASON_ID}&betType=top_5&driverId=100005`;
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/odds/quote?${query}`);
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'SELECTION_NOT_OFFERED');
+    });
+
+    it('GET /odds/quote refuses invalid selections', async () => {
+      const query = `seasonId=${SEASON_ID}&betType=head_to_head&driverId=100001`;
+      const { status } = await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/odds/quote?${query}`);
+
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('markets', () => {
+    it('GET /markets lists the season with each market state', async () => {
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/markets?seasonId=${SEASON_ID}`);
+      const states = Object.fromEntries(body.markets.map(market => [market.raceId, market.state]));
+
+      assert.equal(states[OPEN_RACE_ID], 'open');
+    });
+
+    it('GET /race/:raceId/market', async () => {
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/market?seasonId=${SEASON_ID}`);
+
+      assert.deepEqual(body, { raceId: OPEN_RACE_ID, state: 'open' });
+    });
+
+    it('GET /markets works the states out without storing them', async () => {
+      const stored = app.supabase.table('race_markets').length;
+
+      await app.get(`/api/leagues/${LEAGUE_ID}/markets?seasonId=${SEASON_ID}`);
+      await app.get(`/api/leagues/${LEAGUE_ID}/race/${SCHEDULED_RACE_ID}/market?seasonId=${SEASON_ID}`);
+
+      assert.equal(app.supabase.table('race_markets').length, stored);
+    });
+
+    it('GET /race/:raceId/pool is only served for pool races', async () => {
+      assert.equal((await app.get(`/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/pool`)).status, 404);
+
+      app.supabase.insertRows('race_settings', [{ league_id: LEAGUE_ID, race_id: SCHEDULED_RACE_ID, betting_mode: 'pool', rake: 0.05 }]);
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/${SCHEDULED_RACE_ID}/pool`);
+
+      assert.equal(status, 200);
+      assert.equal(body.rake, 0.05);
+    });
+
+    it('GET /futures prices the active season', async () => {
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/futures`);
+
+      assert.equal(body.markets.length, 1);
+      assert.equal(body.markets[0].seasonName, '2026 Championship');
+    });
+
+    it('GET /seasons/:seasonId/futures', async () => {
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/seasons/${SEASON_ID}/futures`);
+
+      assert.equal(status, 200);
+      assert.equal(body.state, 'open');
+      assert.equal(body.prices[0].custId, 100001);
+    });
+
+    it('GET /seasons/:seasonId/futures refuses seasons the league does not have', async () => {
+      const { status, body } = await app.get(`/api/leagues/${LEAGUE_ID}/seasons/99999/futures`);
+
+      assert.equal(status, 404);
+      assert.equal(body.code, 'SEASON_NOT_FOUND');
+      assert.equal(app.supabase.table('futures_markets').filter(row => Number(row.season_id) === 99999).length, 0);
+    });
+  });
+
+  describe('results', () => {
+    it('GET /race-results/:raceId returns the results without settling the race', async () => {
+      app.supabase.insertRows('bets', [{
+        user_id: 'reader', league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: FINISHED_RACE_ID, selected_driver_id: 100001, bet_amount: 10, odds: 2
+      }]);
+
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/race-results/${FINISHED_RACE_ID}`);
+
+      assert.equal(body.subsession_id, FINISHED_RACE_ID);
+      assert.deepEqual(body.settlement, { settled: false, revision: null, settledAt: null });
+      assert.equal(app.supabase.table('bets').find(bet => bet.user_id === 'reader').status, 'pending');
+      assert.equal(app.supabase.table('wallet_transactions').filter(entry => entry.user_id === 'reader').length, 0);
+    });
+
+    it('GET /race/:raceId/amendments', async () => {
+      const { body } = await app.get(`/api/leagues/${LEAGUE_ID}/race/${FINISHED_RACE_ID}/amendments`);
+
+      assert.deepEqual(body, { raceId: FINISHED_RACE_ID, amendments: [] });
+    });
+
+    it('GET /api/leaderboards/:metric', async () => {
+      const { status, body } = await app.get('/api/leaderboards/profit');
+
+      assert.equal(status, 200);
+      assert.ok(Array.isArray(body.entries));
+    });
+
+    it('GET /api/leaderboards/:metric refuses unknown metrics', async () => {
+      assert.equal((await app.get('/api/leaderboards/luck')).status, 400);
+    });
+  });
+
+  describe('GET /api/stream', () => {
+    it('opens an event stream', async () => {
+      const controller = new AbortController();
+      const response = await fetch(`${app.baseUrl}/api/stream?leagueId=${LEAGUE_ID}`, { signal: controller.signal });
+      const reader = response.body.getReader();
+      const { value } = await reader.read();
+      controller.abort();
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/event-stream/);
+      assert.match(new TextDecoder().decode(value), /retry: 5000/);
+    });
+
+    it('needs a league for a race stream', async () => {
+      assert.equal((await app.get(`/api/stream?raceId=${OPEN_RACE_ID}`)).status, 400);
+    });
+
+    it('refuses invalid tokens', async () => {
+      assert.equal((await app.get('/api/stream?access_token=nope')).status, 401);
+    });
+  });
+
+  describe('when iRacing rate limits', () => {
+    it('answers 503 with Retry-After', async () => {
+      app.mockIracing.rateLimit(1);
+
+      const { status, headers, body } = await app.get('/api/search-iracing-name?name=Robin');
+
+      assert.equal(status, 503);
+      assert.ok(Number(headers.get('retry-after')) >= 1);
+      assert.equal(body.retryAfter, Number(headers.get('retry-after')));
+    });
+  });
+});
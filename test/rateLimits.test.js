@@ -0,0 +1,81 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEAGUE_ID, OPEN_RACE_ID, SEASON_ID, startTestApp } from './helpers/testApp.js';
+
+const LIMIT_SETTINGS = ['RATE_LIMIT_WINDOW_MS', 'RATE_LIMIT_BETS_PER_USER', 'RATE_LIMIT_BETS_PER_IP', 'RATE_LIMIT_SEARCH_PER_USER', 'RATE_LIMIT_SEARCH_PER_IP', 'RATE_LIMIT_ODDS_PER_IP'];
+
+// Refused before it reaches the bet logic, so it exercises only the limiter
+function placeBet(app, token = 'bettor-token') {
+  return app.post('/api/place-bet', { leagueId: LEAGUE_ID }, { token });
+}
+
+describe('rate limits', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await startTestApp();
+  });
+
+  afterEach(() => {
+    LIMIT_SETTINGS.forEach(name => delete process.env[name]);
+    return app.close();
+  });
+
+  it('limits bet placement per user with Retry-After', async () => {
+    process.env.RATE_LIMIT_BETS_PER_USER = '2';
+
+    assert.equal((await placeBet(app)).status, 400);
+    assert.equal((await placeBet(app)).status, 400);
+    const limited = await placeBet(app);
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers.get('Retry-After')) >= 1);
+    assert.equal((await placeBet(app, 'rival-token')).status, 400);
+  });
+
+  it('limits every user on one address together', async () => {
+    process.env.RATE_LIMIT_BETS_PER_IP = '2';
+
+    await placeBet(app);
+    await placeBet(app, 'rival-token');
+
+    assert.equal((await placeBet(app, 'admin-token')).status, 429);
+  });
+
+  it('starts counting again in the next window', async () => {
+    process.env.RATE_LIMIT_BETS_PER_USER = '1';
+    process.env.RATE_LIMIT_WINDOW_MS = '50';
+
+    await placeBet(app);
+    assert.equal((await placeBet(app)).status, 429);
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.equal((await placeBet(app)).status, 400);
+  });
+
+  it('limits iRacing searches for anonymous visitors by address, across both search endpoints', async () => {
+    process.env.RATE_LIMIT_SEARCH_PER_IP = '2';
+
+    assert.equal((await app.get('/api/search-iracing-name?name=Casey%20Lindqvist')).status, 200);
+    assert.equal((await app.get('/api/drivers/search?name=Casey')).status, 200);
+    assert.equal((await app.get('/api/search-iracing-name?name=Casey%20Lindqvist')).status, 429);
+  });
+
+  it('limits odds requests for anonymous visitors by address', async () => {
+    process.env.RATE_LIMIT_ODDS_PER_IP = '1';
+    const path = `/api/leagues/${LEAGUE_ID}/race/${OPEN_RACE_ID}/odds`;
+
+    assert.equal((await app.get(`${path}?seasonId=${SEASON_ID}`)).status, 200);
+    assert.equal((await app.get(`${path}/quote?seasonId=${SEASON_ID}&driverId=100001`)).status, 429);
+  });
+
+  it('turns a limit off with 0', async () => {
+    process.env.RATE_LIMIT_BETS_PER_USER = '0';
+    process.env.RATE_LIMIT_BETS_PER_IP = '0';
+
+    for (let i = 0; i < 25; i += 1) {
+      assert.equal((await placeBet(app)).status, 400);
+    }
+  });
+});
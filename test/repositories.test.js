@@ -0,0 +1,332 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../memoryStore.js';
+import { createMemoryRepositories, createSupabaseRepositories, getRepositories } from '../repositories.js';
+
+const USER_ID = '00000000-0000-0000-0000-00000000b001';
+const OTHER_ID = '00000000-0000-0000-0000-00000000b002';
+
+// The Supabase implementation runs against the MemoryStore's supabase-js interface, so
+// both implementations are checked against the same data
+const IMPLEMENTATIONS = {
+  supabase: createSupabaseRepositories,
+  memory: createMemoryRepositories
+};
+
+function bet(overrides = {}) {
+  return { user_id: USER_ID, league_id: 11489, season_id: 55501, race_id: 70000002, selected_driver_id: 100001, bet_amount: 10, odds: 2.5, ...overrides };
+}
+
+Object.entries(IMPLEMENTATIONS).forEach(([name, createRepositories]) => {
+  describe(`${name} repositories`, () => {
+    let store;
+    let repositories;
+
+    beforeEach(() => {
+      store = createMemoryStore({ users: { 'bettor-token': { id: USER_ID, email: 'bettor@example.com' } } });
+      store.deposit(USER_ID, 100);
+      repositories = createRepositories(store);
+    });
+
+    describe('bets', () => {
+      it('lists a user’s bets, optionally for one league', async () => {
+        store.insertRows('bets', [bet(), bet({ user_id: OTHER_ID }), bet({ league_id: 1 })]);
+
+        assert.equal((await repositories.bets.listByUser(USER_ID)).length, 2);
+        assert.deepEqual((await repositories.bets.listByUser(USER_ID, { leagueId: '11489' })).map(row => row.league_id), [11489]);
+      });
+
+      it('lists a race’s bets and finds bets by id', async () => {
+        const [first] = store.insertRows('bets', [bet(), bet({ race_id: 70000003 })]);
+
+        assert.deepEqual((await repositories.bets.listByRace(11489, '70000002')).map(row => row.id), [first.id]);
+        assert.equal((await repositories.bets.getById(String(first.id))).id, first.id);
+        assert.equal(await repositories.bets.getById(999), null);
+      });
+
+      it('only updates a bet that is still in the expected status', async () => {
+        const [row] = store.insertRows('bets', [bet()]);
+
+        const won = await repositories.bets.updateIfStatus(row.id, 'pending', { status: 'won', payout: 25 });
+        const again = await repositories.bets.updateIfStatus(row.id, 'pending', { status: 'lost', payout: 0 });
+
+        assert.equal(won.status, 'won');
+        assert.equal(again, null);
+        assert.equal(store.table('bets')[0].payout, 25);
+      });
+
+      it('closes a bet and posts its credit only when the bet is still in the expected status', async () => {
+        const [row] = store.insertRows('bets', [bet()]);
+        const refund = { type: 'refund', amount: 10, reference: `refund:bet:${row.id}` };
+
+        const cancelled = await repositories.bets.closeIfStatus(row.id, 'pending', { status: 'cancelled', payout: 10 }, refund);
+        const paid = await repositories.bets.closeIfStatus(row.id, 'pending', { status: 'won', payout: 25 },
+          { type: 'payout', amount: 25, reference: `payout:bet:${row.id}` });
+
+        assert.equal(cancelled.status, 'cancelled');
+        assert.ok(cancelled.settled_at);
+        assert.equal(paid, null);
+        assert.deepEqual(store.table('wallet_transactions').filter(entry => entry.bet_id === row.id).map(entry => [entry.type, entry.amount]), [['refund', 10]]);
+      });
+
+      it('returns copies, not the stored rows', async () => {
+        store.insertRows('bets', [bet()]);
+
+        const [row] = await repositories.bets.listByUser(USER_ID);
+        row.status = 'won';
+
+        assert.equal(store.table('bets')[0].status, 'pending');
+      });
+    });
+
+    describe('subsessions', () => {
+      it('saves sessions and replaces them by subsession id', async () => {
+        await repositories.subsessions.save([{ league_id: 11489, season_id: 55501, subsession_id: 70000002, phase: 'upcoming' }]);
+        await repositories.subsessions.save([{ league_id: 11489, season_id: 55501, subsession_id: 70000002, phase: 'racing' }]);
+        await repositories.subsessions.save([]);
+
+        const rows = await repositories.subsessions.listBySeason(11489, 55501);
+        assert.deepEqual(rows.map(row => row.phase), ['racing']);
+      });
+
+      it('reports persistence failures as STORAGE_ERROR', async () => {
+        const cause = { message: 'connection reset', code: '08006' };
+        store.upsertRows = () => {
+          throw cause;
+        };
+
+        await assert.rejects(repositories.subsessions.save([{ league_id: 11489, subsession_id: 1 }]), error => {
+          assert.equal(error.code, 'STORAGE_ERROR');
+          assert.equal(error.cause, cause);
+          assert.match(error.message, /^subsessions\.save failed: connection reset/);
+          return true;
+        });
+      });
+    });
+
+    describe('users', () => {
+      it('resolves bearer tokens', async () => {
+        assert.equal((await repositories.users.getUserForToken('bettor-token')).id, USER_ID);
+        assert.equal(await repositories.users.getUserForToken('expired-token'), null);
+      });
+    });
+
+    describe('wallets', () => {
+      it('debits stakes and refuses them beyond the balance', async () => {
+        const placed = await repositories.wallets.placeBet(bet({ bet_amount: 60 }));
+
+        assert.equal(placed.user_id, USER_ID);
+        assert.equal(await repositories.wallets.getBalance(USER_ID), 40);
+        await assert.rejects(repositories.wallets.placeBet(bet({ bet_amount: 60 })), { code: 'INSUFFICIENT_FUNDS' });
+        await assert.rejects(repositories.wallets.placeFuturesBet({ user_id: USER_ID, stake: 60, odds: 3 }), { code: 'INSUFFICIENT_FUNDS' });
+        await assert.rejects(repositories.wallets.placeTicket({ user_id: USER_ID, stake: 60, combined_odds: 4 }, []), { code: 'INSUFFICIENT_FUNDS' });
+      });
+
+      it('refuses stakes over a limit or during an exclusion, with what the user is told', async () => {
+        store.insertRows('gambling_limits', [{ user_id: USER_ID, limit_type: 'stake', period: 'day', amount: 50, pending_amount: null, pending_effective_at: null }]);
+        await repositories.wallets.placeBet(bet({ bet_amount: 30 }));
+
+        await assert.rejects(repositories.wallets.placeTicket({ user_id: USER_ID, stake: 30, combined_odds: 4 }, []), {
+          code: 'STAKE_LIMIT_EXCEEDED',
+          message: 'This stake would exceed your daily stake limit',
+          period: 'day',
+          limit: 50,
+          remaining: 20
+        });
+        assert.equal(await repositories.wallets.getBalance(USER_ID), 70);
+
+        const endsAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        store.insertRows('gambling_exclusions', [{ user_id: USER_ID, kind: 'break', ends_at: endsAt }]);
+        await assert.rejects(repositories.wallets.placeFuturesBet({ user_id: USER_ID, stake: 5, odds: 3 }), { code: 'ON_BREAK', until: endsAt });
+      });
+
+      it('writes a referenced entry once', async () => {
+        const entry = { user_id: USER_ID, type: 'payout', amount: 25, reference: 'payout:bet:1' };
+
+        await repositories.wallets.recordTransaction(entry);
+        await repositories.wallets.recordTransaction(entry);
+
+        assert.equal(await repositories.wallets.getBalance(USER_ID), 125);
+      });
+
+      it('pages transactions newest first', async () => {
+        await repositories.wallets.recordTransaction({ user_id: USER_ID, type: 'payout', amount: 5, reference: 'payout:bet:2' });
+
+        const { transactions, total } = await repositories.wallets.listTransactions(USER_ID, { offset: 0, limit: 1 });
+
+        assert.equal(total, 2);
+        assert.equal(transactions[0].reference, 'payout:bet:2');
+      });
+
+      it('lists entries of some types since a date', async () => {
+        await repositories.wallets.placeBet(bet());
+
+        const entries = await repositories.wallets.listTransactionsSince(USER_ID, { types: ['stake'], since: new Date(Date.now() - 60 * 1000) });
+
+        assert.deepEqual(entries.map(entry => Number(entry.amount)), [-10]);
+      });
+    });
+
+    describe('idempotencyKeys', () => {
+      const claim = { userId: USER_ID, key: 'slip-1', route: 'POST /api/place-bet', requestHash: 'abc' };
+
+      it('claims a key once and hands back the stored response', async () => {
+        const first = await repositories.idempotencyKeys.claim(claim);
+        await repositories.idempotencyKeys.complete(first.record.id, { status: 200, body: { success: true } });
+        const second = await repositories.idempotencyKeys.claim(claim);
+
+        assert.equal(first.claimed, true);
+        assert.equal(second.claimed, false);
+        assert.equal(second.record.response_status, 200);
+        assert.deepEqual(second.record.response_body, { success: true });
+        assert.equal((await repositories.idempotencyKeys.claim({ ...claim, userId: OTHER_ID })).claimed, true);
+      });
+
+      it('frees a released key', async () => {
+        const { record } = await repositories.idempotencyKeys.claim(claim);
+        await repositories.idempotencyKeys.release(record.id);
+
+        assert.equal((await repositories.idempotencyKeys.claim(claim)).claimed, true);
+      });
+
+      it('deletes keys claimed before a date', async () => {
+        const { record } = await repositories.idempotencyKeys.claim(claim);
+        await repositories.idempotencyKeys.claim({ ...claim, key: 'slip-2' });
+        store.table('idempotency_keys').find(row => row.id === record.id).created_at = new Date(Date.now() - 60000).toISOString();
+
+        assert.equal(await repositories.idempotencyKeys.deleteCreatedBefore(new Date(Date.now() - 1000)), 1);
+        assert.deepEqual(store.table('idempotency_keys').map(row => row.key), ['slip-2']);
+      });
+    });
+
+    describe('markets', () => {
+      it('only moves a market that is still in the expected state', async () => {
+        const market = await repositories.markets.create({ league_id: 11489, race_id: 70000002, state: 'open' });
+
+        const suspended = await repositories.markets.updateIfState(market.id, 'open', { state: 'suspended' });
+        const again = await repositories.markets.updateIfState(market.id, 'open', { state: 'closed' });
+
+        assert.equal(suspended.state, 'suspended');
+        assert.equal(again, null);
+        assert.equal((await repositories.markets.get('11489', '70000002')).state, 'suspended');
+        assert.deepEqual(await repositories.markets.listByState('suspended', { leagueIds: [1] }), []);
+      });
+    });
+
+    describe('settlements', () => {
+      it('keeps the first settlement and only amends the revision it read', async () => {
+        const settlement = { league_id: 11489, race_id: 70000001, season_id: 55501, results: [], revision: 1 };
+        await repositories.settlements.record(settlement);
+        await repositories.settlements.record({ ...settlement, revision: 5 });
+
+        await repositories.settlements.updateIfRevision(11489, 70000001, 2, { revision: 3 });
+        await repositories.settlements.updateIfRevision(11489, 70000001, 1, { revision: 2 });
+
+        assert.equal((await repositories.settlements.get(11489, 70000001)).revision, 2);
+        assert.equal((await repositories.settlements.listSettledSince(new Date(Date.now() - 60 * 1000))).length, 1);
+      });
+    });
+
+    describe('tickets', () => {
+      it('returns tickets with their legs', async () => {
+        store.placeTicket({ user_id: USER_ID, stake: 10, combined_odds: 6 }, [bet({ odds: 2 }), bet({ race_id: 70000003, odds: 3 })]);
+
+        const [ticket] = await repositories.tickets.listByUser(USER_ID);
+        const legs = await repositories.tickets.listLegsByRace(11489, 70000003);
+
+        assert.equal(ticket.ticket_legs.length, 2);
+        assert.equal((await repositories.tickets.getById(ticket.id)).ticket_legs.length, 2);
+        assert.equal((await repositories.tickets.updateLegIfStatus(legs[0].id, 'pending', { status: 'won' })).status, 'won');
+        assert.equal(await repositories.tickets.updateLegIfStatus(legs[0].id, 'pending', { status: 'lost' }), null);
+        assert.equal(await repositories.tickets.getById(999), null);
+      });
+    });
+
+    describe('cashOuts', () => {
+      it('refuses quotes that are expired, with what the user is told', async () => {
+        const placed = await repositories.wallets.placeBet(bet());
+        const quote = await repositories.cashOuts.createQuote({
+          bet_id: placed.id, user_id: USER_ID, amount: 12, current_odds: 2, expires_at: new Date(Date.now() - 1000)
+        });
+
+        await assert.rejects(repositories.cashOuts.accept({ quoteId: quote.id, betId: placed.id, userId: USER_ID }), {
+          code: 'CASHOUT_QUOTE_EXPIRED',
+          message: 'Cash-out quote has expired or was already used'
+        });
+        await assert.rejects(repositories.cashOuts.accept({ quoteId: quote.id, betId: placed.id, userId: OTHER_ID }), { code: 'CASHOUT_QUOTE_NOT_FOUND' });
+      });
+
+      it('finds the live quote, skipping expired ones and other users’', async () => {
+        const placed = await repositories.wallets.placeBet(bet());
+        const quote = (expiresIn, userId = USER_ID) => repositories.cashOuts.createQuote({
+          bet_id: placed.id, user_id: userId, amount: 12, current_odds: 2, expires_at: new Date(Date.now() + expiresIn)
+        });
+        await quote(-1000);
+        const live = await quote(15000);
+        await quote(30000, OTHER_ID);
+
+        assert.equal((await repositories.cashOuts.findLiveQuote(placed.id, USER_ID)).id, live.id);
+        assert.equal(await repositories.cashOuts.findLiveQuote(placed.id, 'nobody'), null);
+      });
+    });
+
+    describe('auditLog', () => {
+      it('pages entries newest first, optionally for one race', async () => {
+        await repositories.auditLog.record({ admin_id: USER_ID, action: 'void_race', league_id: 11489, race_id: 70000001, reason: 'First', details: {} });
+        await repositories.auditLog.record({ admin_id: USER_ID, action: 'void_race', league_id: 11489, race_id: 70000002, reason: 'Second', details: {} });
+
+        const { entries, total } = await repositories.auditLog.list({ offset: 0, limit: 1 });
+
+        assert.equal(total, 2);
+        assert.equal(entries[0].reason, 'Second');
+        assert.equal((await repositories.auditLog.list({ raceId: 70000001, offset: 0, limit: 10 })).total, 1);
+      });
+
+      it('closes a started entry once and leaves the log otherwise unchanged', async () => {
+        const entry = await repositories.auditLog.record({ admin_id: USER_ID, action: 'void_race', reason: 'Steward decision', details: {}, status: 'started' });
+
+        const completed = await repositories.auditLog.complete(entry.id, { status: 'completed', details: { voidedBets: 2 } });
+
+        assert.equal(completed.status, 'completed');
+        assert.equal(await repositories.auditLog.complete(entry.id, { status: 'failed', details: {} }), null);
+        assert.deepEqual(store.table('admin_audit_log')[0].details, { voidedBets: 2 });
+        assert.throws(() => store.assertWritable('admin_audit_log', [store.table('admin_audit_log')[0]], { reason: 'Edited' }), { message: 'admin_audit_log is append-only' });
+      });
+    });
+
+    describe('driverLinks', () => {
+      it('does not link a driver who is linked to another user', async () => {
+        const link = { user_id: USER_ID, cust_id: 100001, display_name: 'Driver One', league_id: 11489 };
+        await repositories.driverLinks.save(link);
+
+        assert.equal(await repositories.driverLinks.save({ ...link, user_id: OTHER_ID }), null);
+        assert.equal((await repositories.driverLinks.getByDriver(100001)).user_id, USER_ID);
+
+        await repositories.driverLinks.removeByDriver(100001);
+        assert.equal((await repositories.driverLinks.save({ ...link, user_id: OTHER_ID })).user_id, OTHER_ID);
+        assert.equal(await repositories.driverLinks.getByUser(USER_ID), null);
+      });
+    });
+
+    describe('gamblingControls', () => {
+      it('finds the exclusion that runs longest of those not yet over', async () => {
+        const hours = count => new Date(Date.now() + count * 60 * 60 * 1000).toISOString();
+        await repositories.gamblingControls.addExclusion({ user_id: USER_ID, kind: 'break', ends_at: hours(-1) });
+        await repositories.gamblingControls.addExclusion({ user_id: USER_ID, kind: 'self_exclusion', ends_at: hours(48) });
+        await repositories.gamblingControls.addExclusion({ user_id: USER_ID, kind: 'break', ends_at: hours(24) });
+
+        assert.equal((await repositories.gamblingControls.getActiveExclusion(USER_ID)).kind, 'self_exclusion');
+        assert.equal(await repositories.gamblingControls.getActiveExclusion(OTHER_ID), null);
+      });
+    });
+  });
+});
+
+describe('getRepositories', () => {
+  it('picks the implementation from the storage client and reuses it', () => {
+    const store = createMemoryStore();
+
+    assert.equal(getRepositories(store), getRepositories(store));
+    assert.notEqual(getRepositories(store), getRepositories(createMemoryStore()));
+  });
+});
@@ -0,0 +1,301 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cancelBet, resettleRace, settleRace, voidRace } from '../betSettlement.js';
+import { updateSeasonFutures } from '../futures.js';
+import { loadFixtures } from './helpers/mockIracingServer.js';
+import { createMemoryStore } from '../memoryStore.js';
+import { getRepositories } from '../repositories.js';
+import { BETTOR_ID, FINISHED_RACE_ID, LEAGUE_ID, OPEN_RACE_ID, RIVAL_ID, SEASON_ID } from './helpers/testApp.js';
+
+const raceDetails = loadFixtures().results.get(FINISHED_RACE_ID);
+
+// The fixture race with the top two swapped, as after a post-race penalty
+function amendedRaceDetails() {
+  const amended = structuredClone(raceDetails);
+  const race = amended.session_results.find(session => session.simsession_number === 0);
+  race.results[0].finish_position = 1;
+  race.results[1].finish_position = 0;
+  return amended;
+}
+
+function bet(supabase, { userId = BETTOR_ID, raceId = FINISHED_RACE_ID, betType = 'win', driverId, opponentId = null, line = null, stake = 10, odds = 2.5, bettingMode = 'fixed', status = 'pending', payout = null }) {
+  const [row] = supabase.insertRows('bets', [{
+    user_id: userId,
+    league_id: LEAGUE_ID,
+    season_id: SEASON_ID,
+    race_id: raceId,
+    selected_driver_id: driverId,
+    bet_type: betType,
+    selection: { driverId, opponentId, line },
+    betting_mode: bettingMode,
+    bet_amount: stake,
+    odds: bettingMode === 'pool' ? null : odds,
+    status,
+    payout
+  }]);
+  return row;
+}
+
+function ledger(supabase, betId) {
+  return supabase.table('wallet_transactions').filter(entry => entry.bet_id === betId);
+}
+
+function statusOf(supabase, table, id) {
+  return supabase.table(table).find(row => row.id === id);
+}
+
+describe('settleRace', () => {
+  let supabase;
+
+  beforeEach(() => {
+    supabase = createMemoryStore();
+  });
+
+  it('pays winners, settles losers and refunds drivers who did not start', async () => {
+    const winner = bet(supabase, { driverId: 100001, odds: 2.5 });
+    const loser = bet(supabase, { driverId: 100002 });
+    const headToHead = bet(supabase, { betType: 'head_to_head', driverId: 100002, opponentId: 100003, odds: 1.8 });
+    const nonStarter = bet(supabase, { driverId: 100099 });
+    const incidentsOver = bet(supabase, { betType: 'incidents_over', driverId: 100005, line: 8.5, odds: 1.9 });
+
+    const result = await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    assert.equal(result.settled.length, 5);
+    assert.deepEqual(
+      [winner, loser, headToHead, nonStarter, incidentsOver].map(row => [statusOf(supabase, 'bets', row.id).status, Number(statusOf(supabase, 'bets', row.id).payout)]),
+      [['won', 25], ['lost', 0], ['won', 18], ['void', 10], ['won', 19]]
+    );
+    assert.deepEqual(ledger(supabase, winner.id).map(entry => [entry.type, entry.amount, entry.reference]), [['payout', 25, `payout:bet:${winner.id}`]]);
+    assert.deepEqual(ledger(supabase, nonStarter.id).map(entry => entry.type), ['refund']);
+    assert.equal(ledger(supabase, loser.id).length, 0);
+  });
+
+  it('settles the market and stores the finishing order it settled against', async () => {
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    const [market] = supabase.table('race_markets');
+    const [settlement] = supabase.table('race_settlements');
+    assert.equal(market.state, 'settled');
+    assert.equal(settlement.revision, 1);
+    assert.equal(settlement.results[0].custId, 100001);
+  });
+
+  it('never credits a bet twice when it is run again', async () => {
+    const winner = bet(supabase, { driverId: 100001 });
+
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+    const again = await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    assert.equal(again.settled.length, 0);
+    assert.equal(ledger(supabase, winner.id).length, 1);
+  });
+
+  it('skips races without results', async () => {
+    const pending = bet(supabase, { driverId: 100001 });
+    const result = await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, { session_results: [] });
+
+    assert.equal(result.skipped, true);
+    assert.equal(statusOf(supabase, 'bets', pending.id).status, 'pending');
+  });
+
+  it('leaves cancelled and cashed-out bets alone', async () => {
+    const cashedOut = bet(supabase, { driverId: 100001, status: 'cashed_out', payout: 12 });
+
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    assert.equal(statusOf(supabase, 'bets', cashedOut.id).status, 'cashed_out');
+    assert.equal(ledger(supabase, cashedOut.id).length, 0);
+  });
+
+  it('splits a pool between the winning stakes after the rake', async () => {
+    supabase.insertRows('race_settings', [{ league_id: LEAGUE_ID, race_id: FINISHED_RACE_ID, betting_mode: 'pool' }]);
+    const backer = bet(supabase, { driverId: 100001, stake: 30, bettingMode: 'pool' });
+    const rival = bet(supabase, { userId: RIVAL_ID, driverId: 100001, stake: 10, bettingMode: 'pool' });
+    const loser = bet(supabase, { driverId: 100002, stake: 60, bettingMode: 'pool' });
+
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    // 100 staked, 90 after the 10% rake, shared 3:1
+    assert.equal(Number(statusOf(supabase, 'bets', backer.id).payout), 67.5);
+    assert.equal(Number(statusOf(supabase, 'bets', rival.id).payout), 22.5);
+    assert.equal(statusOf(supabase, 'bets', loser.id).status, 'lost');
+  });
+
+  it('settles parlay legs and only closes tickets whose legs are all decided', async () => {
+    const [open] = supabase.insertRows('bet_tickets', [{ user_id: BETTOR_ID, stake: 10, combined_odds: 5 }]);
+    const [lost] = supabase.insertRows('bet_tickets', [{ user_id: BETTOR_ID, stake: 10, combined_odds: 5 }]);
+    supabase.insertRows('ticket_legs', [
+      { ticket_id: open.id, league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: FINISHED_RACE_ID, bet_type: 'win', selected_driver_id: 100001, selection: { driverId: 100001 }, odds: 2.5 },
+      { ticket_id: open.id, league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: OPEN_RACE_ID, bet_type: 'win', selected_driver_id: 100002, selection: { driverId: 100002 }, odds: 2 },
+      { ticket_id: lost.id, league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: FINISHED_RACE_ID, bet_type: 'win', selected_driver_id: 100003, selection: { driverId: 100003 }, odds: 5 },
+      { ticket_id: lost.id, league_id: LEAGUE_ID, season_id: SEASON_ID, race_id: OPEN_RACE_ID, bet_type: 'win', selected_driver_id: 100002, selection: { driverId: 100002 }, odds: 2 }
+    ]);
+
+    const result = await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    assert.deepEqual(result.tickets.map(ticket => ticket.id), [lost.id]);
+    assert.equal(statusOf(supabase, 'bet_tickets', open.id).status, 'pending');
+    assert.equal(statusOf(supabase, 'bet_tickets', lost.id).status, 'lost');
+  });
+
+  it('does not settle a voided race', async () => {
+    supabase.insertRows('race_markets', [{ league_id: LEAGUE_ID, race_id: FINISHED_RACE_ID, state: 'voided' }]);
+    const pending = bet(supabase, { driverId: 100001 });
+
+    const result = await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    assert.equal(result.skipped, true);
+    assert.equal(statusOf(supabase, 'bets', pending.id).status, 'pending');
+  });
+});
+
+describe('resettleRace', () => {
+  let supabase;
+
+  beforeEach(() => {
+    supabase = createMemoryStore();
+  });
+
+  it('posts adjustments when the official results change', async () => {
+    const first = bet(supabase, { driverId: 100001, odds: 2.5 });
+    const second = bet(supabase, { driverId: 100002, odds: 3 });
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    const amendment = await resettleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, amendedRaceDetails());
+
+    assert.equal(amendment.revision, 2);
+    assert.deepEqual(amendment.changes.map(change => change.custId).sort(), [100001, 100002]);
+    assert.equal(statusOf(supabase, 'bets', first.id).status, 'lost');
+    assert.equal(statusOf(supabase, 'bets', second.id).status, 'won');
+    assert.deepEqual(ledger(supabase, first.id).map(entry => [entry.type, entry.amount]), [['payout', 25], ['adjustment', -25]]);
+    assert.deepEqual(ledger(supabase, second.id).map(entry => [entry.type, entry.amount]), [['adjustment', 30]]);
+    assert.equal(supabase.table('race_result_amendments').length, 1);
+    assert.equal(supabase.table('race_settlements')[0].revision, 2);
+  });
+
+  it('does nothing when the results are unchanged or the race was never settled', async () => {
+    assert.equal(await resettleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails), null);
+
+    bet(supabase, { driverId: 100001 });
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    assert.equal(await resettleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails), null);
+    assert.equal(supabase.table('race_result_amendments').length, 0);
+  });
+
+  it('compares stored results by field, whatever their key order', async () => {
+    bet(supabase, { driverId: 100001 });
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    // As Postgres jsonb returns them: keys reordered and undefined ones dropped
+    const settlement = supabase.table('race_settlements')[0];
+    settlement.results = settlement.results.map(({ custId, position, lapsComplete, reasonOut, lapsLed, incidents, bestLapTime }) => {
+      const entry = { custId, lapsLed, position, incidents, reasonOut, bestLapTime, lapsComplete };
+      Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+      return entry;
+    });
+
+    assert.equal(await resettleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails), null);
+    assert.equal(supabase.table('race_result_amendments').length, 0);
+  });
+
+  it('does not post the same adjustment twice', async () => {
+    const first = bet(supabase, { driverId: 100001 });
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    await resettleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, amendedRaceDetails());
+    await resettleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, amendedRaceDetails());
+
+    assert.equal(ledger(supabase, first.id).filter(entry => entry.type === 'adjustment').length, 1);
+  });
+});
+
+describe('voidRace', () => {
+  it('refunds pending bets and brings settled ones back to their stake', async () => {
+    const supabase = createMemoryStore();
+    const winner = bet(supabase, { driverId: 100001, odds: 2.5 });
+    const loser = bet(supabase, { driverId: 100002 });
+    await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+    const pending = bet(supabase, { driverId: 100003 });
+
+    const result = await voidRace(supabase, LEAGUE_ID, FINISHED_RACE_ID);
+
+    assert.equal(result.bets.length, 3);
+    assert.equal(supabase.table('race_markets')[0].state, 'voided');
+    assert.deepEqual(ledger(supabase, winner.id).map(entry => entry.amount), [25, -15]);
+    assert.deepEqual(ledger(supabase, loser.id).map(entry => entry.amount), [10]);
+    assert.deepEqual(ledger(supabase, pending.id).map(entry => [entry.type, entry.amount]), [['refund', 10]]);
+
+    const again = await voidRace(supabase, LEAGUE_ID, FINISHED_RACE_ID);
+    assert.equal(again.bets.length, 0);
+    assert.equal(ledger(supabase, winner.id).length, 2);
+  });
+});
+
+describe('cancelBet', () => {
+  it('refunds a pending bet once', async () => {
+    const supabase = createMemoryStore();
+    const pending = bet(supabase, { driverId: 100001, raceId: OPEN_RACE_ID });
+
+    const cancelled = await cancelBet(supabase, pending.id);
+    await cancelBet(supabase, pending.id);
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.deepEqual(ledger(supabase, pending.id).map(entry => [entry.type, entry.amount]), [['refund', 10]]);
+  });
+
+  it('pays a bet cancelled while its race is being settled only the refund', async () => {
+    const supabase = createMemoryStore();
+    const winner = bet(supabase, { driverId: 100001, odds: 2.5 });
+
+    // Cancel the bet after settlement has read it as pending
+    const bets = getRepositories(supabase).bets;
+    const listByRace = bets.listByRace;
+    bets.listByRace = async (...args) => {
+      const rows = await listByRace(...args);
+      await cancelBet(supabase, winner.id);
+      return rows;
+    };
+
+    const result = await settleRace(supabase, LEAGUE_ID, FINISHED_RACE_ID, raceDetails);
+
+    assert.equal(result.settled.length, 0);
+    assert.equal(statusOf(supabase, 'bets', winner.id).status, 'cancelled');
+    assert.deepEqual(ledger(supabase, winner.id).map(entry => [entry.type, entry.amount]), [['refund', 10]]);
+  });
+
+  it('refuses settled and unknown bets', async () => {
+    const supabase = createMemoryStore();
+    const settled = bet(supabase, { driverId: 100001, status: 'won', payout: 25 });
+
+    await assert.rejects(cancelBet(supabase, settled.id), { code: 'BET_NOT_CANCELLABLE' });
+    await assert.rejects(cancelBet(supabase, 999999), { code: 'BET_NOT_CANCELLABLE' });
+  });
+});
+
+describe('updateSeasonFutures', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const sessions = [
+    { subsession_id: FINISHED_RACE_ID, launch_at: new Date(Date.now() - day).toISOString(), has_results: true },
+    { subsession_id: OPEN_RACE_ID, launch_at: new Date(Date.now() + day).toISOString(), has_results: false }
+  ];
+  const standings = { standings: { driver_standings: [{ driver: { cust_id: 100001, display_name: 'Leader' }, total_points: 25 }] } };
+
+  it('does not reopen a market settled while the standings were fetched', async () => {
+    const supabase = createMemoryStore();
+    const [market] = supabase.insertRows('futures_markets', [{ league_id: LEAGUE_ID, season_id: SEASON_ID, state: 'open', prices: [] }]);
+    const iracing = {
+      getLeagueSeasons: async () => ({ seasons: [{ season_id: SEASON_ID }] }),
+      getLeagueSeasonSessions: async () => ({ sessions }),
+      getLeagueSeasonStandings: async () => {
+        market.state = 'settled';
+        return standings;
+      }
+    };
+
+    const result = await updateSeasonFutures(supabase, iracing, LEAGUE_ID, SEASON_ID);
+
+    assert.equal(result.market.state, 'settled');
+    assert.deepEqual(statusOf(supabase, 'futures_markets', market.id).prices, []);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { field, validate } from '../validation.js';
+
+// Runs the middleware on a bare request and returns what it passed to next()
+function run(schema, req) {
+  let passed;
+  validate(schema)(req, {}, error => {
+    passed = error;
+  });
+  return passed;
+}
+
+describe('validate', () => {
+  it('converts params, query and body values to their declared types', () => {
+    const req = { params: { raceId: '70000002' }, query: { live: 'true', mode: 'win' }, body: { stake: '12.5', note: '  hi  ', extra: 1 } };
+
+    const error = run({
+      params: { raceId: field.id() },
+      query: { live: field.boolean(), mode: field.oneOf(['win', 'top_3']) },
+      body: { stake: field.number({ greaterThan: 0 }), note: field.string() }
+    }, req);
+
+    assert.equal(error, undefined);
+    assert.deepEqual(req.params, { raceId: 70000002 });
+    assert.deepEqual(req.query, { live: true, mode: 'win' });
+    assert.deepEqual(req.body, { stake: 12.5, note: 'hi', extra: 1 });
+  });
+
+  it('reports every invalid field at once', () => {
+    const error = run({
+      body: {
+        leagueId: field.id(),
+        betAmount: field.number({ greaterThan: 0 }),
+        odds: field.number(),
+        betType: field.oneOf(['win', 'top_3'])
+      }
+    }, { body: { leagueId: '0', betAmount: -5, odds: '2.5x', betType: 'lay' } });
+
+    assert.equal(error.code, 'VALIDATION_FAILED');
+    assert.deepEqual(error.fields, {
+      leagueId: 'must be at least 1',
+      betAmount: 'must be greater than 0',
+      odds: 'must be a number',
+      betType: 'must be one of win, top_3'
+    });
+  });
+
+  it('requires fields unless they are optional, and fills in defaults', () => {
+    const req = { query: { seasonId: '  ' } };
+
+    const error = run({
+      query: {
+        seasonId: field.id(),
+        page: field.integer({ optional: true, default: 1 })
+      }
+    }, req);
+
+    assert.deepEqual(error.fields, { seasonId: 'is required' });
+
+    const valid = { query: {} };
+    run({ query: { page: field.integer({ optional: true, default: 1 }) } }, valid);
+    assert.equal(valid.query.page, 1);
+  });
+
+  it('only accepts null for nullable fields', () => {
+    const schema = { body: { amount: field.number({ nullable: true }), cap: field.number() } };
+
+    const error = run(schema, { body: { amount: null, cap: null } });
+
+    assert.deepEqual(error.fields, { cap: 'is required' });
+  });
+
+  it('names nested fields by their path', () => {
+    const error = run({
+      body: {
+        legs: field.array(field.object({ raceId: field.id(), odds: field.number({ greaterThan: 1 }) }))
+      }
+    }, { body: { legs: [{ raceId: 1, odds: 2 }, { raceId: 'abc', odds: 1 }, 'leg'] } });
+
+    assert.deepEqual(error.fields, {
+      'legs[1].raceId': 'must be a whole number',
+      'legs[1].odds': 'must be greater than 1',
+      'legs[2]': 'must be an object'
+    });
+  });
+
+  it('refuses fractional ids and overlong text', () => {
+    const error = run({
+      body: { betId: field.id(), name: field.string({ maxLength: 3 }) }
+    }, { body: { betId: 1.5, name: 'Robin' } });
+
+    assert.deepEqual(error.fields, { betId: 'must be a whole number', name: 'must be at most 3 characters' });
+  });
+});
@@ -0,0 +1,186 @@
+// Declarative validation for route params, query strings and bodies. A schema maps each
+// field to a rule built with `field`; validate() checks a request against it, converts
+// values to the declared type (query strings and params are always text, and some
+// clients send numbers as strings) and puts the converted values back on the request.
+// Fields the schema does not mention are left alone. Every problem found is reported
+// at once as a VALIDATION_FAILED error whose `fields` maps each field's path, such as
+// `legs[1].raceId`, to what is wrong with it.
+//
+// Rules are required unless `optional`, and `nullable` lets a field be null. Missing
+// optional fields take their `default` when one is given.
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+function rule(type, options = {}) {
+  return { type, ...options };
+}
+
+const field = {
+  string: options => rule('string', options),
+  number: options => rule('number', options),
+  integer: options => rule('integer', options),
+  // Database and iRacing ids: whole numbers from 1
+  id: options => rule('integer', { min: 1, ...options }),
+  boolean: options => rule('boolean', options),
+  oneOf: (values, options) => rule('oneOf', { values, ...options }),
+  array: (items, options) => rule('array', { items, ...options }),
+  object: (shape, options) => rule('object', { shape, ...options })
+};
+
+function validationError(fields) {
+  const error = new Error(`Invalid request: ${Object.entries(fields).map(([path, problem]) => `${path} ${problem}`).join(', ')}`);
+  error.code = 'VALIDATION_FAILED';
+  error.fields = fields;
+  return error;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : NaN;
+  }
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+    return Number(value.trim());
+  }
+  return NaN;
+}
+
+function checkRange(value, spec) {
+  if (spec.min !== undefined && value < spec.min) {
+    return `must be at least ${spec.min}`;
+  }
+  if (spec.greaterThan !== undefined && value <= spec.greaterThan) {
+    return `must be greater than ${spec.greaterThan}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `must be at most ${spec.max}`;
+  }
+  if (spec.lessThan !== undefined && value >= spec.lessThan) {
+    return `must be less than ${spec.lessThan}`;
+  }
+  return null;
+}
+
+// Returns { value } or { problem }; nested problems are added to `fields` directly
+function parseValue(spec, value, path, fields) {
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { problem: 'must be text' };
+      }
+      const text = String(value).trim();
+      if (spec.maxLength !== undefined && text.length > spec.maxLength) {
+        return { problem: `must be at most ${spec.maxLength} characters` };
+      }
+      return { value: text };
+    }
+    case 'number':
+    case 'integer': {
+      const number = toNumber(value);
+      if (Number.isNaN(number)) {
+        return { problem: spec.type === 'integer' ? 'must be a whole number' : 'must be a number' };
+      }
+      if (spec.type === 'integer' && !Number.isInteger(number)) {
+        return { problem: 'must be a whole number' };
+      }
+      const problem = checkRange(number, spec);
+      return problem ? { problem } : { value: number };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { problem: 'must be true or false' };
+    case 'oneOf': {
+      const match = spec.values.find(allowed => String(allowed) === String(value));
+      return match === undefined ? { problem: `must be one of ${spec.values.join(', ')}` } : { value: match };
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { problem: 'must be a list' };
+      }
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        return { problem: `must have at least ${spec.minItems} items` };
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return { problem: `must have at most ${spec.maxItems} items` };
+      }
+      const items = value.map((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const result = parseValue(spec.items, item, itemPath, fields);
+        if (result.problem) {
+          fields[itemPath] = result.problem;
+        }
+        return result.value;
+      });
+      return { value: items };
+    }
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { problem: 'must be an object' };
+      }
+      return { value: parseFields(spec.shape, value, `${path}.`, fields) };
+    default:
+      throw new Error(`Unknown validation rule ${spec.type}`);
+  }
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function parseFields(shape, input, prefix, fields) {
+  const values = { ...input };
+
+  Object.entries(shape).forEach(([name, spec]) => {
+    const path = `${prefix}${name}`;
+    const value = input[name];
+
+    if (value === null && spec.nullable) {
+      values[name] = null;
+      return;
+    }
+    if (isMissing(value)) {
+      if (!spec.optional) {
+        fields[path] = 'is required';
+      } else {
+        values[name] = spec.default;
+      }
+      return;
+    }
+
+    const result = parseValue(spec, value, path, fields);
+    if (result.problem) {
+      fields[path] = result.problem;
+    } else {
+      values[name] = result.value;
+    }
+  });
+
+  return values;
+}
+
+// Middleware checking req.params, req.query and req.body against a schema of the form
+// { params: { raceId: field.id() }, query: {...}, body: {...} }
+function validate(schema) {
+  return (req, res, next) => {
+    const fields = {};
+    const parsed = {};
+
+    ['params', 'query', 'body'].forEach(part => {
+      if (schema[part]) {
+        parsed[part] = parseFields(schema[part], req[part] || {}, '', fields);
+      }
+    });
+
+    if (Object.keys(fields).length > 0) {
+      return next(validationError(fields));
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
+
+export {
+  field,
+  validate,
+  validationError
+};
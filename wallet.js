@@ -0,0 +1,75 @@
+import { getRepositories } from './repositories.js';
+
+// Ledger entry types. Stakes are negative amounts and adjustments (corrections after
+// amended race results) can go either way; everything else is a credit.
+const TRANSACTION_TYPE = {
+  DEPOSIT: 'deposit',
+  STAKE: 'stake',
+  PAYOUT: 'payout',
+  REFUND: 'refund',
+  ADJUSTMENT: 'adjustment',
+  CASHOUT: 'cashout'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+async function getBalance(supabase, userId) {
+  return getRepositories(supabase).wallets.getBalance(userId);
+}
+
+async function getTransactions(supabase, userId, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const currentPage = Math.max(1, parseInt(page, 10) || 1);
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+  const { transactions, total } = await getRepositories(supabase).wallets.listTransactions(userId, {
+    offset: (currentPage - 1) * size,
+    limit: size
+  });
+
+  return {
+    transactions,
+    page: currentPage,
+    pageSize: size,
+    total
+  };
+}
+
+// Appends a ledger entry. Entries with a reference are only ever written once,
+// so callers can safely retry (e.g. when settlement is re-run).
+async function recordTransaction(supabase, { userId, type, amount, betId = null, ticketId = null, futuresBetId = null, reference = null }) {
+  await getRepositories(supabase).wallets.recordTransaction({
+    user_id: userId,
+    type,
+    amount,
+    bet_id: betId,
+    ticket_id: ticketId,
+    futures_bet_id: futuresBetId,
+    reference
+  });
+}
+
+// Debits the stake and inserts the bet atomically; refused when funds are insufficient.
+async function placeBet(supabase, bet) {
+  return getRepositories(supabase).wallets.placeBet(bet);
+}
+
+// Same as placeBet for a parlay ticket and its legs
+async function placeTicket(supabase, ticket, legs) {
+  return getRepositories(supabase).wallets.placeTicket(ticket, legs);
+}
+
+// Same as placeBet for a season futures bet
+async function placeFuturesBet(supabase, bet) {
+  return getRepositories(supabase).wallets.placeFuturesBet(bet);
+}
+
+export {
+  TRANSACTION_TYPE,
+  getBalance,
+  getTransactions,
+  recordTransaction,
+  placeBet,
+  placeTicket,
+  placeFuturesBet
+};